@@ -34,6 +34,31 @@ export { default as GonathLayout } from "./primitives/gonath/gonath.js"; // Maso
 
 // Interactive primitives
 export { default as GilElement } from "./primitives/gil/gil.js"; // Smart prefetch link
+export { default as ThemeToggleElement } from "./primitives/theme-toggle/theme-toggle.js"; // Theme & ratio switcher
+export { default as ThirElement } from "./primitives/thir/thir.js"; // Visual effects (presets: ThirElement.registerEffect)
+export { default as TewElement } from "./primitives/tew/tew.js"; // Typography (fit, show more)
+
+// Runtime configuration (CSP nonce, inline style policy)
+export { configure } from "./global/config.js";
+
+// Theme controller (persisted light/dark/auto and brand themes)
+export {
+  initTheme,
+  applyTheme,
+  registerTheme,
+  getTheme,
+  getThemes,
+  getColorScheme,
+  stopThemeSync,
+  THEME_BOOTSTRAP,
+} from "./global/theme.js";
+
+// Motion policy (reduced motion for JS-driven effects)
+export {
+  prefersReducedMotion,
+  getMotionPolicy,
+  getMotionFallback,
+} from "./global/motion.js";
 
 // Utilities
 // Icon loader - import separately for tree-shaking:
@@ -65,6 +90,9 @@ export const PRIMITIVES = {
   "i-miriant": "Grid-placed",
   "i-gonath": "Masonry",
   "i-gil": "Smart prefetch link",
+  "i-theme-toggle": "Theme & ratio switcher",
+  "i-thir": "Visual effects",
+  "i-tew": "Typography",
 };
 
 // Sindarin vocabulary reference
@@ -86,6 +114,8 @@ export const SINDARIN = {
   miriant: "jewel-work (explicit placement)",
   gonath: "the stone collection (masonry)",
   gil: "star, bright spark (guiding link)",
+  thir: "look, face, expression (visual effects)",
+  tew: "letters, characters, writing (typography)",
   // Attribute names
   echuiol: "awakening (active)",
   dhoren: "hidden, secret",
@@ -0,0 +1,100 @@
+/**
+ * Elvish - Runtime Configuration
+ *
+ * Global settings honoured by everything that generates styles at
+ * runtime (primitive style registry, icon loader).
+ *
+ * Usage:
+ *
+ * import { configure } from './config.js';
+ *
+ * // Content Security Policy nonce for generated <style> elements
+ * configure({ nonce: 'r4nd0m' });
+ *
+ * // CSP forbids inline <style> entirely: only use constructable sheets
+ * configure({ inlineStyles: false });
+ *
+ * // Reduced motion regardless of the OS setting (see motion.js)
+ * configure({ motion: 'reduce', motionFallback: 'crossfade' });
+ *
+ * Without configure(), the nonce is read from
+ * <meta name="csp-nonce" content="..."> when present.
+ *
+ * Classic scripts (e.g. the icon loader) read the same settings from
+ * window.ElvishConfig, which may also be set before any script loads.
+ */
+
+const defaults = {
+  nonce: null,
+  inlineStyles: true,
+  motion: 'auto',
+  motionFallback: 'instant',
+};
+
+const config = typeof window !== 'undefined'
+  ? (window.ElvishConfig = { ...defaults, ...window.ElvishConfig })
+  : { ...defaults };
+
+const listeners = new Set();
+
+/**
+ * Update global configuration
+ *
+ * @param {Object} options
+ * @param {string} [options.nonce] - CSP nonce for generated <style> elements
+ * @param {boolean} [options.inlineStyles] - Set false when CSP blocks inline styles
+ * @param {'auto'|'reduce'|'full'} [options.motion] - Reduced motion: follow the OS, force on, force off
+ * @param {'instant'|'crossfade'} [options.motionFallback] - What transitions do under reduced motion
+ * @returns {Object} The resulting configuration
+ */
+export function configure(options = {}) {
+  Object.assign(config, options);
+  const snapshot = { ...config };
+  listeners.forEach(listener => listener(snapshot, Object.keys(options)));
+  return snapshot;
+}
+
+/**
+ * Be notified when configure() runs
+ *
+ * @param {Function} listener - Called with (config, changedKeys)
+ * @returns {Function} Unsubscribe
+ */
+export function onConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current configuration (copy)
+ * @returns {Object}
+ */
+export const getConfig = () => ({ ...config });
+
+/**
+ * Resolve the CSP nonce for generated styles
+ * Explicit configuration wins over <meta name="csp-nonce">.
+ *
+ * @returns {string|null}
+ */
+export function getNonce() {
+  if (config.nonce) return config.nonce;
+  if (typeof document === 'undefined') return null;
+
+  const meta = document.querySelector('meta[name="csp-nonce"]');
+  return meta?.nonce || meta?.getAttribute('content') || null;
+}
+
+/**
+ * Create a <style> element carrying the configured nonce
+ *
+ * @returns {HTMLStyleElement}
+ */
+export function createStyleElement() {
+  const styleEl = document.createElement('style');
+  const nonce = getNonce();
+  if (nonce) {
+    styleEl.setAttribute('nonce', nonce);
+  }
+  return styleEl;
+}
@@ -14,11 +14,21 @@
  * Or initialize manually:
  *   ElvishIcons.init({ base: '/path/to/icons/' });
  *   ElvishIcons.preload(['home', 'star', 'check']);
+ * 
+ * Content Security Policy:
+ *   The generated <style> gets a nonce from init({ nonce }),
+ *   window.ElvishConfig.nonce, <meta name="csp-nonce"> or this
+ *   script's own nonce. If inline styles are blocked entirely
+ *   (or ElvishConfig.inlineStyles is false), icons are written to a
+ *   constructable stylesheet via adoptedStyleSheets instead.
  */
 
 (function() {
   'use strict';
   
+  // Captured now: document.currentScript is null once init() runs later
+  const currentScript = document.currentScript;
+  
   const ElvishIcons = {
     // Track loaded icons to avoid duplicates
     loaded: new Set(),
@@ -29,6 +39,12 @@
     // Style element for injecting CSS
     styleEl: null,
     
+    // Constructable stylesheet (used when inline styles are blocked)
+    sheet: null,
+    
+    // Accumulated CSS (base + loaded icons)
+    css: '',
+    
     // Icon data (embedded for zero-fetch mode)
     // Generated from individual icon files
     data: {
@@ -94,10 +110,8 @@
     init(options = {}) {
       this.base = options.base || this.getBaseFromScript() || '';
       
-      // Create style element for injecting CSS
-      this.styleEl = document.createElement('style');
-      this.styleEl.id = 'elvish-icons';
-      document.head.appendChild(this.styleEl);
+      // Create style element (or constructable sheet) for injecting CSS
+      this.createStyleTarget(options);
       
       // Inject base styles
       this.injectBase();
@@ -111,11 +125,63 @@
       return this;
     },
     
+    /**
+     * Resolve the CSP nonce for the generated <style>
+     */
+    getNonce(options = {}) {
+      const meta = document.querySelector('meta[name="csp-nonce"]');
+      return options.nonce ||
+        window.ElvishConfig?.nonce ||
+        meta?.nonce || meta?.getAttribute('content') ||
+        currentScript?.nonce ||
+        null;
+    },
+    
+    /**
+     * Create a nonce'd <style>, falling back to a constructable
+     * stylesheet when inline styles are disallowed or blocked by CSP
+     */
+    createStyleTarget(options = {}) {
+      const inlineAllowed = window.ElvishConfig?.inlineStyles !== false;
+      
+      if (inlineAllowed) {
+        this.styleEl = document.createElement('style');
+        this.styleEl.id = 'elvish-icons';
+        const nonce = this.getNonce(options);
+        if (nonce) this.styleEl.setAttribute('nonce', nonce);
+        document.head.appendChild(this.styleEl);
+        
+        // Blocked style elements never get a stylesheet
+        if (this.styleEl.sheet) return;
+        this.styleEl.remove();
+        this.styleEl = null;
+      }
+      
+      if ('adoptedStyleSheets' in document) {
+        this.sheet = new CSSStyleSheet();
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, this.sheet];
+      } else {
+        console.warn('[ElvishIcons] Inline styles are blocked and constructable stylesheets are unsupported');
+      }
+    },
+    
+    /**
+     * Append CSS to the active style target
+     */
+    write(css) {
+      this.css += css;
+      if (this.sheet) {
+        this.sheet.replaceSync(this.css);
+      } else if (this.styleEl) {
+        this.styleEl.textContent = this.css;
+      }
+    },
+    
     /**
      * Get base URL from script tag data attribute
      */
     getBaseFromScript() {
-      const script = document.currentScript || 
+      const script = currentScript || 
         document.querySelector('script[data-base]');
       return script?.dataset?.base || '';
     },
@@ -167,7 +233,7 @@ i-thann[icon][pulse] { animation: elvish-icon-pulse 1.5s ease-in-out infinite; }
 @keyframes elvish-icon-spin { to { transform: rotate(360deg); } }
 @keyframes elvish-icon-pulse { 50% { opacity: 0.5; } }
 `;
-      this.styleEl.textContent = baseCSS;
+      this.write(baseCSS);
     },
     
     /**
@@ -188,7 +254,7 @@ i-thann[icon="${name}"] {
   -webkit-mask-image: ${dataUri};
   mask-image: ${dataUri};
 }`;
-      this.styleEl.textContent += rule;
+      this.write(rule);
       this.loaded.add(name);
     },
     
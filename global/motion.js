@@ -0,0 +1,138 @@
+/**
+ * Elvish - Motion Policy
+ *
+ * One answer to "should this animate?" for the JavaScript side.
+ * The CSS already honours prefers-reduced-motion; this module lets
+ * transitions.js and interactive elements (i-thir) do the same, and
+ * lets an app force the setting globally or for part of the page.
+ *
+ * Precedence (first match wins):
+ *   1. data-motion="reduce|full" on the element or an ancestor
+ *   2. configure({ motion: 'reduce' | 'full' })
+ *   3. The OS setting (prefers-reduced-motion), with motion: 'auto'
+ *
+ * Usage:
+ *
+ * import { prefersReducedMotion } from './motion.js';
+ * import { configure } from './config.js';
+ *
+ * configure({ motion: 'reduce' });           // App-wide
+ * panel.dataset.motion = 'full';             // Except this subtree
+ * prefersReducedMotion(panel.firstChild);    // false
+ *
+ * document.addEventListener('motionpolicychange', (e) => {
+ *   console.log(e.detail.reduced, e.detail.source);
+ * });
+ *
+ * Under reduced motion, transition() applies changes instantly, or as a
+ * plain crossfade with configure({ motionFallback: 'crossfade' }).
+ */
+
+import { getConfig, onConfigChange } from './config.js';
+
+const REDUCE_QUERY = '(prefers-reduced-motion: reduce)';
+
+let reduceMedia = null;
+let subtreeObserver = null;
+let lastGlobal = null;
+
+/**
+ * Whether the OS asks for reduced motion
+ * @returns {boolean}
+ */
+export const systemPrefersReducedMotion = () => Boolean(reduceMedia?.matches);
+
+/**
+ * Resolve the motion policy for an element (or the whole page)
+ *
+ * @param {Element} [element] - Scope for data-motion overrides
+ * @returns {'reduce'|'full'}
+ */
+export function getMotionPolicy(element) {
+  const override = element?.closest?.('[data-motion]')?.dataset.motion;
+  if (override === 'reduce' || override === 'full') return override;
+
+  const { motion } = getConfig();
+  if (motion === 'reduce' || motion === 'full') return motion;
+
+  return systemPrefersReducedMotion() ? 'reduce' : 'full';
+}
+
+/**
+ * Whether motion should be reduced
+ *
+ * @param {Element} [element] - Scope for data-motion overrides
+ * @returns {boolean}
+ */
+export const prefersReducedMotion = (element) => getMotionPolicy(element) === 'reduce';
+
+/**
+ * What transitions do under reduced motion
+ * @returns {'instant'|'crossfade'}
+ */
+export const getMotionFallback = () =>
+  (getConfig().motionFallback === 'crossfade' ? 'crossfade' : 'instant');
+
+function emitPolicyChange(target, source) {
+  target.dispatchEvent(new CustomEvent('motionpolicychange', {
+    bubbles: true,
+    detail: {
+      reduced: prefersReducedMotion(target === document ? undefined : target),
+      source,
+    },
+  }));
+}
+
+// OS and configure() changes only matter when they flip the page policy
+function checkGlobal(source) {
+  const policy = getMotionPolicy();
+  if (policy === lastGlobal) return;
+
+  lastGlobal = policy;
+  emitPolicyChange(document, source);
+}
+
+const handleSystemChange = () => checkGlobal('system');
+
+function handleConfigChange(config, keys) {
+  if (keys.includes('motion')) checkGlobal('config');
+}
+
+function handleSubtreeChange(records) {
+  records.forEach(({ target }) => emitPolicyChange(target, 'subtree'));
+}
+
+/**
+ * Start following the OS setting, configure() and data-motion changes
+ * Runs on import; safe to call again.
+ */
+export function initMotionPolicy() {
+  if (lastGlobal !== null) return;
+
+  reduceMedia = typeof matchMedia === 'function' ? matchMedia(REDUCE_QUERY) : null;
+  reduceMedia?.addEventListener?.('change', handleSystemChange);
+  onConfigChange(handleConfigChange);
+
+  if (typeof MutationObserver !== 'undefined') {
+    subtreeObserver = new MutationObserver(handleSubtreeChange);
+    subtreeObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-motion'],
+      subtree: true,
+    });
+  }
+
+  lastGlobal = getMotionPolicy();
+}
+
+if (typeof document !== 'undefined') {
+  initMotionPolicy();
+}
+
+export default {
+  getMotionPolicy,
+  prefersReducedMotion,
+  systemPrefersReducedMotion,
+  getMotionFallback,
+  initMotionPolicy,
+};
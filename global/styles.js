@@ -0,0 +1,419 @@
+/**
+ * Elvish - Primitive Style Helpers
+ *
+ * Shared plumbing for the CSS the layout primitives generate per
+ * configuration. Each primitive has a pure style generator next to it
+ * (e.g. primitives/hath/hath.styles.js) that turns attributes into:
+ *
+ *   { id, css, props }
+ *
+ *   id    - value for the element's data-i attribute (null if unscoped)
+ *   css   - rules scoped to [data-i="<id>"]
+ *   props - inline custom properties / styles for the element
+ *
+ * The same generators run in the browser (render()) and in Node
+ * (prerender.js), so client and server output never drift.
+ *
+ * In the browser, generated rules live in a shared, reference-counted
+ * stylesheet rather than one <style> per configuration.
+ */
+
+import { getConfig, createStyleElement } from './config.js';
+
+// FNV-1a, base 36: short and stable across client and server
+const hash = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+};
+
+/**
+ * Turn a configuration string into a data-i id
+ *
+ * Word characters, hyphens and parentheses map to a readable id
+ * ("Hath-var(--s1)" → "Hath-var--s1"). Anything else that carries
+ * meaning (whitespace, ".", "%", ",", "/", ...) would be lost by
+ * stripping and let "1.5rem" collide with "15rem", so those configs
+ * get a hash of the exact config appended. Configs that differ only
+ * in whitespace get separate ids: each owns its rules.
+ *
+ * @param {string} config - e.g. "Hath-var(--s1)-recursive"
+ * @returns {string}
+ */
+export function toStyleId(config) {
+  const readable = config.replace(/[^\w-]/g, '');
+
+  if (/^[\w()-]*$/.test(config)) {
+    return readable;
+  }
+  return `${readable}-${hash(config)}`;
+}
+
+/**
+ * Selector that scopes rules to a single configuration
+ *
+ * @param {string} id - data-i id
+ * @returns {string}
+ */
+export const scopeSelector = (id) => `[data-i="${id}"]`;
+
+// ============================================================
+// RESPONSIVE VALUES
+// ============================================================
+//
+// Some attributes take a base value followed by container breakpoints:
+//
+//   columns="1 @30rem:2 @60rem:4"
+//   space="var(--s1) @card/40rem:var(--s3)"
+//
+// "@30rem:2" means "2 once the container is at least 30rem wide" and
+// compiles to an @container rule in the generated CSS. Unnamed
+// breakpoints query the nearest ancestor container (an i-adleithian,
+// an i-miriant, or anything with container-type); "@card/40rem" queries
+// the container named "card". A parenthesised condition is used as
+// written: "@(width > 50rem):3". List breakpoints smallest first.
+
+/**
+ * Split a string on a separator, ignoring separators inside parentheses
+ *
+ * @param {string} str
+ * @param {RegExp} separator - Single-character test, e.g. /\s/
+ * @param {number} [limit=Infinity] - Maximum number of parts
+ * @returns {string[]}
+ */
+function splitOutsideParens(str, separator, limit = Infinity) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of str) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (depth === 0 && separator.test(char) && parts.length < limit - 1) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Build the @container prelude for a breakpoint condition
+ *
+ * @param {string} condition - "30rem", "card/30rem" or "(width > 50rem)"
+ * @returns {string|null} null if the condition is malformed
+ */
+function containerQuery(condition) {
+  const slash = condition.startsWith('(') ? -1 : condition.indexOf('/');
+  const name = slash === -1 ? '' : condition.slice(0, slash);
+  const size = slash === -1 ? condition : condition.slice(slash + 1);
+
+  if (!size || (name && !/^[a-zA-Z_][\w-]*$/.test(name))) return null;
+
+  const query = size.startsWith('(') ? size : `(width >= ${size})`;
+  return `@container ${name ? `${name} ` : ''}${query}`;
+}
+
+/**
+ * Parse a responsive attribute value
+ *
+ * @param {string|null} value - e.g. "1 @30rem:2 @60rem:4"
+ * @returns {{base: string|null, breakpoints: Array<{query: string, value: string}>}}
+ *   base        - Value with no breakpoint applied (null if absent)
+ *   breakpoints - In source order; query is a full "@container ..." prelude
+ */
+export function parseResponsive(value) {
+  const result = { base: null, breakpoints: [] };
+  if (!value) return result;
+
+  let target = null;
+  const append = (token) => {
+    if (target) {
+      target.value = target.value ? `${target.value} ${token}` : token;
+    } else {
+      result.base = result.base ? `${result.base} ${token}` : token;
+    }
+  };
+
+  splitOutsideParens(value.trim(), /\s/).filter(Boolean).forEach((token) => {
+    if (!token.startsWith('@')) {
+      append(token);
+      return;
+    }
+
+    const [condition, bpValue] = splitOutsideParens(token.slice(1), /:/, 2);
+    const query = bpValue === undefined ? null : containerQuery(condition);
+
+    // Malformed breakpoints (and their continuation tokens) are dropped
+    target = { query, value: bpValue || '' };
+    if (query) result.breakpoints.push(target);
+  });
+
+  result.breakpoints = result.breakpoints.filter(bp => bp.value);
+  return result;
+}
+
+// ============================================================
+// STYLE REGISTRY
+// ============================================================
+//
+// One constructable CSSStyleSheet holds the rules for every
+// configuration in use. It is adopted into each root (document or
+// ShadowRoot) that contains a primitive, and every data-i id is
+// reference counted per root so unused rules are dropped.
+//
+// Browsers without adoptedStyleSheets get a single
+// <style id="elvish-styles"> per root instead, carrying the configured
+// CSP nonce (see config.js). With configure({ inlineStyles: false })
+// no <style> is ever created.
+
+const rules = new Map();          // id → css
+const roots = new Map();          // root → Map<id, count>
+const held = new WeakMap();       // element → { id, root }
+const fallbackEls = new Map();    // root → <style> (no adoptedStyleSheets)
+
+let sheet = null;
+let flushQueued = false;
+let shadowCSS = '';
+let shadowSheet = null;
+
+const isShadowRoot = (root) =>
+  typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+
+/**
+ * Check if constructable stylesheets can be adopted
+ */
+export const supportsAdoptedStyleSheets = () =>
+  typeof Document !== 'undefined' &&
+  'adoptedStyleSheets' in Document.prototype &&
+  typeof CSSStyleSheet !== 'undefined' &&
+  'replaceSync' in CSSStyleSheet.prototype;
+
+/**
+ * The shared stylesheet (created on first use)
+ * @returns {CSSStyleSheet|null} null when adoptedStyleSheets is unsupported
+ */
+export function getStyleSheet() {
+  if (!sheet && supportsAdoptedStyleSheets()) {
+    sheet = new CSSStyleSheet();
+  }
+  return sheet;
+}
+
+/**
+ * Base rules for primitives inside shadow roots
+ *
+ * Document-level stylesheets (elvish.css) do not reach into shadow
+ * roots, so element rules like `i-hath { display: flex }` are missing
+ * there. Provide them once and they are adopted into every ShadowRoot
+ * that hosts a primitive, alongside the generated rules.
+ *
+ * @param {string} css - e.g. the contents of dist/elvish.min.css
+ */
+export function setShadowStyles(css) {
+  shadowCSS = css || '';
+  shadowSheet?.replaceSync(shadowCSS);
+
+  if (getStyleSheet()) {
+    roots.forEach((counts, root) => isShadowRoot(root) && adopt(root));
+  } else {
+    flushStyles();
+  }
+}
+
+const cssFor = (ids) => [...ids].map(id => rules.get(id)).join('\n');
+
+function getShadowSheet() {
+  if (!shadowSheet && shadowCSS && getStyleSheet()) {
+    shadowSheet = new CSSStyleSheet();
+    shadowSheet.replaceSync(shadowCSS);
+  }
+  return shadowCSS ? shadowSheet : null;
+}
+
+function adopt(root) {
+  const shared = getStyleSheet();
+  if (shared) {
+    const base = isShadowRoot(root) ? getShadowSheet() : null;
+    const missing = [base, shared].filter(s => s && !root.adoptedStyleSheets.includes(s));
+    if (missing.length) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...missing];
+    }
+    return;
+  }
+
+  if (!fallbackEls.has(root) && getConfig().inlineStyles) {
+    const styleEl = createStyleElement();
+    styleEl.id = 'elvish-styles';
+    (root.head || root).appendChild(styleEl);
+    fallbackEls.set(root, styleEl);
+  }
+}
+
+function unadopt(root) {
+  if (sheet) {
+    root.adoptedStyleSheets = root.adoptedStyleSheets
+      .filter(s => s !== sheet && s !== shadowSheet);
+  }
+  fallbackEls.get(root)?.remove();
+  fallbackEls.delete(root);
+}
+
+/**
+ * Write pending changes to the stylesheet(s)
+ *
+ * Changes are batched into a microtask so an element moved within
+ * the DOM (disconnect + connect) does not churn the sheet. Call this
+ * to apply them synchronously.
+ */
+export function flushStyles() {
+  flushQueued = false;
+  const active = new Set();
+
+  for (const [root, counts] of roots) {
+    for (const [id, count] of counts) {
+      if (count > 0) {
+        active.add(id);
+      } else {
+        counts.delete(id);
+      }
+    }
+    if (!counts.size) {
+      unadopt(root);
+      roots.delete(root);
+    }
+  }
+
+  for (const id of rules.keys()) {
+    if (!active.has(id)) rules.delete(id);
+  }
+
+  if (getStyleSheet()) {
+    sheet.replaceSync(cssFor(active));
+    roots.forEach((counts, root) => adopt(root));
+  } else {
+    roots.forEach((counts, root) => {
+      adopt(root);
+      const styleEl = fallbackEls.get(root);
+      if (!styleEl) return;
+      const base = isShadowRoot(root) ? shadowCSS : '';
+      styleEl.textContent = base + cssFor(counts.keys());
+    });
+  }
+}
+
+function scheduleFlush() {
+  if (flushQueued) return;
+  flushQueued = true;
+  queueMicrotask(flushStyles);
+}
+
+/**
+ * Register a use of a configuration's rules in a root
+ *
+ * @param {string} id - data-i id
+ * @param {string} css - Scoped rules for the id
+ * @param {Document|ShadowRoot} [root=document] - Where the user lives
+ */
+export function retainStyles(id, css, root = document) {
+  // Pre-rendered pages already ship a <style id="..."> for the config
+  if (root.getElementById?.(id)?.localName === 'style') return;
+
+  let counts = roots.get(root);
+  if (!counts) {
+    counts = new Map();
+    roots.set(root, counts);
+  }
+
+  const count = counts.get(id) || 0;
+  counts.set(id, count + 1);
+  rules.set(id, css);
+
+  if (count === 0) scheduleFlush();
+}
+
+/**
+ * Drop a use of a configuration's rules
+ * Rules are removed once no element in any root uses them.
+ *
+ * @param {string} id - data-i id
+ * @param {Document|ShadowRoot} [root=document]
+ */
+export function releaseStyles(id, root = document) {
+  const counts = roots.get(root);
+  if (!counts?.has(id)) return;
+
+  const count = counts.get(id) - 1;
+  counts.set(id, count);
+
+  if (count <= 0) scheduleFlush();
+}
+
+/**
+ * Ids currently in use
+ *
+ * @param {Document|ShadowRoot} [root] - Limit to one root
+ * @returns {string[]}
+ */
+export function activeStyleIds(root) {
+  const ids = new Set();
+  const entries = root ? [[root, roots.get(root) || new Map()]] : roots;
+  for (const [, counts] of entries) {
+    counts.forEach((count, id) => count > 0 && ids.add(id));
+  }
+  return [...ids];
+}
+
+/**
+ * Apply generated styles to a live element
+ *
+ * Sets inline properties and data-i, and retains the scoped rules
+ * in the element's root (document or ShadowRoot) while it is
+ * connected. Changing configuration or root releases the previous id.
+ *
+ * @param {HTMLElement} element - Primitive instance
+ * @param {Object} styles - Output of a style generator
+ */
+export function applyStyles(element, { id, css, props }) {
+  Object.entries(props).forEach(([prop, value]) => {
+    element.style.setProperty(prop, value);
+  });
+
+  if (id) {
+    element.dataset.i = id;
+  }
+
+  // Rules must live in the root the element renders in: selectors
+  // in the document do not match inside another component's shadow
+  const root = element.isConnected ? element.getRootNode() : null;
+  const current = held.get(element);
+  if (current && current.id === id && current.root === root) return;
+
+  detachStyles(element);
+
+  if (id && css && element.isConnected) {
+    retainStyles(id, css, root);
+    held.set(element, { id, root });
+  }
+}
+
+/**
+ * Release an element's styles (call from disconnectedCallback)
+ *
+ * @param {HTMLElement} element - Primitive instance
+ */
+export function detachStyles(element) {
+  const current = held.get(element);
+  if (!current) return;
+
+  releaseStyles(current.id, current.root);
+  held.delete(element);
+}
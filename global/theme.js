@@ -0,0 +1,245 @@
+/**
+ * Elvish - Theme Controller
+ *
+ * Persists the chosen theme, restores it on load, follows the OS
+ * preference in "auto", and keeps every open tab in sync.
+ * transitionTheme() (transitions.js) is the animated way to switch;
+ * applyTheme() switches instantly.
+ *
+ * Usage:
+ *
+ * import { initTheme, registerTheme } from './theme.js';
+ * import { transitionTheme } from './transitions.js';
+ *
+ * // Brand themes beyond light/dark/auto
+ * registerTheme('forest', {
+ *   colorScheme: 'dark',
+ *   tokens: { '--color-accent': '#5fae6e' },
+ * });
+ *
+ * initTheme({ defaultTheme: 'auto' });
+ * transitionTheme('forest');
+ *
+ * document.addEventListener('themechange', (e) => {
+ *   console.log(e.detail.theme, e.detail.colorScheme);
+ * });
+ *
+ * Importing this module changes nothing: initTheme() (or the first
+ * <i-theme-toggle>) restores the stored theme and starts syncing. To
+ * avoid a flash before any module runs, inline THEME_BOOTSTRAP in <head>.
+ *
+ * "auto" leaves color-scheme to the stylesheet (tokens.css sets
+ * light dark); explicit themes set it inline on the root.
+ *
+ * The root element gets data-theme (chosen theme) and data-color-scheme
+ * (resolved "light" or "dark") for styling, e.g.
+ *   :root[data-theme="forest"] { --color-primary: ...; }
+ */
+
+const STORAGE_KEY = 'elvish-theme';
+const SCHEME_KEY = 'elvish-theme-scheme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// name → { colorScheme: 'light'|'dark'|'auto', tokens: {} }
+const themes = new Map([
+  ['light', { colorScheme: 'light', tokens: {} }],
+  ['dark', { colorScheme: 'dark', tokens: {} }],
+  ['auto', { colorScheme: 'auto', tokens: {} }],
+]);
+
+let current = null;
+let defaultTheme = 'auto';
+let media = null;
+let listening = false;
+
+/**
+ * Inline <script> source that restores the stored theme before first
+ * paint. Place it in <head>, ahead of stylesheets.
+ */
+export const THEME_BOOTSTRAP = `(function(){try{var r=document.documentElement,t=localStorage.getItem('${STORAGE_KEY}'),s=localStorage.getItem('${SCHEME_KEY}');if(!t)return;r.dataset.theme=t;if(s!=='auto'&&!(!s&&t==='auto'))r.style.colorScheme=s||t;}catch(e){}})();`;
+
+const readStorage = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Storage unavailable (private mode, quota): theme still applies
+  }
+};
+
+const prefersDark = () => Boolean(media?.matches);
+
+/**
+ * Register a named theme
+ *
+ * @param {string} name - e.g. "forest"
+ * @param {Object} [options]
+ * @param {'light'|'dark'|'auto'} [options.colorScheme='light'] - Scheme the theme is built on
+ * @param {Object} [options.tokens] - Custom properties set on :root while active
+ */
+export function registerTheme(name, { colorScheme = 'light', tokens = {} } = {}) {
+  if (!/^[a-z][\w-]*$/i.test(name)) {
+    throw new TypeError(`[elvish] Invalid theme name "${name}"`);
+  }
+  if (!['light', 'dark', 'auto'].includes(colorScheme)) {
+    throw new TypeError(`[elvish] Theme "${name}" has invalid colorScheme "${colorScheme}"`);
+  }
+
+  themes.set(name, { colorScheme, tokens: { ...tokens } });
+
+  // Re-apply if the active theme was redefined, or if it is the stored
+  // choice that could not be restored before it was registered
+  if (name === current) {
+    applyTheme(name, { persist: false, source: 'register' });
+  } else if (listening && readStorage(STORAGE_KEY) === name) {
+    applyTheme(name, { persist: false, source: 'init' });
+  }
+}
+
+/**
+ * Registered theme names
+ * @returns {string[]}
+ */
+export const getThemes = () => [...themes.keys()];
+
+/**
+ * Active theme name (null before initTheme/applyTheme)
+ * @returns {string|null}
+ */
+export const getTheme = () => current;
+
+/**
+ * Resolved color scheme of the active theme
+ * @returns {'light'|'dark'}
+ */
+export function getColorScheme() {
+  const scheme = themes.get(current)?.colorScheme || 'auto';
+  if (scheme === 'auto') return prefersDark() ? 'dark' : 'light';
+  return scheme;
+}
+
+/**
+ * Switch theme immediately (no view transition)
+ *
+ * @param {string} name - Registered theme
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Store the choice for other visits/tabs
+ * @param {string} [options.source='user'] - Reported in the themechange event
+ * @returns {boolean} false if the theme is unknown
+ */
+export function applyTheme(name, { persist = true, source = 'user' } = {}) {
+  const theme = themes.get(name);
+  if (!theme) {
+    console.warn(`[elvish] Unknown theme "${name}"`);
+    return false;
+  }
+
+  const root = document.documentElement;
+  const previous = current;
+
+  // Swap inline tokens
+  Object.keys(themes.get(previous)?.tokens || {}).forEach((prop) => {
+    root.style.removeProperty(prop);
+  });
+  Object.entries(theme.tokens).forEach(([prop, value]) => {
+    root.style.setProperty(prop, value);
+  });
+
+  // Inline color-scheme would beat the author's own CSS, so only
+  // explicit schemes set it
+  if (theme.colorScheme === 'auto') {
+    root.style.removeProperty('color-scheme');
+  } else {
+    root.style.colorScheme = theme.colorScheme;
+  }
+  root.dataset.theme = name;
+  current = name;
+  root.dataset.colorScheme = getColorScheme();
+
+  if (persist) {
+    writeStorage(STORAGE_KEY, name);
+    writeStorage(SCHEME_KEY, theme.colorScheme);
+  }
+
+  emitChange(previous, source);
+  return true;
+}
+
+function emitChange(previous, source) {
+  document.dispatchEvent(new CustomEvent('themechange', {
+    detail: {
+      theme: current,
+      colorScheme: getColorScheme(),
+      previous,
+      source,
+    },
+  }));
+}
+
+function handleSchemeChange() {
+  if (themes.get(current)?.colorScheme !== 'auto') return;
+
+  document.documentElement.dataset.colorScheme = getColorScheme();
+  emitChange(current, 'system');
+}
+
+function handleStorage(event) {
+  if (event.key !== STORAGE_KEY && event.key !== null) return;
+
+  // null key: storage was cleared in another tab
+  const name = event.key === null ? defaultTheme : (event.newValue || defaultTheme);
+  if (name !== current && themes.has(name)) {
+    applyTheme(name, { persist: false, source: 'storage' });
+  }
+}
+
+/**
+ * Restore the stored theme and start syncing with the OS and other tabs
+ * Safe to call again (e.g. with a different default).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.defaultTheme='auto'] - Used when nothing is stored
+ * @returns {string} The applied theme
+ */
+export function initTheme(options = {}) {
+  defaultTheme = options.defaultTheme || defaultTheme;
+
+  if (!listening) {
+    media = typeof matchMedia === 'function' ? matchMedia(DARK_QUERY) : null;
+    media?.addEventListener?.('change', handleSchemeChange);
+    window.addEventListener('storage', handleStorage);
+    listening = true;
+  }
+
+  const stored = readStorage(STORAGE_KEY);
+  const name = themes.has(stored) ? stored : defaultTheme;
+  applyTheme(name, { persist: false, source: 'init' });
+  return name;
+}
+
+/**
+ * Stop following OS and cross-tab changes
+ */
+export function stopThemeSync() {
+  media?.removeEventListener?.('change', handleSchemeChange);
+  window.removeEventListener('storage', handleStorage);
+  listening = false;
+}
+
+export default {
+  initTheme,
+  applyTheme,
+  registerTheme,
+  getTheme,
+  getThemes,
+  getColorScheme,
+  stopThemeSync,
+  THEME_BOOTSTRAP,
+};
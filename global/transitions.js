@@ -23,8 +23,27 @@
  * }).then(() => {
  *   console.log('Transition complete!');
  * });
+ * 
+ * // Several steps, one after another
+ * const sequence = choreograph([
+ *   () => sidebar.setAttribute('collapsed', ''),
+ *   { update: () => grid.append(...cards), stagger: { elements: cards, delay: 40 } },
+ * ]);
+ * await sequence.finished;
  */
 
+import { applyTheme } from './theme.js';
+import { retainStyles, releaseStyles, flushStyles } from './styles.js';
+import { prefersReducedMotion, getMotionFallback } from './motion.js';
+
+// Started by transition(); fallback where document.activeViewTransition is missing
+let currentTransition = null;
+
+// Running choreograph() sequences, cancelled by skipTransition()
+const sequences = new Set();
+
+let staggerCount = 0;
+
 /**
  * Check if View Transitions API is supported
  */
@@ -37,25 +56,34 @@ export const supportsViewTransitions = () =>
  * @returns {ViewTransition|null}
  */
 export const getActiveTransition = () => 
-  document.activeViewTransition ?? null;
+  document.activeViewTransition ?? currentTransition;
 
 /**
  * Wrap a DOM mutation in a view transition
+ * Under reduced motion (motion.js) the change is applied instantly, or
+ * as a plain crossfade (type "reduced-motion") when so configured.
  * 
  * @param {Function} updateCallback - Function that performs DOM changes
  * @param {Object} options - Configuration options
  * @param {number} options.duration - Override transition duration (ms)
  * @param {string} options.easing - Override easing function
  * @param {string[]} options.types - Transition types for :active-view-transition-type()
+ * @param {Element} options.scope - Element whose data-motion override applies
  * @returns {Promise} Resolves when transition completes
  */
 export function transition(updateCallback, options = {}) {
+  const reduced = prefersReducedMotion(options.scope);
+  
   // If View Transitions not supported, just run the callback
-  if (!supportsViewTransitions()) {
+  if (!supportsViewTransitions() || (reduced && getMotionFallback() === 'instant')) {
     updateCallback();
     return Promise.resolve();
   }
   
+  if (reduced) {
+    options = { types: ['reduced-motion'] };
+  }
+  
   // Apply custom duration/easing if provided
   const root = document.documentElement;
   const originalDuration = root.style.getPropertyValue('--transition-duration');
@@ -74,9 +102,13 @@ export function transition(updateCallback, options = {}) {
     : updateCallback;
   
   const viewTransition = document.startViewTransition(transitionOptions);
+  currentTransition = viewTransition;
   
   // Restore original values after transition
   return viewTransition.finished.then(() => {
+    if (currentTransition === viewTransition) {
+      currentTransition = null;
+    }
     if (options.duration) {
       root.style.setProperty('--transition-duration', originalDuration || '');
     }
@@ -95,11 +127,13 @@ export function transition(updateCallback, options = {}) {
  * @param {string[]} changes.addClass - Classes to add
  * @param {string[]} changes.removeClass - Classes to remove
  * @param {string[]} changes.toggleClass - Classes to toggle
- * @param {Object} changes.style - Inline styles to set
+ * @param {Object} changes.style - Inline styles to set (view-transition-* are dropped under reduced motion)
  * @param {Object} options - Transition options
  * @returns {Promise}
  */
 export function transitionTo(element, changes = {}, options = {}) {
+  const reduced = prefersReducedMotion(options.scope || element);
+  
   return transition(() => {
     // Apply attribute changes
     if (changes.attrs) {
@@ -126,10 +160,12 @@ export function transitionTo(element, changes = {}, options = {}) {
     // Apply style changes
     if (changes.style) {
       Object.entries(changes.style).forEach(([prop, value]) => {
+        // Naming only serves the animation
+        if (reduced && prop.startsWith('view-transition-')) return;
         element.style.setProperty(prop, value);
       });
     }
-  }, options);
+  }, { scope: element, ...options });
 }
 
 /**
@@ -180,6 +216,131 @@ export function nameTransitionGroup(elements, prefix = 'item') {
   });
 }
 
+/**
+ * Stagger items of a transition group
+ * Each element gets a view-transition-name (its own, or prefix-index)
+ * and an increasing animation-delay on ::view-transition-group(name)
+ * and its old/new images.
+ * 
+ * @param {NodeList|HTMLElement[]} elements - Elements in entry order
+ * @param {Object} [options]
+ * @param {string} [options.prefix='stagger'] - Name prefix for unnamed elements
+ * @param {number} [options.delay=50] - Delay between items (ms)
+ * @param {number} [options.start=0] - Delay before the first item (ms)
+ * @returns {Function} Removes the delays and restores the previous names
+ */
+export function staggerTransitionGroup(elements, options = {}) {
+  const { prefix = 'stagger', delay = 50, start = 0 } = options;
+  const id = `elvish-stagger-${++staggerCount}`;
+  const previous = [];
+  
+  const css = Array.from(elements).map((el, i) => {
+    const current = el.style.viewTransitionName;
+    previous.push([el, current]);
+    
+    // match-element/auto names cannot be targeted from CSS
+    const name = current && !['none', 'auto', 'match-element'].includes(current)
+      ? current
+      : `${prefix}-${i}`;
+    el.style.viewTransitionName = name;
+    
+    const pseudos = ['group', 'old', 'new'].map(p => `::view-transition-${p}(${name})`);
+    return `${pseudos.join(', ')} { animation-delay: ${start + i * delay}ms; }`;
+  }).join('\n');
+  
+  retainStyles(id, css);
+  // The pseudo-elements are built right after the update; don't wait for the batch
+  flushStyles();
+  
+  return () => {
+    releaseStyles(id);
+    previous.forEach(([el, name]) => {
+      el.style.viewTransitionName = name;
+    });
+  };
+}
+
+/**
+ * Run view transitions one after another
+ * 
+ * Each step is an update function or an object with the update and
+ * its own transition options. Steps wait for the previous transition
+ * to finish. Cancelling (or skipTransition()) skips the running
+ * transition and applies the remaining updates without animation,
+ * so the sequence still ends in its final state.
+ * 
+ * @param {Array<Function|Object>} steps
+ * @param {Function} steps[].update - DOM changes for the step
+ * @param {Object} [steps[].stagger] - staggerTransitionGroup() options plus `elements`
+ * @param {number} [steps[].pause] - Wait before the step (ms)
+ * @param {number} [steps[].duration] - Plus easing and types, as transition()
+ * @param {Object} [defaults] - Transition options shared by every step
+ * @returns {{finished: Promise<boolean>, cancel: Function, step: number, cancelled: boolean}}
+ *   finished resolves to true when every step animated, false when cancelled
+ */
+export function choreograph(steps, defaults = {}) {
+  let cancelled = false;
+  let running = false;
+  let index = -1;
+  let wake = null;
+  
+  const sequence = {
+    get step() { return index; },
+    get cancelled() { return cancelled; },
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      wake?.();
+      if (running) getActiveTransition()?.skipTransition();
+    },
+  };
+  
+  const wait = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+  
+  const run = async () => {
+    sequences.add(sequence);
+    
+    try {
+      for (index = 0; index < steps.length; index++) {
+        const step = typeof steps[index] === 'function'
+          ? { update: steps[index] }
+          : steps[index];
+        const { update = () => {}, stagger, pause, ...options } = { ...defaults, ...step };
+        
+        if (pause && !cancelled) await wait(pause);
+        if (cancelled) {
+          update();
+          continue;
+        }
+        
+        const restore = stagger && !prefersReducedMotion(options.scope)
+          ? staggerTransitionGroup(stagger.elements, stagger)
+          : null;
+        running = true;
+        try {
+          await transition(update, options);
+        } finally {
+          running = false;
+          restore?.();
+        }
+      }
+    } finally {
+      sequences.delete(sequence);
+    }
+    
+    return !cancelled;
+  };
+  
+  sequence.finished = run();
+  return sequence;
+}
+
 /**
  * Enable auto-naming with match-element for a container's children
  * Each child gets a unique browser-generated name automatically
@@ -228,19 +389,14 @@ export function transitionRatio(ratio, options = {}) {
 
 /**
  * Elvish-specific: Transition theme change
+ * Applied and persisted through the theme controller (theme.js).
  * 
- * @param {'light'|'dark'|'auto'} theme - New theme
+ * @param {'light'|'dark'|'auto'|string} theme - New theme (or a registered brand theme)
  * @param {Object} options - Transition options
  */
 export function transitionTheme(theme, options = {}) {
   return transition(() => {
-    const root = document.documentElement;
-    if (theme === 'auto') {
-      root.style.colorScheme = 'light dark';
-    } else {
-      root.style.colorScheme = theme;
-    }
-    localStorage.setItem('elvish-theme', theme);
+    applyTheme(theme);
   }, { duration: 300, types: ['theme'], ...options });
 }
 
@@ -253,7 +409,8 @@ export function transitionTheme(theme, options = {}) {
  */
 export function transitionLayout(primitive, attrs, options = {}) {
   // Give the primitive a transition name if it doesn't have one
-  if (!primitive.style.viewTransitionName) {
+  // (nothing should move under reduced motion)
+  if (!primitive.style.viewTransitionName && !prefersReducedMotion(primitive)) {
     primitive.style.viewTransitionName = primitive.tagName.toLowerCase();
   }
   
@@ -262,8 +419,11 @@ export function transitionLayout(primitive, attrs, options = {}) {
 
 /**
  * Skip/cancel the currently active view transition
+ * Also cancels running choreograph() sequences.
  */
 export function skipTransition() {
+  sequences.forEach(sequence => sequence.cancel());
+  
   const active = getActiveTransition();
   if (active) {
     active.skipTransition();
@@ -278,6 +438,8 @@ export default {
   setTransitionName,
   clearTransitionName,
   nameTransitionGroup,
+  staggerTransitionGroup,
+  choreograph,
   enableAutoNaming,
   disableAutoNaming,
   transitionRatio,
@@ -0,0 +1,251 @@
+/**
+ * Elvish - Server-side Prerender
+ *
+ * Computes the data-i ids, inline properties and scoped CSS that each
+ * layout primitive would generate in render(), so pages can ship them
+ * in the initial HTML and hydrate with no layout shift.
+ *
+ * Runs in Node (no DOM required) and reuses the exact style generators
+ * the custom elements use in the browser.
+ *
+ * Usage:
+ *
+ * import { prerender } from 'elvish-css/prerender';
+ *
+ * const html = prerender(`
+ *   <html><head></head><body>
+ *     <i-hath space="var(--s2)">...</i-hath>
+ *   </body></html>
+ * `);
+ *
+ * // Or keep the styles separate (e.g. for a framework-managed <head>)
+ * const { html, styles } = prerenderStyles(markup);
+ */
+
+import { hathStyles } from './primitives/hath/hath.styles.js';
+import { bauStyles } from './primitives/bau/bau.styles.js';
+import { enedhStyles } from './primitives/enedh/enedh.styles.js';
+import { tiniathStyles } from './primitives/tiniath/tiniath.styles.js';
+import { glanVelegStyles } from './primitives/glan-veleg/glan-veleg.styles.js';
+import { gwistindorStyles } from './primitives/gwistindor/gwistindor.styles.js';
+import { esgalStyles } from './primitives/esgal/esgal.styles.js';
+import { vircantieStyles } from './primitives/vircantie/vircantie.styles.js';
+import { gantThalaStyles } from './primitives/gant-thala/gant-thala.styles.js';
+import { glanThollStyles } from './primitives/glan-tholl/glan-tholl.styles.js';
+import { fanoStyles } from './primitives/fano/fano.styles.js';
+import { thannStyles } from './primitives/thann/thann.styles.js';
+import { adleithianStyles } from './primitives/adleithian/adleithian.styles.js';
+import { himStyles } from './primitives/him/him.styles.js';
+import { miriantStyles } from './primitives/miriant/miriant.styles.js';
+import { gonathStyles } from './primitives/gonath/gonath.styles.js';
+
+// Tag name → style generator
+export const GENERATORS = {
+  'i-hath': hathStyles,
+  'i-bau': bauStyles,
+  'i-enedh': enedhStyles,
+  'i-tiniath': tiniathStyles,
+  'i-glan-veleg': glanVelegStyles,
+  'i-gwistindor': gwistindorStyles,
+  'i-esgal': esgalStyles,
+  'i-vircantie': vircantieStyles,
+  'i-gant-thala': gantThalaStyles,
+  'i-glan-tholl': glanThollStyles,
+  'i-fano': fanoStyles,
+  'i-thann': thannStyles,
+  'i-adleithian': adleithianStyles,
+  'i-him': himStyles,
+  'i-miriant': miriantStyles,
+  'i-gonath': gonathStyles,
+};
+
+// Comments and raw-text elements are skipped; opening i-* tags are
+// rewritten; <template> tags are tracked for declarative shadow roots
+const TOKEN_RE = /<!--[\s\S]*?-->|<(script|style|textarea)\b[\s\S]*?<\/\1\s*>|<(i-[a-z][a-z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|<(\/?)template\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const SHADOW_MARKER_RE = /\u0000elvish-shadow-(\d+)\u0000/g;
+const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const decodeEntities = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const escapeAttr = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Parse an attribute string into an ordered Map
+ *
+ * @param {string} source - Raw attribute source from an opening tag
+ * @returns {Map<string, string>}
+ */
+function parseAttributes(source) {
+  const attrs = new Map();
+  for (const [, name, dq, sq, bare] of source.matchAll(ATTR_RE)) {
+    const key = name.toLowerCase();
+    if (attrs.has(key)) continue;
+    attrs.set(key, decodeEntities(dq ?? sq ?? bare ?? ''));
+  }
+  return attrs;
+}
+
+/**
+ * Minimal element stand-in for the style generators
+ *
+ * @param {Map<string, string>|Object} attributes
+ * @returns {{getAttribute: Function, hasAttribute: Function}}
+ */
+function attributeReader(attributes) {
+  const attrs = attributes instanceof Map
+    ? attributes
+    : new Map(Object.entries(attributes));
+
+  return {
+    getAttribute: (name) => (attrs.has(name) ? String(attrs.get(name)) : null),
+    hasAttribute: (name) => attrs.has(name),
+  };
+}
+
+/**
+ * Merge generated properties into an existing style attribute
+ * Generated values win, matching element.style.setProperty()
+ */
+function mergeStyle(existing = '', props) {
+  const declarations = existing
+    .split(';')
+    .map(d => d.trim())
+    .filter(Boolean)
+    .filter(d => !(d.slice(0, d.indexOf(':')).trim() in props));
+
+  Object.entries(props).forEach(([prop, value]) => {
+    if (value !== '') declarations.push(`${prop}: ${value}`);
+  });
+
+  return declarations.join('; ');
+}
+
+/**
+ * Compute the styles a single primitive would generate
+ *
+ * @param {string} tagName - e.g. "i-hath"
+ * @param {Object|Map} attributes - Attribute name → value ('' for booleans)
+ * @returns {{id: string|null, css: string, props: Object}|null} null for unknown tags
+ */
+export function prerenderElement(tagName, attributes = {}) {
+  const generate = GENERATORS[tagName.toLowerCase()];
+  return generate ? generate(attributeReader(attributes)) : null;
+}
+
+const styleTags = (css, nonce) => [...css]
+  .map(([id, rules]) => `<style id="${id}"${nonce ? ` nonce="${escapeAttr(nonce)}"` : ''}>${rules}</style>`)
+  .join('\n');
+
+/**
+ * Walk markup, add data-i and inline properties to every primitive,
+ * and collect the scoped CSS
+ *
+ * Primitives inside a declarative shadow root
+ * (<template shadowrootmode="...">) get their <style> tags placed at
+ * the start of that template, since document styles do not reach them.
+ *
+ * @param {string} html - Markup to process
+ * @param {Object} [options]
+ * @param {string} [options.nonce] - CSP nonce for the emitted <style> tags
+ * @returns {{html: string, styles: string, css: Map<string, string>}}
+ *   html   - Markup with primitives' attributes filled in
+ *   styles - One <style id="..."> per document-level configuration
+ *   css    - data-i id → scoped CSS (document level)
+ */
+export function prerenderStyles(html, { nonce } = {}) {
+  const css = new Map();
+  const shadowScopes = [];
+  const scopes = [css];
+
+  const output = html.replace(TOKEN_RE, (match, rawTag, tagName, attrSource = '', selfClose, templateClose, templateAttrs) => {
+    if (templateClose !== undefined) {
+      if (templateClose) {
+        if (scopes.length > 1) scopes.pop();
+        return match;
+      }
+
+      // Plain templates share their parent's scope
+      if (!/\sshadowrootmode\s*=/i.test(` ${templateAttrs}`)) {
+        scopes.push(scopes[scopes.length - 1]);
+        return match;
+      }
+
+      const scope = new Map();
+      scopes.push(scope);
+      shadowScopes.push(scope);
+      return `${match}\u0000elvish-shadow-${shadowScopes.length - 1}\u0000`;
+    }
+
+    if (!tagName) return match;
+
+    const attrs = parseAttributes(attrSource);
+    const result = prerenderElement(tagName, attrs);
+    if (!result) return match;
+
+    const { id, props } = result;
+    const style = mergeStyle(attrs.get('style'), props);
+
+    if (style) {
+      attrs.set('style', style);
+    } else {
+      attrs.delete('style');
+    }
+
+    if (id) {
+      attrs.set('data-i', id);
+      const scope = scopes[scopes.length - 1];
+      if (result.css && !scope.has(id)) {
+        scope.set(id, result.css);
+      }
+    }
+
+    const serialized = [...attrs]
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttr(value)}"`))
+      .join('');
+
+    return `<${tagName}${serialized}${selfClose ? ' /' : ''}>`;
+  });
+
+  const withShadowStyles = output.replace(SHADOW_MARKER_RE, (marker, index) => {
+    const tags = styleTags(shadowScopes[index], nonce);
+    return tags ? `${tags}\n` : '';
+  });
+
+  return { html: withShadowStyles, styles: styleTags(css, nonce), css };
+}
+
+/**
+ * Prerender primitives and inline their styles into the document
+ *
+ * Styles go before </head> when present, otherwise before the markup.
+ * Each <style> carries the configuration's id, so the custom elements
+ * find it on upgrade and do not inject it again.
+ *
+ * @param {string} html - Document or fragment markup
+ * @param {Object} [options] - See prerenderStyles()
+ * @returns {string}
+ */
+export function prerender(html, options = {}) {
+  const { html: output, styles } = prerenderStyles(html, options);
+  if (!styles) return output;
+
+  const headClose = output.search(/<\/head\s*>/i);
+  if (headClose === -1) {
+    return `${styles}\n${output}`;
+  }
+
+  return `${output.slice(0, headClose)}${styles}\n${output.slice(headClose)}`;
+}
+
+export default {
+  prerender,
+  prerenderStyles,
+  prerenderElement,
+};
@@ -16,6 +16,9 @@
  * }
  */
 
+import { applyStyles } from '../../global/styles.js';
+import { adleithianStyles } from './adleithian.styles.js';
+
 class AdleithianLayout extends HTMLElement {
   static get observedAttributes() {
     return ['name'];
@@ -47,12 +50,8 @@ class AdleithianLayout extends HTMLElement {
   }
 
   render() {
-    // Set adleithian-name via style if provided
-    if (this.name) {
-      this.style.containerName = this.name;
-    } else {
-      this.style.containerName = '';
-    }
+    // Set container-name via style if provided
+    applyStyles(this, adleithianStyles(this));
   }
 }
 
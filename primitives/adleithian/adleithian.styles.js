@@ -0,0 +1,20 @@
+/**
+ * Adleithian style generator
+ *
+ * Shared by AdleithianLayout and the server-side prerenderer (prerender.js).
+ */
+
+/**
+ * Generate inline properties for an i-adleithian
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function adleithianStyles(el) {
+  // Adleithian only names the container; there are no scoped rules
+  return {
+    id: null,
+    css: '',
+    props: { 'container-name': el.getAttribute('name') || '' },
+  };
+}
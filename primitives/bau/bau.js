@@ -15,6 +15,9 @@
  * </i-bau>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { bauStyles } from './bau.styles.js';
+
 class BauLayout extends HTMLElement {
   static get observedAttributes() {
     return ['padding', 'border-width', 'invert', 'borderless', 'compact'];
@@ -29,6 +32,10 @@ class BauLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -86,37 +93,7 @@ class BauLayout extends HTMLElement {
   }
 
   render() {
-    // Set CSS custom properties for this instance
-    this.style.setProperty('--bau-padding', this.padding);
-    this.style.setProperty('--bau-border-width', this.borderWidth);
-
-    // Generate unique identifier
-    const invertStr = this.invert ? '-invert' : '';
-    const borderlessStr = this.borderless ? '-borderless' : '';
-    const compactStr = this.compact ? '-compact' : '';
-    const id = `Bau-${this.padding}-${this.borderWidth}${invertStr}${borderlessStr}${compactStr}`.replace(/[^\w-]/g, '');
-    
-    this.dataset.i = id;
-
-    // Check if styles already exist
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = `${selector} { padding: ${this.padding}; border-width: ${this.borderWidth}; }`;
-      
-      if (this.borderless) {
-        css += `${selector} { border-width: 0; }`;
-      }
-      
-      if (this.compact) {
-        css += `${selector} { padding: 0; }`;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, bauStyles(this));
   }
 }
 
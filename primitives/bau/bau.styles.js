@@ -0,0 +1,47 @@
+/**
+ * Bau style generator
+ *
+ * Shared by BauLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-bau
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function bauStyles(el) {
+  const padding = el.getAttribute('padding') || 'var(--s1)';
+  const borderWidth = el.getAttribute('border-width') || 'var(--border-thin)';
+  const invert = el.hasAttribute('invert');
+  const borderless = el.hasAttribute('borderless');
+  const compact = el.hasAttribute('compact');
+
+  // Generate unique identifier
+  const invertStr = invert ? '-invert' : '';
+  const borderlessStr = borderless ? '-borderless' : '';
+  const compactStr = compact ? '-compact' : '';
+  const id = toStyleId(`Bau-${padding}-${borderWidth}${invertStr}${borderlessStr}${compactStr}`);
+
+  const selector = scopeSelector(id);
+  let css = `${selector} { padding: ${padding}; border-width: ${borderWidth}; }`;
+
+  if (borderless) {
+    css += `${selector} { border-width: 0; }`;
+  }
+
+  if (compact) {
+    css += `${selector} { padding: 0; }`;
+  }
+
+  return {
+    id,
+    css,
+    props: {
+      '--bau-padding': padding,
+      '--bau-border-width': borderWidth,
+    },
+  };
+}
@@ -14,6 +14,9 @@
  * </i-enedh>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { enedhStyles } from './enedh.styles.js';
+
 class EnedhLayout extends HTMLElement {
   static get observedAttributes() {
     return ['max', 'gutters', 'intrinsic', 'and-text'];
@@ -28,6 +31,10 @@ class EnedhLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -73,33 +80,7 @@ class EnedhLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--enedh-max', this.max);
-    this.style.setProperty('--enedh-gutters', this.gutters);
-
-    const intrinsicStr = this.intrinsic ? '-intrinsic' : '';
-    const textStr = this.andText ? '-andText' : '';
-    const id = `Enedh-${this.max}-${this.gutters}${intrinsicStr}${textStr}`.replace(/[^\w-]/g, '');
-    
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = `${selector} { max-inline-size: ${this.max}; padding-inline: ${this.gutters}; }`;
-      
-      if (this.intrinsic) {
-        css += `${selector} { display: flex; flex-direction: column; align-items: center; }`;
-      }
-      
-      if (this.andText) {
-        css += `${selector} { text-align: center; }`;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, enedhStyles(this));
   }
 }
 
@@ -0,0 +1,44 @@
+/**
+ * Enedh style generator
+ *
+ * Shared by EnedhLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-enedh
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function enedhStyles(el) {
+  const max = el.getAttribute('max') || 'var(--measure)';
+  const gutters = el.getAttribute('gutters') || '0';
+  const intrinsic = el.hasAttribute('intrinsic');
+  const andText = el.hasAttribute('and-text');
+
+  const intrinsicStr = intrinsic ? '-intrinsic' : '';
+  const textStr = andText ? '-andText' : '';
+  const id = toStyleId(`Enedh-${max}-${gutters}${intrinsicStr}${textStr}`);
+
+  const selector = scopeSelector(id);
+  let css = `${selector} { max-inline-size: ${max}; padding-inline: ${gutters}; }`;
+
+  if (intrinsic) {
+    css += `${selector} { display: flex; flex-direction: column; align-items: center; }`;
+  }
+
+  if (andText) {
+    css += `${selector} { text-align: center; }`;
+  }
+
+  return {
+    id,
+    css,
+    props: {
+      '--enedh-max': max,
+      '--enedh-gutters': gutters,
+    },
+  };
+}
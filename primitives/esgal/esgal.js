@@ -16,6 +16,9 @@
  * </i-esgal>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { esgalStyles } from './esgal.styles.js';
+
 class EsgalLayout extends HTMLElement {
   static get observedAttributes() {
     return ['centered', 'space', 'min-height', 'no-pad'];
@@ -30,6 +33,10 @@ class EsgalLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -71,40 +78,7 @@ class EsgalLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--esgal-min-height', this.minHeight);
-    this.style.setProperty('--esgal-space', this.space);
-
-    const noPadStr = this.noPad ? '-noPad' : '';
-    const id = `Esgal-${this.centered}-${this.minHeight}-${this.space}${noPadStr}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      const padding = this.noPad ? '0' : this.space;
-      
-      styleEl.textContent = `
-        ${selector} {
-          min-block-size: ${this.minHeight};
-          padding: ${padding};
-        }
-        ${selector} > * {
-          margin-block: ${this.space};
-        }
-        ${selector} > :first-child:not(${this.centered}) {
-          margin-block-start: 0;
-        }
-        ${selector} > :last-child:not(${this.centered}) {
-          margin-block-end: 0;
-        }
-        ${selector} > ${this.centered} {
-          margin-block: auto;
-        }
-      `;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, esgalStyles(this));
   }
 }
 
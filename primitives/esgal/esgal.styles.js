@@ -0,0 +1,54 @@
+/**
+ * Esgal style generator
+ *
+ * Shared by EsgalLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-esgal
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function esgalStyles(el) {
+  const centered = el.getAttribute('centered') || 'h1';
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const minHeight = el.getAttribute('min-height') || '100vh';
+  const noPad = el.hasAttribute('no-pad');
+
+  const noPadStr = noPad ? '-noPad' : '';
+  const id = toStyleId(`Esgal-${centered}-${minHeight}-${space}${noPadStr}`);
+
+  const selector = scopeSelector(id);
+  const padding = noPad ? '0' : space;
+
+  const css = `
+    ${selector} {
+      min-block-size: ${minHeight};
+      padding: ${padding};
+    }
+    ${selector} > * {
+      margin-block: ${space};
+    }
+    ${selector} > :first-child:not(${centered}) {
+      margin-block-start: 0;
+    }
+    ${selector} > :last-child:not(${centered}) {
+      margin-block-end: 0;
+    }
+    ${selector} > ${centered} {
+      margin-block: auto;
+    }
+  `;
+
+  return {
+    id,
+    css,
+    props: {
+      '--esgal-min-height': minHeight,
+      '--esgal-space': space,
+    },
+  };
+}
@@ -16,6 +16,9 @@
  * </div>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { fanoStyles } from './fano.styles.js';
+
 class FanoLayout extends HTMLElement {
   static get observedAttributes() {
     return ['fixed', 'contain', 'margin'];
@@ -30,6 +33,10 @@ class FanoLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -67,37 +74,7 @@ class FanoLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--fano-margin', this.margin);
-
-    const fixedStr = this.fixed ? '-fixed' : '';
-    const containStr = this.contain ? '-contain' : '';
-    const id = `Fano-${this.margin}${fixedStr}${containStr}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = '';
-      
-      if (this.fixed) {
-        css += `${selector} { position: fixed; }`;
-      }
-      
-      if (this.contain) {
-        css += `
-          ${selector} {
-            overflow: auto;
-            max-inline-size: calc(100% - (${this.margin} * 2));
-            max-block-size: calc(100% - (${this.margin} * 2));
-          }
-        `;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, fanoStyles(this));
   }
 }
 
@@ -0,0 +1,42 @@
+/**
+ * Fano style generator
+ *
+ * Shared by FanoLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-fano
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function fanoStyles(el) {
+  const fixed = el.hasAttribute('fixed');
+  const contain = el.hasAttribute('contain');
+  const margin = el.getAttribute('margin') || '0px';
+
+  const fixedStr = fixed ? '-fixed' : '';
+  const containStr = contain ? '-contain' : '';
+  const id = toStyleId(`Fano-${margin}${fixedStr}${containStr}`);
+
+  const selector = scopeSelector(id);
+  let css = '';
+
+  if (fixed) {
+    css += `${selector} { position: fixed; }`;
+  }
+
+  if (contain) {
+    css += `
+      ${selector} {
+        overflow: auto;
+        max-inline-size: calc(100% - (${margin} * 2));
+        max-block-size: calc(100% - (${margin} * 2));
+      }
+    `;
+  }
+
+  return { id, css, props: { '--fano-margin': margin } };
+}
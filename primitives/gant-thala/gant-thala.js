@@ -11,6 +11,9 @@
  * </i-gant-thala>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { gantThalaStyles } from './gant-thala.styles.js';
+
 class GantThalaLayout extends HTMLElement {
   static get observedAttributes() {
     return ['ratio'];
@@ -25,6 +28,10 @@ class GantThalaLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -38,27 +45,7 @@ class GantThalaLayout extends HTMLElement {
   }
 
   render() {
-    const [n, d] = this.ratio.split(':').map(v => v.trim());
-    
-    this.style.setProperty('--gant-thala-n', n);
-    this.style.setProperty('--gant-thala-d', d);
-
-    const id = `GantThala-${n}-${d}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      
-      styleEl.textContent = `
-        ${selector} {
-          gant-thala-ratio: ${n} / ${d};
-        }
-      `;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, gantThalaStyles(this));
   }
 }
 
@@ -0,0 +1,36 @@
+/**
+ * GantThala style generator
+ *
+ * Shared by GantThalaLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-gant-thala
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function gantThalaStyles(el) {
+  const ratio = el.getAttribute('ratio') || '16:9';
+  const [n, d] = ratio.split(':').map(v => v.trim());
+
+  const id = toStyleId(`GantThala-${n}-${d}`);
+  const selector = scopeSelector(id);
+
+  const css = `
+    ${selector} {
+      gant-thala-ratio: ${n} / ${d};
+    }
+  `;
+
+  return {
+    id,
+    css,
+    props: {
+      '--gant-thala-n': n,
+      '--gant-thala-d': d,
+    },
+  };
+}
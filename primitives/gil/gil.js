@@ -21,297 +21,871 @@
  *   
  *   <!-- Prefetch on idle -->
  *   <i-gil href="/contact" prefetch-on="idle">Contact</i-gil>
+ *   
+ *   <!-- Warm what the next page needs -->
+ *   <i-gil href="/gallery"
+ *          prefetch="html font:/fonts/serif.woff2 primitive:gonath,miriant srcset:g-480.jpg@480w,g-960.jpg@960w"
+ *          prefetch-sizes="50vw">
+ *     Gallery
+ *   </i-gil>
  * 
  * Attributes:
  *   href          - Link destination (required)
  *   prefetch      - Resources to prefetch (default: "html")
  *                   Format: "type:resource,resource;type:resource"
- *                   Types: html, css, js, icons, json, image
+ *                   Types: html, css, js, icons, json, image,
+ *                   font     - <link rel="preload" as="font" crossorigin>
+ *                   module   - <link rel="modulepreload">
+ *                   primitive - Elvish primitive names; imports the JS
+ *                              and preloads the stylesheet, applied once
+ *                              the page has the element (e.g. primitive:gonath)
+ *                   srcset   - One responsive image: candidates as
+ *                              url@480w,url@960w (or @2x); the browser
+ *                              picks one using prefetch-sizes
+ *   prefetch-sizes - sizes for srcset: (default: "100vw")
  *   prefetch-on   - When to prefetch:
  *                   "hover" (default), "visible", "idle", "immediate"
  *   prefetch-delay - Delay in ms before prefetching on hover (default: 65)
+ *   strategy      - "link" (default) or "speculation": the page itself is
+ *                   fetched through the Speculation Rules API instead of
+ *                   <link rel="prefetch">, falling back to it where unsupported
+ *   prerender     - With strategy="speculation", prerender instead of prefetch
+ *                   (ignored with swap, which prefetches for the router)
+ * 
+ *   Speculation eagerness follows prefetch-on: hover → moderate,
+ *   visible/idle → eager, immediate → immediate, anything else → conservative.
+ *   All i-gil share one <script type="speculationrules">.
+ * 
+ *   <i-gil href="/checkout" strategy="speculation" prerender>Checkout</i-gil>
+ * 
+ * Cross-document view transitions:
+ *   transition        - Opt this page into @view-transition navigations
+ *   transition-name   - Name the link (or transition-target) as the page
+ *                       swaps; the destination element with the same
+ *                       data-transition-name (or i-gil transition-name)
+ *                       is named as the new page is revealed
+ *   transition-types  - View transition types for both pages, e.g. "slide forward"
+ *   transition-target - Selector inside the i-gil to name (default: the i-gil)
+ * 
+ *   Either attribute above opts in. The destination page must opt in
+ *   too (an i-gil with transition, or global/transitions.css), and load
+ *   this module early enough to see pagereveal (e.g. blocking="render").
+ * 
+ *   <i-gil href="/products/42" transition-name="product-42" transition-target="img">
+ *     <img src="42.jpg" alt=""> Lamp
+ *   </i-gil>
+ *   <!-- /products/42 -->
+ *   <img data-transition-name="product-42" src="42-large.jpg" alt="">
+ * 
+ * Client-side navigation (gil.router.js):
+ *   swap          - Selector of the region to replace (default "main");
+ *                   clicks fetch the page (or reuse the prefetch) and swap
+ *                   that region inside a "navigation" view transition
+ * 
+ *   <i-gil href="/docs/grid" swap="#content">Grid</i-gil>
+ * 
+ * Prefetches go through one page-wide scheduler (gil.scheduler.js):
+ * hover intent first, a concurrency limit, a per-page budget, and
+ * nothing on saveData. See ElvishGil.configurePrefetch().
+ * A page-wide registry (gil.registry.js) fetches each URL once, retries
+ * failures with backoff, and answers ElvishGil.prefetchStatus(url).
+ * 
+ * Events:
+ *   prefetched      - Resources were prefetched
+ *   gil:prefetch-stats - On document, scheduler counters after each request
+ *   gil:pageswap    - On the i-gil, as its navigation starts a view transition
+ *   gil:pagereveal  - On document, as a page is revealed with a view transition
+ *   Both carry { viewTransition, name, types, url } in detail.
+ */
+
+import { setTransitionName, clearTransitionName } from '../../global/transitions.js';
+import { retainStyles, releaseStyles } from '../../global/styles.js';
+import { getNonce } from '../../global/config.js';
+import { prefersReducedMotion } from '../../global/motion.js';
+import {
+  schedulePrefetch,
+  whenLoaded,
+  resourceBytes,
+  configurePrefetch,
+  resetPrefetchBudget,
+  getPrefetchStats,
+} from './gil.scheduler.js';
+import { navigate, prefetchDocument } from './gil.router.js';
+import {
+  requestPrefetch,
+  getPrefetchStatus,
+  configureRetry,
+} from './gil.registry.js';
+
+const NAVIGATION_STYLE_ID = 'elvish-gil-navigation';
+const NAVIGATION_CSS = '@view-transition { navigation: auto; }';
+// Carries the name/types across the navigation (same-origin only)
+const CARRY_KEY = 'elvish-gil-transition';
+
+// i-gil whose link was just followed
+let navigating = null;
+// Element named in pageswap; cleared when the page is shown again (bfcache)
+let swappedTarget = null;
+
+const withoutHash = (url) => url.split('#')[0];
+
+const readCarried = () => {
+  try {
+    const carried = JSON.parse(sessionStorage.getItem(CARRY_KEY));
+    sessionStorage.removeItem(CARRY_KEY);
+    return carried;
+  } catch {
+    return null;
+  }
+};
+
+function handlePageSwap(event) {
+  const gil = navigating;
+  navigating = null;
+
+  const viewTransition = event.viewTransition;
+  const url = event.activation?.entry?.url;
+  if (!viewTransition || !gil?.isConnected || !url) return;
+  if (withoutHash(url) !== withoutHash(gil.anchor?.href || '')) return;
+
+  const name = gil.getAttribute('transition-name');
+  const types = gil.transitionTypes;
+  types.forEach(type => viewTransition.types?.add(type));
+
+  if (name && !prefersReducedMotion(gil)) {
+    swappedTarget = gil.transitionTarget;
+    setTransitionName(swappedTarget, name);
+  }
+
+  try {
+    sessionStorage.setItem(CARRY_KEY, JSON.stringify({ name, types, url }));
+  } catch {
+    // Storage unavailable: the new page still transitions, unnamed
+  }
+
+  gil.dispatchEvent(new CustomEvent('gil:pageswap', {
+    bubbles: true,
+    detail: { viewTransition, name, types, url },
+  }));
+}
+
+function handlePageReveal(event) {
+  if (swappedTarget) {
+    clearTransitionName(swappedTarget);
+    swappedTarget = null;
+  }
+
+  const carried = readCarried();
+  const viewTransition = event.viewTransition;
+  if (!viewTransition) return;
+
+  // Only the page the link pointed to (not a later back/forward)
+  const match = carried && withoutHash(carried.url) === withoutHash(location.href);
+  const name = match ? carried.name : null;
+  const types = match ? carried.types : [];
+  types.forEach(type => viewTransition.types?.add(type));
+
+  if (name && !prefersReducedMotion()) {
+    const escaped = CSS.escape(name);
+    const found = document.querySelector(
+      `[data-transition-name="${escaped}"], i-gil[transition-name="${escaped}"]`,
+    );
+    const target = found?.localName === 'i-gil' ? found.transitionTarget : found;
+
+    if (target) {
+      setTransitionName(target, name);
+      viewTransition.finished.finally(() => clearTransitionName(target));
+    }
+  }
+
+  document.dispatchEvent(new CustomEvent('gil:pagereveal', {
+    detail: { viewTransition, name, types, url: location.href },
+  }));
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pageswap', handlePageSwap);
+  window.addEventListener('pagereveal', handlePageReveal);
+}
+
+// prefetch-on → speculation rules eagerness
+const EAGERNESS = {
+  hover: 'moderate',
+  visible: 'eager',
+  idle: 'eager',
+  immediate: 'immediate',
+};
+
+// i-gil → { action, url, eagerness }
+const speculations = new Map();
+let speculationScript = null;
+let speculationQueued = false;
+
+const supportsSpeculationRules = () =>
+  Boolean(window.HTMLScriptElement?.supports?.('speculationrules'));
+
+/**
+ * Rebuild the shared rules block
+ * Browsers read a speculationrules script once, so changes replace it.
  */
+function writeSpeculationRules() {
+  speculationQueued = false;
+  const groups = new Map();
+
+  speculations.forEach(({ action, url, eagerness }) => {
+    const key = `${action} ${eagerness}`;
+    if (!groups.has(key)) groups.set(key, { action, eagerness, urls: new Set() });
+    groups.get(key).urls.add(url);
+  });
+
+  const rules = {};
+  groups.forEach(({ action, eagerness, urls }) => {
+    (rules[action] ||= []).push({ source: 'list', urls: [...urls], eagerness });
+  });
+
+  let script = null;
+  if (groups.size) {
+    script = document.createElement('script');
+    script.type = 'speculationrules';
+    const nonce = getNonce();
+    if (nonce) script.setAttribute('nonce', nonce);
+    script.textContent = JSON.stringify(rules);
+  }
+
+  if (speculationScript && script) {
+    speculationScript.replaceWith(script);
+  } else if (script) {
+    document.head.appendChild(script);
+  } else {
+    speculationScript?.remove();
+  }
+  speculationScript = script;
+}
 
-(function() {
-  'use strict';
+function scheduleSpeculationRules() {
+  if (speculationQueued) return;
+  speculationQueued = true;
+  queueMicrotask(writeSpeculationRules);
+}
+
+const FONT_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+};
+
+const PRIMITIVE_NAME = /^[a-z]+(?:-[a-z]+)*$/;
+
+// Primitives live next to this one: primitives/<name>/<name>.js
+const primitiveUrls = (name) => ({
+  js: new URL(`../${name}/${name}.js`, import.meta.url).href,
+  css: new URL(`../${name}/${name}.css`, import.meta.url).href,
+});
+
+// "a.jpg@480w,b.jpg@960w" → [{ url, descriptor }]
+// Only a trailing @<number>w|x is a descriptor, so "logo@2x.png" is a URL
+const parseSrcset = (value) => value.split(',').filter(Boolean).map((candidate) => {
+  const match = candidate.match(/^(.+)@(\d+(?:\.\d+)?[wx])$/);
+  return match ? { url: match[1], descriptor: match[2] } : { url: candidate, descriptor: '' };
+});
+
+// The URL the registry tracks a resource under
+function registryUrl(type, value) {
+  switch (type) {
+    case 'primitive':
+      return primitiveUrls(value).js;
+    case 'srcset':
+      return parseSrcset(value)[0]?.url || value;
+    default:
+      return value;
+  }
+}
+
+// Compares resolved URLs: an attribute selector misses "/a.css" vs
+// "a.css" and breaks on quotes in the URL
+function hasLink(url, rel) {
+  const absolute = new URL(url, location.href).href;
+  return [...document.querySelectorAll('link[href]')].some(link =>
+    link.href === absolute && (!rel || link.rel.split(/\s+/).includes(rel)));
+}
+
+// Whether a document stylesheet (e.g. elvish.css) already styles i-<name>
+function hasPrimitiveRules(name) {
+  const tag = new RegExp(`(^|,)\\s*i-${name}(?![\\w-])`);
+  return [...document.styleSheets].some((sheet) => {
+    try {
+      return [...sheet.cssRules].some(rule => tag.test(rule.selectorText || ''));
+    } catch {
+      // Cross-origin sheets cannot be read
+      return false;
+    }
+  });
+}
+
+// Turn a preloaded primitive stylesheet on once the page has the element,
+// now or after a routed navigation swaps one in
+function applyWhenUsed(name, link) {
+  const apply = () => {
+    if (!document.querySelector(`i-${name}`)) return false;
+    link.rel = 'stylesheet';
+    link.removeAttribute('as');
+    document.removeEventListener('gil:navigated', apply);
+    return true;
+  };
+  if (!apply()) document.addEventListener('gil:navigated', apply);
+}
+
+class ElvishGil extends HTMLElement {
+  static get observedAttributes() {
+    return [
+      'href', 'prefetch', 'prefetch-on', 'prefetch-delay',
+      'strategy', 'prerender', 'swap',
+      'transition', 'transition-name', 'transition-types',
+    ];
+  }
+  
+  /**
+   * Shared prefetch scheduler (gil.scheduler.js)
+   * e.g. ElvishGil.configurePrefetch({ concurrency: 3, maxBytes: 2e6 })
+   */
+  static configurePrefetch(options = {}) {
+    const { retries, retryDelay, ...limits } = options;
+    return { ...configurePrefetch(limits), ...configureRetry({ retries, retryDelay }) };
+  }
+  
+  static resetPrefetchBudget() {
+    resetPrefetchBudget();
+  }
+  
+  static get prefetchStats() {
+    return getPrefetchStats();
+  }
+  
+  /**
+   * Shared prefetch registry (gil.registry.js)
+   * e.g. ElvishGil.prefetchStatus('/docs') → 'pending' | 'done' | 'failed' | null
+   */
+  static prefetchStatus(url, type) {
+    return getPrefetchStatus(url, type);
+  }
   
-  class ElvishGil extends HTMLElement {
-    static get observedAttributes() {
-      return ['href', 'prefetch', 'prefetch-on', 'prefetch-delay'];
+  /**
+   * Router navigation without a click (gil.router.js)
+   * e.g. ElvishGil.navigate('/docs', { selector: '#content' })
+   */
+  static navigate(url, options) {
+    return navigate(url, options);
+  }
+  
+  constructor() {
+    super();
+    this.prefetched = new Set();
+    this.hoverTimer = null;
+    this.observer = null;
+    this.navigationStyles = false;
+    this.handleClick = this.handleClick.bind(this);
+  }
+  
+  connectedCallback() {
+    // Create inner anchor if not present
+    if (!this.anchor) {
+      const href = this.getAttribute('href') || '#';
+      const anchor = document.createElement('a');
+      anchor.href = href;
+      anchor.innerHTML = this.innerHTML;
+      this.innerHTML = '';
+      this.appendChild(anchor);
     }
     
-    constructor() {
-      super();
-      this.prefetched = new Set();
-      this.hoverTimer = null;
-      this.observer = null;
-    }
+    // Copy relevant attributes to anchor
+    this.syncAttributes();
     
-    connectedCallback() {
-      // Create inner anchor if not present
-      if (!this.anchor) {
-        const href = this.getAttribute('href') || '#';
-        const anchor = document.createElement('a');
-        anchor.href = href;
-        anchor.innerHTML = this.innerHTML;
-        this.innerHTML = '';
-        this.appendChild(anchor);
-      }
-      
-      // Copy relevant attributes to anchor
-      this.syncAttributes();
-      
-      // Set up prefetch triggers
-      this.setupPrefetch();
-    }
+    // Speculation first: immediate prefetches skip what it covers
+    this.updateSpeculation();
     
-    disconnectedCallback() {
+    // Set up prefetch triggers
+    this.setupPrefetch();
+    
+    this.addEventListener('click', this.handleClick);
+    this.updateNavigationStyles();
+  }
+  
+  disconnectedCallback() {
+    this.cleanup();
+    this.removeEventListener('click', this.handleClick);
+    this.updateNavigationStyles();
+    this.updateSpeculation();
+  }
+  
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (name === 'href' && this.anchor) {
+      this.anchor.href = newVal;
+    }
+    if (name === 'prefetch-on' && this.isConnected) {
       this.cleanup();
+      this.setupPrefetch();
     }
-    
-    attributeChangedCallback(name, oldVal, newVal) {
-      if (name === 'href' && this.anchor) {
-        this.anchor.href = newVal;
-      }
-      if (name === 'prefetch-on') {
-        this.cleanup();
-        this.setupPrefetch();
-      }
+    if (['href', 'prefetch', 'prefetch-on', 'strategy', 'prerender', 'swap'].includes(name)) {
+      this.updateSpeculation();
     }
-    
-    get anchor() {
-      return this.querySelector('a');
+    if (name.startsWith('transition')) {
+      this.updateNavigationStyles();
     }
+  }
+  
+  get anchor() {
+    return this.querySelector('a');
+  }
+  
+  /**
+   * Whether navigations from this link use cross-document view transitions
+   */
+  get crossDocument() {
+    return ['transition', 'transition-name', 'transition-types']
+      .some(attr => this.hasAttribute(attr));
+  }
+  
+  get transitionTypes() {
+    return (this.getAttribute('transition-types') || '').split(/\s+/).filter(Boolean);
+  }
+  
+  /**
+   * Whether the page is left to the Speculation Rules API
+   */
+  get usesSpeculation() {
+    // Routed links fetch the page themselves; a speculated copy would go unused
+    return this.getAttribute('strategy') === 'speculation'
+      && !this.swapSelector
+      && supportsSpeculationRules();
+  }
+  
+  /**
+   * Add, update or remove this link's speculation rule
+   */
+  updateSpeculation() {
+    const wanted = this.isConnected
+      && this.usesSpeculation
+      && this.parsePrefetch().some(({ type, value }) => type === 'html' && !value);
     
-    syncAttributes() {
-      const anchor = this.anchor;
-      if (!anchor) return;
-      
-      // Copy common link attributes
-      ['target', 'rel', 'download', 'hreflang', 'type'].forEach(attr => {
-        if (this.hasAttribute(attr)) {
-          anchor.setAttribute(attr, this.getAttribute(attr));
-        }
+    if (wanted) {
+      const trigger = this.getAttribute('prefetch-on') || 'hover';
+      speculations.set(this, {
+        action: this.hasAttribute('prerender') ? 'prerender' : 'prefetch',
+        url: this.anchor?.href || this.getAttribute('href'),
+        eagerness: EAGERNESS[trigger] || 'conservative',
       });
-      
-      // Copy class and style
-      if (this.hasAttribute('link-class')) {
-        anchor.className = this.getAttribute('link-class');
-      }
+    } else if (!speculations.delete(this)) {
+      return;
     }
     
-    setupPrefetch() {
-      const trigger = this.getAttribute('prefetch-on') || 'hover';
-      
-      switch (trigger) {
-        case 'hover':
-          this.setupHoverPrefetch();
-          break;
-        case 'visible':
-          this.setupVisiblePrefetch();
-          break;
-        case 'idle':
-          this.setupIdlePrefetch();
-          break;
-        case 'immediate':
-          this.doPrefetch();
-          break;
-      }
+    scheduleSpeculationRules();
+  }
+  
+  /**
+   * Element named for the transition
+   */
+  get transitionTarget() {
+    const selector = this.getAttribute('transition-target');
+    return (selector && this.querySelector(selector)) || this;
+  }
+  
+  /**
+   * Keep @view-transition in the document while an opted-in i-gil is connected
+   */
+  updateNavigationStyles() {
+    const wanted = this.isConnected && this.crossDocument;
+    if (wanted === this.navigationStyles) return;
+    
+    if (wanted) {
+      retainStyles(NAVIGATION_STYLE_ID, NAVIGATION_CSS);
+    } else {
+      releaseStyles(NAVIGATION_STYLE_ID);
     }
+    this.navigationStyles = wanted;
+  }
+  
+  handleClick(event) {
+    if (event.target.closest('a') !== this.anchor) return;
     
-    setupHoverPrefetch() {
-      const delay = parseInt(this.getAttribute('prefetch-delay')) || 65;
-      
-      const onEnter = () => {
-        this.hoverTimer = setTimeout(() => this.doPrefetch(), delay);
-      };
-      
-      const onLeave = () => {
-        if (this.hoverTimer) {
-          clearTimeout(this.hoverTimer);
-          this.hoverTimer = null;
-        }
-      };
-      
-      this.addEventListener('mouseenter', onEnter);
-      this.addEventListener('mouseleave', onLeave);
-      this.addEventListener('focus', onEnter, true);
-      this.addEventListener('blur', onLeave, true);
-      
-      // Touch: prefetch on touchstart
-      this.addEventListener('touchstart', () => this.doPrefetch(), { passive: true });
-      
-      this._cleanup = () => {
-        this.removeEventListener('mouseenter', onEnter);
-        this.removeEventListener('mouseleave', onLeave);
-        this.removeEventListener('focus', onEnter, true);
-        this.removeEventListener('blur', onLeave, true);
-      };
+    if (this.routes(event)) {
+      event.preventDefault();
+      navigate(this.anchor.href, { selector: this.swapSelector, source: this });
+      return;
     }
     
-    setupVisiblePrefetch() {
-      this.observer = new IntersectionObserver(
-        (entries) => {
-          entries.forEach(entry => {
-            if (entry.isIntersecting) {
-              this.doPrefetch();
-              this.observer?.disconnect();
-            }
-          });
-        },
-        { rootMargin: '50px' }
-      );
-      
-      this.observer.observe(this);
+    if (this.crossDocument) {
+      navigating = this;
     }
+  }
+  
+  /**
+   * Region replaced by router navigation (swap attribute), or null
+   */
+  get swapSelector() {
+    if (!this.hasAttribute('swap')) return null;
+    return this.getAttribute('swap') || 'main';
+  }
+  
+  /**
+   * Whether a click is handled by the router rather than the browser
+   */
+  routes(event) {
+    const anchor = this.anchor;
+    if (!this.swapSelector || !anchor || event.defaultPrevented) return false;
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    if ((anchor.target && anchor.target !== '_self') || anchor.hasAttribute('download')) return false;
+    
+    const url = new URL(anchor.href);
+    if (url.origin !== location.origin) return false;
     
-    setupIdlePrefetch() {
-      if ('requestIdleCallback' in window) {
-        requestIdleCallback(() => this.doPrefetch(), { timeout: 2000 });
-      } else {
-        setTimeout(() => this.doPrefetch(), 200);
+    // In-page anchors stay with the browser
+    const here = location.href.split('#')[0];
+    return !(url.hash && url.href.split('#')[0] === here);
+  }
+  
+  syncAttributes() {
+    const anchor = this.anchor;
+    if (!anchor) return;
+    
+    // Copy common link attributes
+    ['target', 'rel', 'download', 'hreflang', 'type'].forEach(attr => {
+      if (this.hasAttribute(attr)) {
+        anchor.setAttribute(attr, this.getAttribute(attr));
       }
+    });
+    
+    // Copy class and style
+    if (this.hasAttribute('link-class')) {
+      anchor.className = this.getAttribute('link-class');
     }
+  }
+  
+  setupPrefetch() {
+    const trigger = this.getAttribute('prefetch-on') || 'hover';
     
-    cleanup() {
+    switch (trigger) {
+      case 'hover':
+        this.setupHoverPrefetch();
+        break;
+      case 'visible':
+        this.setupVisiblePrefetch();
+        break;
+      case 'idle':
+        this.setupIdlePrefetch();
+        break;
+      case 'immediate':
+        this.doPrefetch();
+        break;
+    }
+  }
+  
+  setupHoverPrefetch() {
+    const delay = parseInt(this.getAttribute('prefetch-delay')) || 65;
+    
+    const onEnter = () => {
+      this.hoverTimer = setTimeout(() => this.doPrefetch('hover'), delay);
+    };
+    
+    const onLeave = () => {
       if (this.hoverTimer) {
         clearTimeout(this.hoverTimer);
+        this.hoverTimer = null;
       }
-      if (this.observer) {
-        this.observer.disconnect();
-      }
-      if (this._cleanup) {
-        this._cleanup();
-      }
-    }
+    };
     
-    /**
-     * Parse prefetch attribute
-     * Format: "html css:file.css js:file.js icons:name,name"
-     */
-    parsePrefetch() {
-      const prefetch = this.getAttribute('prefetch') || 'html';
-      const resources = [];
-      
-      prefetch.split(/\s+/).forEach(part => {
-        if (part.includes(':')) {
-          const [type, items] = part.split(':');
-          items.split(',').forEach(item => {
-            resources.push({ type, value: item.trim() });
-          });
-        } else {
-          // Shorthand: "html" means prefetch the href as HTML
-          resources.push({ type: part, value: null });
-        }
-      });
-      
-      return resources;
-    }
+    this.addEventListener('mouseenter', onEnter);
+    this.addEventListener('mouseleave', onLeave);
+    this.addEventListener('focus', onEnter, true);
+    this.addEventListener('blur', onLeave, true);
     
-    /**
-     * Execute prefetch
-     */
-    async doPrefetch() {
-      const resources = this.parsePrefetch();
-      const href = this.getAttribute('href');
-      
-      for (const { type, value } of resources) {
-        const key = `${type}:${value || href}`;
-        if (this.prefetched.has(key)) continue;
-        this.prefetched.add(key);
-        
-        try {
-          switch (type) {
-            case 'html':
-              await this.prefetchHTML(value || href);
-              break;
-            case 'css':
-              await this.prefetchCSS(value);
-              break;
-            case 'js':
-              await this.prefetchJS(value);
-              break;
-            case 'icons':
-              this.prefetchIcons(value);
-              break;
-            case 'json':
-              await this.prefetchJSON(value);
-              break;
-            case 'image':
-              await this.prefetchImage(value);
-              break;
+    // Touch: prefetch on touchstart
+    this.addEventListener('touchstart', () => this.doPrefetch('hover'), { passive: true });
+    
+    this._cleanup = () => {
+      this.removeEventListener('mouseenter', onEnter);
+      this.removeEventListener('mouseleave', onLeave);
+      this.removeEventListener('focus', onEnter, true);
+      this.removeEventListener('blur', onLeave, true);
+    };
+  }
+  
+  setupVisiblePrefetch() {
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.doPrefetch('visible');
+            this.observer?.disconnect();
           }
-        } catch (err) {
-          console.warn(`[i-gil] Failed to prefetch ${type}:${value || href}`, err);
+        });
+      },
+      { rootMargin: '50px' }
+    );
+    
+    this.observer.observe(this);
+  }
+  
+  setupIdlePrefetch() {
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(() => this.doPrefetch('idle'), { timeout: 2000 });
+    } else {
+      setTimeout(() => this.doPrefetch('idle'), 200);
+    }
+  }
+  
+  cleanup() {
+    if (this.hoverTimer) {
+      clearTimeout(this.hoverTimer);
+    }
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    if (this._cleanup) {
+      this._cleanup();
+    }
+  }
+  
+  /**
+   * Parse prefetch attribute
+   * Format: "html css:file.css js:file.js icons:name,name"
+   */
+  parsePrefetch() {
+    const prefetch = this.getAttribute('prefetch') || 'html';
+    const resources = [];
+    
+    prefetch.split(/\s+/).forEach(part => {
+      const colon = part.indexOf(':');
+      if (colon > 0) {
+        // Split on the first colon only: values may be absolute URLs
+        const type = part.slice(0, colon);
+        const items = part.slice(colon + 1);
+        if (type === 'srcset') {
+          // The candidates are one image
+          resources.push({ type, value: items });
+          return;
         }
+        items.split(',').forEach(item => {
+          resources.push({ type, value: item.trim() });
+        });
+      } else if (part) {
+        // Shorthand: "html" means prefetch the href as HTML
+        resources.push({ type: part, value: null });
       }
-      
-      this.dispatchEvent(new CustomEvent('prefetched', {
-        detail: { resources: [...this.prefetched] }
-      }));
-    }
+    });
+    
+    return resources;
+  }
+  
+  /**
+   * Execute prefetch
+   */
+  async doPrefetch(priority = 'immediate') {
+    const resources = this.parsePrefetch();
+    const href = this.getAttribute('href');
+    const pending = [];
     
-    async prefetchHTML(url) {
-      // Use <link rel="prefetch"> for HTML
-      if (document.querySelector(`link[rel="prefetch"][href="${url}"]`)) return;
+    for (const { type, value } of resources) {
+      // Covered by the speculation rule
+      if (type === 'html' && !value && speculations.has(this)) continue;
       
-      const link = document.createElement('link');
-      link.rel = 'prefetch';
-      link.href = url;
-      link.as = 'document';
-      document.head.appendChild(link);
+      const url = value || href;
+      const key = `${type}:${url}`;
+      if (this.prefetched.has(key)) continue;
+      this.prefetched.add(key);
+      
+      // icons: are names, not URLs
+      const run = () => this.prefetchResource(type, url);
+      const request = type === 'icons'
+        ? schedulePrefetch(key, run, { priority })
+        : requestPrefetch(type, registryUrl(type, url), run, { priority });
+      
+      pending.push(
+        request
+          .then((status) => {
+            // Network or budget said no: a later trigger may try again
+            if (status === 'skipped') this.prefetched.delete(key);
+          })
+          .catch((err) => {
+            console.warn(`[i-gil] Failed to prefetch ${type}:${value || href}`, err);
+          }),
+      );
     }
     
-    async prefetchCSS(url) {
-      if (document.querySelector(`link[href="${url}"]`)) return;
-      
-      const link = document.createElement('link');
-      link.rel = 'prefetch';
-      link.href = url;
-      link.as = 'style';
-      document.head.appendChild(link);
+    await Promise.all(pending);
+    
+    this.dispatchEvent(new CustomEvent('prefetched', {
+      detail: { resources: [...this.prefetched] }
+    }));
+  }
+  
+  /**
+   * Start one prefetch
+   * @returns {Promise<number>} Transferred bytes, once loaded
+   */
+  prefetchResource(type, value) {
+    switch (type) {
+      case 'html':
+        // The router reads the response itself
+        if (this.swapSelector && new URL(value, location.href).origin === location.origin) {
+          return prefetchDocument(value).then(html => html.length);
+        }
+        return this.prefetchHTML(value);
+      case 'css':
+        return this.prefetchCSS(value);
+      case 'js':
+        return this.prefetchJS(value);
+      case 'icons':
+        this.prefetchIcons(value);
+        return Promise.resolve(0);
+      case 'json':
+        return this.prefetchJSON(value);
+      case 'image':
+        return this.prefetchImage(value);
+      case 'font':
+        return this.prefetchFont(value);
+      case 'module':
+        return this.prefetchModule(value);
+      case 'primitive':
+        return this.prefetchPrimitive(value);
+      case 'srcset':
+        return this.prefetchSrcset(value);
+      default:
+        return Promise.resolve(0);
     }
+  }
+  
+  async prefetchHTML(url) {
+    // Use <link rel="prefetch"> for HTML
+    if (hasLink(url, 'prefetch')) return 0;
     
-    async prefetchJS(url) {
-      if (document.querySelector(`link[rel="prefetch"][href="${url}"]`)) return;
-      
-      const link = document.createElement('link');
-      link.rel = 'prefetch';
-      link.href = url;
-      link.as = 'script';
-      document.head.appendChild(link);
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.href = url;
+    link.as = 'document';
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  async prefetchCSS(url) {
+    if (hasLink(url)) return 0;
+    
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.href = url;
+    link.as = 'style';
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  async prefetchJS(url) {
+    if (hasLink(url, 'prefetch')) return 0;
+    
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.href = url;
+    link.as = 'script';
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  prefetchIcons(names) {
+    // Use ElvishIcons loader if available
+    if (window.ElvishIcons) {
+      const icons = names.split(',').map(s => s.trim());
+      window.ElvishIcons.preload(icons);
     }
+  }
+  
+  async prefetchJSON(url) {
+    const link = document.createElement('link');
+    link.rel = 'prefetch';
+    link.href = url;
+    link.as = 'fetch';
+    link.crossOrigin = 'anonymous';
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  async prefetchImage(url) {
+    const img = new Image();
+    const loaded = whenLoaded(img);
+    img.src = url;
+    return loaded;
+  }
+  
+  async prefetchFont(url) {
+    if (hasLink(url, 'preload')) return 0;
     
-    prefetchIcons(names) {
-      // Use ElvishIcons loader if available
-      if (window.ElvishIcons) {
-        const icons = names.split(',').map(s => s.trim());
-        window.ElvishIcons.preload(icons);
-      }
+    // Fonts are always fetched in CORS mode: without crossorigin the
+    // preload would not be reused and the font downloads twice
+    const link = document.createElement('link');
+    link.rel = 'preload';
+    link.href = url;
+    link.as = 'font';
+    link.crossOrigin = 'anonymous';
+    const format = FONT_TYPES[new URL(url, location.href).pathname.split('.').pop()];
+    if (format) link.type = format;
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  async prefetchModule(url) {
+    if (hasLink(url, 'modulepreload')) return 0;
+    
+    const link = document.createElement('link');
+    link.rel = 'modulepreload';
+    link.href = url;
+    document.head.appendChild(link);
+    return whenLoaded(link);
+  }
+  
+  async prefetchPrimitive(name) {
+    if (!PRIMITIVE_NAME.test(name)) {
+      console.warn(`[i-gil] "${name}" is not a primitive name`);
+      return 0;
     }
+    // Already loaded
+    if (customElements.get(`i-${name}`)) return 0;
+    
+    const { js, css } = primitiveUrls(name);
+    const loads = [import(js).then(() => resourceBytes(js))];
     
-    async prefetchJSON(url) {
+    // Warm the stylesheet; it only applies where the primitive is used
+    if (!hasLink(css) && !hasPrimitiveRules(name)) {
       const link = document.createElement('link');
-      link.rel = 'prefetch';
-      link.href = url;
-      link.as = 'fetch';
-      link.crossOrigin = 'anonymous';
+      link.rel = 'preload';
+      link.as = 'style';
+      link.href = css;
       document.head.appendChild(link);
+      loads.push(whenLoaded(link));
+      applyWhenUsed(name, link);
     }
     
-    async prefetchImage(url) {
-      const img = new Image();
-      img.src = url;
-    }
-  }
-  
-  // Define custom element
-  if (!customElements.get('i-gil')) {
-    customElements.define('i-gil', ElvishGil);
+    const bytes = await Promise.all(loads);
+    return bytes.reduce((sum, n) => sum + n, 0);
   }
   
-  // Export
-  if (typeof window !== 'undefined') {
-    window.ElvishGil = ElvishGil;
+  async prefetchSrcset(value) {
+    // Off-document images still choose a candidate from srcset and sizes
+    const img = new Image();
+    const loaded = whenLoaded(img);
+    img.sizes = this.getAttribute('prefetch-sizes') || '100vw';
+    img.srcset = parseSrcset(value)
+      .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+      .join(', ');
+    return loaded;
   }
-})();
+}
+
+// Define custom element
+if ('customElements' in window && !customElements.get('i-gil')) {
+  customElements.define('i-gil', ElvishGil);
+}
+
+// Global for classic scripts and the console
+if (typeof window !== 'undefined') {
+  window.ElvishGil = ElvishGil;
+}
+
+export default ElvishGil;
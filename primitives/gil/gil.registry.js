@@ -0,0 +1,177 @@
+/**
+ * i-gil - Prefetch Registry
+ *
+ * What has been prefetched on this page, shared by every i-gil. Entries
+ * are keyed by resource type and absolute URL (without #hash), so
+ * "/docs", "docs" and "https://site/docs#intro" are one request.
+ *
+ * Status per entry:
+ *   pending  - Queued, loading or waiting to retry
+ *   done     - Loaded (or already on the page)
+ *   failed   - Gave up after the retries
+ *
+ * Failed requests are retried with exponential backoff (retryDelay,
+ * then twice that, ...). Requests the scheduler skips (budget, network)
+ * leave no entry, so a later trigger can ask again.
+ *
+ * Usage:
+ *
+ * import { requestPrefetch, getPrefetchStatus } from './gil.registry.js';
+ *
+ * requestPrefetch('css', '/a.css', () => load('/a.css'), { priority: 'hover' });
+ * getPrefetchStatus('/a.css'); // 'pending'
+ */
+
+import { schedulePrefetch, PRIORITIES } from './gil.scheduler.js';
+
+const retry = {
+  retries: 2,
+  retryDelay: 1000,
+};
+
+// "type:absolute-url" → { type, url, status, attempts, priority, promise, timer, wake }
+const entries = new Map();
+
+/**
+ * Absolute URL without the hash
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export const normalizePrefetchUrl = (url) => new URL(url, location.href).href.split('#')[0];
+
+const entryKey = (type, url) => `${type}:${normalizePrefetchUrl(url)}`;
+
+/**
+ * Update retry behaviour
+ *
+ * @param {Object} options
+ * @param {number} [options.retries] - Extra attempts after a failure
+ * @param {number} [options.retryDelay] - First backoff (ms); doubles each attempt
+ * @returns {Object} The resulting settings
+ */
+export function configureRetry(options = {}) {
+  if (options.retries != null) retry.retries = options.retries;
+  if (options.retryDelay != null) retry.retryDelay = options.retryDelay;
+  return { ...retry };
+}
+
+const wait = (entry, ms) => new Promise((resolve) => {
+  entry.wake = () => {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.wake = null;
+    resolve();
+  };
+  entry.timer = setTimeout(entry.wake, ms);
+});
+
+async function attempt(entry, key, run) {
+  for (;;) {
+    entry.attempts++;
+    try {
+      const status = await schedulePrefetch(key, run, { priority: entry.priority });
+      if (status === 'skipped') {
+        if (entries.get(key) === entry) entries.delete(key);
+      } else {
+        entry.status = 'done';
+      }
+      return status;
+    } catch (err) {
+      if (entry.attempts > retry.retries) {
+        entry.status = 'failed';
+        throw err;
+      }
+      await wait(entry, retry.retryDelay * 2 ** (entry.attempts - 1));
+      // Cleared while waiting
+      if (entries.get(key) !== entry) return 'skipped';
+    }
+  }
+}
+
+/**
+ * Prefetch a resource once per page
+ *
+ * Pending and loaded resources share the first request; failed ones
+ * stay failed until the registry is cleared.
+ *
+ * @param {string} type - e.g. "html", "css"
+ * @param {string} url
+ * @param {Function} run - Starts the request; resolves with transferred bytes
+ * @param {Object} [options]
+ * @param {'hover'|'immediate'|'visible'|'idle'} [options.priority='immediate']
+ * @returns {Promise<'done'|'skipped'>} Rejects once the retries are used up
+ */
+export function requestPrefetch(type, url, run, { priority = 'immediate' } = {}) {
+  const key = entryKey(type, url);
+  const existing = entries.get(key);
+
+  if (existing?.status === 'pending') {
+    if (PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(existing.priority)) {
+      existing.priority = priority;
+      // Move a queued request up; a retry waiting on backoff uses it next time
+      if (!existing.timer) schedulePrefetch(key, run, { priority }).catch(() => {});
+    }
+    return existing.promise;
+  }
+  if (existing) return existing.promise;
+
+  const entry = {
+    type,
+    url: normalizePrefetchUrl(url),
+    status: 'pending',
+    attempts: 0,
+    priority,
+    timer: null,
+  };
+  entries.set(key, entry);
+  entry.promise = attempt(entry, key, run);
+  // Callers that do not await still get a settled entry
+  entry.promise.catch(() => {});
+  return entry.promise;
+}
+
+/**
+ * Prefetch status of a URL
+ *
+ * Without a type, the most useful status across types wins:
+ * done, then pending, then failed.
+ *
+ * @param {string} url
+ * @param {string} [type]
+ * @returns {'pending'|'done'|'failed'|null} null when never requested
+ */
+export function getPrefetchStatus(url, type) {
+  if (type) return entries.get(entryKey(type, url))?.status ?? null;
+
+  const absolute = normalizePrefetchUrl(url);
+  const statuses = [...entries.values()]
+    .filter(entry => entry.url === absolute)
+    .map(entry => entry.status);
+
+  return ['done', 'pending', 'failed'].find(status => statuses.includes(status)) ?? null;
+}
+
+/**
+ * Forget entries so they can be prefetched again
+ *
+ * @param {string} [url] - One URL, any type (default: all)
+ */
+export function clearPrefetchRegistry(url) {
+  const absolute = url && normalizePrefetchUrl(url);
+
+  for (const [key, entry] of entries) {
+    if (absolute && entry.url !== absolute) continue;
+    entries.delete(key);
+    // Let a retry waiting on backoff give up
+    entry.wake?.();
+  }
+}
+
+export default {
+  requestPrefetch,
+  getPrefetchStatus,
+  clearPrefetchRegistry,
+  configureRetry,
+  normalizePrefetchUrl,
+};
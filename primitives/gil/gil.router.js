@@ -0,0 +1,223 @@
+/**
+ * i-gil - Router
+ *
+ * Client-side navigation for i-gil links with a swap="selector"
+ * attribute: the destination is fetched (or taken, once, from a prefetch
+ * made in the last five minutes), the matching region replaces the current one inside a view
+ * transition of type "navigation", and history and scroll positions
+ * are kept as if the page had loaded normally.
+ *
+ *   <i-gil href="/docs/layout" swap="main">Layout</i-gil>
+ *
+ *   :root:active-view-transition-type(navigation) { ... }
+ *
+ * Anything unexpected (request fails, region missing in the response)
+ * falls back to a full page load. Scripts inside swapped regions do
+ * not run; custom elements in them upgrade as usual.
+ *
+ * Events:
+ *   gil:navigate   - Before fetching; cancelable. detail: { url, selector }
+ *   gil:navigated  - On document after the swap. detail: { url, selector, title }
+ */
+
+import { transition } from '../../global/transitions.js';
+import { resetPrefetchBudget } from './gil.scheduler.js';
+
+// Matches how long browsers keep prefetched documents
+const CACHE_TTL = 5 * 60 * 1000;
+
+// Prefetched documents, each used by at most one navigation
+// Absolute URL (no hash) → { html: Promise<string>, time }
+const documents = new Map();
+let listening = false;
+// Latest navigate() call; older ones give up after their fetch
+let navigationId = 0;
+
+const cacheKey = (url) => new URL(url, location.href).href.split('#')[0];
+
+function request(url) {
+  return fetch(url, {
+    credentials: 'same-origin',
+    headers: { Accept: 'text/html' },
+  }).then((response) => {
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return response.text();
+  });
+}
+
+/**
+ * Fetch a document ahead of a navigation
+ *
+ * The response is kept for the next navigation to the URL, once.
+ *
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export function prefetchDocument(url) {
+  const key = cacheKey(url);
+  const cached = documents.get(key);
+  if (cached && Date.now() - cached.time < CACHE_TTL) {
+    return cached.html;
+  }
+
+  const html = request(key);
+  const entry = { html, time: Date.now() };
+  documents.set(key, entry);
+  html.catch(() => {
+    if (documents.get(key) === entry) documents.delete(key);
+  });
+  return html;
+}
+
+/**
+ * Fetch a document for a navigation, using up a recent prefetch
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Ignore the prefetch
+ * @returns {Promise<string>}
+ */
+export function fetchDocument(url, { fresh = false } = {}) {
+  const key = cacheKey(url);
+  const cached = documents.get(key);
+  documents.delete(key);
+  if (cached && !fresh && Date.now() - cached.time < CACHE_TTL) {
+    return cached.html;
+  }
+  return request(key);
+}
+
+/**
+ * Remove documents from the cache
+ *
+ * @param {string} [url] - One document (default: all)
+ */
+export function clearDocumentCache(url) {
+  if (url) {
+    documents.delete(cacheKey(url));
+  } else {
+    documents.clear();
+  }
+}
+
+function saveScroll() {
+  const state = history.state?.elvishGil;
+  if (!state) return;
+  history.replaceState({ ...history.state, elvishGil: { ...state, scroll: window.scrollY } }, '');
+}
+
+function handlePopState(event) {
+  const state = event.state?.elvishGil;
+  if (!state) return;
+
+  navigate(location.href, { selector: state.selector, history: 'none', scroll: state.scroll });
+}
+
+/**
+ * Take over back/forward for routed entries
+ * Runs on the first routed navigation.
+ */
+export function startRouter() {
+  if (listening) return;
+  listening = true;
+
+  history.scrollRestoration = 'manual';
+  window.addEventListener('popstate', handlePopState);
+  window.addEventListener('scrollend', saveScroll);
+}
+
+function restoreScroll(url, scroll) {
+  if (scroll != null) {
+    window.scrollTo(0, scroll);
+    return;
+  }
+
+  const id = decodeURIComponent(url.hash.slice(1));
+  const anchor = id && document.getElementById(id);
+  if (anchor) {
+    anchor.scrollIntoView();
+  } else {
+    window.scrollTo(0, 0);
+  }
+}
+
+/**
+ * Navigate by swapping one region of the page
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.selector='main'] - Region to replace
+ * @param {'push'|'replace'|'none'} [options.history='push']
+ * @param {number|null} [options.scroll=null] - Scroll position to restore (default: top or #hash)
+ * @param {Element} [options.source] - Element the gil:navigate event is dispatched on
+ * @returns {Promise<boolean>} false when cancelled, superseded or handed to a full page load
+ */
+export async function navigate(url, options = {}) {
+  const { selector = 'main', scroll = null, source = document } = options;
+  const mode = options.history || 'push';
+  const target = new URL(url, location.href);
+
+  const proceed = source.dispatchEvent(new CustomEvent('gil:navigate', {
+    bubbles: true,
+    cancelable: true,
+    detail: { url: target.href, selector },
+  }));
+  if (!proceed) return false;
+
+  startRouter();
+  const id = ++navigationId;
+
+  let incoming = null;
+  let title = '';
+  try {
+    const doc = new DOMParser().parseFromString(await fetchDocument(target.href), 'text/html');
+    incoming = doc.querySelector(selector);
+    title = doc.title;
+  } catch (err) {
+    console.warn(`[i-gil] Could not load ${target.href}, falling back to a full page load`, err);
+  }
+
+  // Superseded by a later click or back/forward
+  if (id !== navigationId) return false;
+
+  const current = document.querySelector(selector);
+  if (!incoming || !current) {
+    location.assign(target.href);
+    return false;
+  }
+
+  if (mode === 'push') {
+    saveScroll();
+    if (!history.state?.elvishGil) {
+      // The entry we are leaving was a normal page load
+      history.replaceState({ ...history.state, elvishGil: { selector, scroll: window.scrollY } }, '');
+    }
+    history.pushState({ elvishGil: { selector, scroll: 0 } }, '', target.href);
+  } else if (mode === 'replace') {
+    history.replaceState({ elvishGil: { selector, scroll: 0 } }, '', target.href);
+  }
+
+  const region = document.importNode(incoming, true);
+
+  await transition(() => {
+    current.replaceWith(region);
+    if (title) document.title = title;
+    restoreScroll(target, scroll);
+  }, { types: ['navigation'] });
+
+  // A new page gets a new prefetch budget
+  resetPrefetchBudget();
+
+  document.dispatchEvent(new CustomEvent('gil:navigated', {
+    detail: { url: target.href, selector, title },
+  }));
+  return true;
+}
+
+export default {
+  navigate,
+  prefetchDocument,
+  fetchDocument,
+  clearDocumentCache,
+  startRouter,
+};
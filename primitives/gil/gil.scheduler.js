@@ -0,0 +1,250 @@
+/**
+ * i-gil - Prefetch Scheduler
+ *
+ * One queue for every i-gil on the page, so a menu of 40 links does not
+ * fire 40 requests at once on a phone.
+ *
+ * - Priority: hover (user intent) > immediate > visible > idle
+ * - Concurrency limit (default 2)
+ * - Per-page budget of requests and bytes
+ * - Network aware (navigator.connection):
+ *     saveData       → nothing is prefetched
+ *     slow-2g / 2g   → hover only, one at a time
+ *     3g             → hover and immediate, one at a time
+ *
+ * Stats are dispatched on document as "gil:prefetch-stats" after each
+ * request settles or is skipped:
+ *
+ *   document.addEventListener('gil:prefetch-stats', (e) => {
+ *     analytics.track('prefetch', e.detail); // { requests, completed, bytes, ... }
+ *   });
+ *
+ * Usage:
+ *
+ * import { configurePrefetch } from './gil.scheduler.js';
+ * configurePrefetch({ concurrency: 3, maxRequests: 20, maxBytes: 2_000_000 });
+ */
+
+export const PRIORITIES = ['hover', 'immediate', 'visible', 'idle'];
+
+const limits = {
+  concurrency: 2,
+  maxRequests: 30,
+  maxBytes: 5 * 1024 * 1024,
+  // Prefetch links may never fire load (e.g. unsupported): free the slot after this
+  timeout: 10000,
+};
+
+const stats = {
+  requests: 0,
+  completed: 0,
+  failed: 0,
+  skipped: 0,
+  bytes: 0,
+};
+
+// key → { key, run, rank, seq, promise, resolve, reject }
+const queue = new Map();
+const active = new Map();
+let seq = 0;
+
+/**
+ * Update scheduler limits
+ *
+ * @param {Object} options
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @param {number} [options.maxRequests] - Requests per page
+ * @param {number} [options.maxBytes] - Transferred bytes per page
+ * @param {number} [options.timeout] - Give up waiting for a load event (ms)
+ * @returns {Object} The resulting limits
+ */
+export function configurePrefetch(options = {}) {
+  Object.assign(limits, options);
+  pump();
+  return { ...limits };
+}
+
+/**
+ * Start a new per-page budget (e.g. after a client-side navigation)
+ */
+export function resetPrefetchBudget() {
+  stats.requests = 0;
+  stats.bytes = 0;
+  pump();
+}
+
+/**
+ * What the connection allows
+ * @returns {{priorities: string[], concurrency: number}}
+ */
+function networkPolicy() {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+
+  if (connection?.saveData) {
+    return { priorities: [], concurrency: 0 };
+  }
+
+  switch (connection?.effectiveType) {
+    case 'slow-2g':
+    case '2g':
+      return { priorities: ['hover'], concurrency: 1 };
+    case '3g':
+      return { priorities: ['hover', 'immediate'], concurrency: 1 };
+    default:
+      return { priorities: PRIORITIES, concurrency: limits.concurrency };
+  }
+}
+
+/**
+ * Current counters (copy)
+ * @returns {Object}
+ */
+export function getPrefetchStats() {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+
+  return {
+    ...stats,
+    queued: queue.size,
+    active: active.size,
+    budget: { maxRequests: limits.maxRequests, maxBytes: limits.maxBytes },
+    connection: {
+      saveData: Boolean(connection?.saveData),
+      effectiveType: connection?.effectiveType ?? null,
+    },
+  };
+}
+
+function emitStats() {
+  if (typeof document === 'undefined') return;
+  document.dispatchEvent(new CustomEvent('gil:prefetch-stats', {
+    detail: getPrefetchStats(),
+  }));
+}
+
+function skip(task) {
+  queue.delete(task.key);
+  stats.skipped++;
+  task.resolve('skipped');
+}
+
+function start(task) {
+  queue.delete(task.key);
+  active.set(task.key, task);
+  stats.requests++;
+
+  Promise.resolve()
+    .then(task.run)
+    .then((bytes) => {
+      stats.bytes += Number(bytes) || 0;
+      stats.completed++;
+      task.resolve('done');
+    }, (err) => {
+      stats.failed++;
+      task.reject(err);
+    })
+    .finally(() => {
+      active.delete(task.key);
+      emitStats();
+      pump();
+    });
+}
+
+function pump() {
+  const { priorities, concurrency } = networkPolicy();
+  const next = () => [...queue.values()]
+    .sort((a, b) => a.rank - b.rank || a.seq - b.seq)[0];
+
+  let task;
+  while ((task = next())) {
+    if (!priorities.includes(PRIORITIES[task.rank])) {
+      skip(task);
+      emitStats();
+      continue;
+    }
+
+    if (stats.requests >= limits.maxRequests || stats.bytes >= limits.maxBytes) {
+      skip(task);
+      emitStats();
+      continue;
+    }
+
+    if (active.size >= concurrency) break;
+    start(task);
+  }
+}
+
+/**
+ * Queue a prefetch
+ *
+ * Requests with the same key share one run; a higher priority request
+ * moves a queued one up.
+ *
+ * @param {string} key - e.g. "css:https://example.com/a.css"
+ * @param {Function} run - Starts the request; resolves with transferred bytes
+ * @param {Object} [options]
+ * @param {'hover'|'immediate'|'visible'|'idle'} [options.priority='immediate']
+ * @returns {Promise<'done'|'skipped'>} Rejects when the request fails
+ */
+export function schedulePrefetch(key, run, { priority = 'immediate' } = {}) {
+  const rank = Math.max(0, PRIORITIES.indexOf(priority));
+
+  const existing = active.get(key) || queue.get(key);
+  if (existing) {
+    existing.rank = Math.min(existing.rank, rank);
+    return existing.promise;
+  }
+
+  const task = { key, run, rank, seq: seq++ };
+  task.promise = new Promise((resolve, reject) => {
+    task.resolve = resolve;
+    task.reject = reject;
+  });
+  queue.set(key, task);
+
+  // Let links connected in the same tick queue up before choosing
+  queueMicrotask(pump);
+  return task.promise;
+}
+
+/**
+ * Transferred size of a loaded resource, from Resource Timing
+ *
+ * @param {string} url - Absolute URL
+ * @returns {number}
+ */
+export function resourceBytes(url) {
+  const entries = globalThis.performance?.getEntriesByName?.(url) || [];
+  const entry = entries[entries.length - 1];
+  return entry ? (entry.transferSize || entry.encodedBodySize || 0) : 0;
+}
+
+/**
+ * Wait for a <link> or <img> to load
+ * Resolves with its transferred bytes; rejects on error.
+ *
+ * @param {HTMLLinkElement|HTMLImageElement} element
+ * @returns {Promise<number>}
+ */
+export function whenLoaded(element) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      clearTimeout(timer);
+      resolve(resourceBytes(element.href || element.currentSrc || element.src));
+    };
+    const fail = () => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to load ${element.href || element.src}`));
+    };
+    const timer = setTimeout(done, limits.timeout);
+
+    element.addEventListener('load', done, { once: true });
+    element.addEventListener('error', fail, { once: true });
+  });
+}
+
+export default {
+  schedulePrefetch,
+  configurePrefetch,
+  resetPrefetchBudget,
+  getPrefetchStats,
+};
@@ -8,6 +8,21 @@
  * @property {string} space - Gap between items (default: var(--s1))
  * @property {string} height - Height of the reel (default: auto)
  * @property {boolean} noBar - Hide the scrollbar
+ * @property {string} snap - Item snap alignment: start, center, end or none (default: start)
+ * @property {boolean} snapStop - Never scroll past more than one item at a time
+ * @property {boolean} controls - Render previous/next buttons after the reel
+ * @property {boolean} carousel - Carousel semantics: region role, roving focus, live position
+ * @property {string} label - Accessible name for the carousel region
+ * @property {number} currentIndex - Index of the item at the snap position (read-only)
+ * 
+ * Carousel mode:
+ * - Arrow keys, Home and End move focus between items (roving tabindex);
+ *   arrows (and the ‹ › buttons) follow the visual order in right-to-left text
+ * - Items are announced as "2 of 5" through a polite live region
+ * 
+ * Events:
+ * - item-change: { index, previousIndex, item } when the current item changes
+ *   (tracked while scrolling when controls or carousel is set)
  * 
  * @example
  * <i-glan-tholl item-width="300px" space="var(--s2)">
@@ -15,37 +30,75 @@
  *   <div>Card 2</div>
  *   <div>Card 3</div>
  * </i-glan-tholl>
+ * 
+ * @example
+ * <i-glan-tholl carousel controls label="Featured products" snap="center" snap-stop>
+ *   <article>...</article>
+ *   <article>...</article>
+ * </i-glan-tholl>
+ * 
+ * reel.scrollToIndex(2);
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { glanThollStyles } from './glan-tholl.styles.js';
+
+// Attributes set on items in carousel mode (removed on teardown)
+const ITEM_ATTRS = ['tabindex', 'role', 'aria-roledescription', 'aria-label'];
+
+let reelCount = 0;
+
 class GlanThollLayout extends HTMLElement {
   static get observedAttributes() {
-    return ['item-width', 'space', 'height', 'no-bar'];
+    return [
+      'item-width', 'space', 'height', 'no-bar',
+      'snap', 'snap-stop', 'controls', 'carousel', 'label',
+    ];
   }
 
   constructor() {
     super();
     this.render = this.render.bind(this);
     this.toggleOverflowClass = this.toggleOverflowClass.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleScrollEnd = this.handleScrollEnd.bind(this);
+    this.handleIntersections = this.handleIntersections.bind(this);
     this.resizeObserver = null;
     this.mutationObserver = null;
+    this.itemObserver = null;
+    this.controlsEl = null;
+    this.statusEl = null;
+    this.ratios = new Map();
+    this.itemAttrs = new Map();
+    this._currentIndex = 0;
+    // Item a programmatic scroll is heading for
+    this.scrollTarget = null;
   }
 
   connectedCallback() {
     this.render();
     this.setupObservers();
+    this.setupCarousel();
   }
 
   disconnectedCallback() {
+    detachStyles(this);
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
     if (this.mutationObserver) {
       this.mutationObserver.disconnect();
     }
+    this.cleanupCarousel();
   }
 
-  attributeChangedCallback() {
+  attributeChangedCallback(name) {
     this.render();
+
+    if (['controls', 'carousel', 'label'].includes(name) && this.isConnected) {
+      this.setupCarousel();
+    }
   }
 
   get itemWidth() {
@@ -84,6 +137,46 @@ class GlanThollLayout extends HTMLElement {
     }
   }
 
+  get snap() {
+    return this.getAttribute('snap') || 'start';
+  }
+
+  set snap(val) {
+    this.setAttribute('snap', val);
+  }
+
+  get controls() {
+    return this.hasAttribute('controls');
+  }
+
+  set controls(val) {
+    if (val) {
+      this.setAttribute('controls', '');
+    } else {
+      this.removeAttribute('controls');
+    }
+  }
+
+  get carousel() {
+    return this.hasAttribute('carousel');
+  }
+
+  set carousel(val) {
+    if (val) {
+      this.setAttribute('carousel', '');
+    } else {
+      this.removeAttribute('carousel');
+    }
+  }
+
+  get items() {
+    return Array.from(this.children);
+  }
+
+  get currentIndex() {
+    return this._currentIndex;
+  }
+
   toggleOverflowClass() {
     this.classList.toggle('overflowing', this.scrollWidth > this.clientWidth);
   }
@@ -93,6 +186,7 @@ class GlanThollLayout extends HTMLElement {
     if ('ResizeObserver' in window) {
       this.resizeObserver = new ResizeObserver(entries => {
         this.toggleOverflowClass();
+        this.updateControls();
       });
       this.resizeObserver.observe(this);
     }
@@ -101,6 +195,7 @@ class GlanThollLayout extends HTMLElement {
     if ('MutationObserver' in window) {
       this.mutationObserver = new MutationObserver(entries => {
         this.toggleOverflowClass();
+        this.refreshItems();
       });
       this.mutationObserver.observe(this, { childList: true });
     }
@@ -109,34 +204,320 @@ class GlanThollLayout extends HTMLElement {
     this.toggleOverflowClass();
   }
 
-  render() {
-    this.style.setProperty('--glan-tholl-item-width', this.itemWidth);
-    this.style.setProperty('--glan-tholl-space', this.space);
-    this.style.setProperty('--glan-tholl-height', this.height);
-
-    const noBarStr = this.noBar ? '-noBar' : '';
-    const id = `GlanTholl-${this.itemWidth}-${this.space}-${this.height}${noBarStr}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      
-      styleEl.textContent = `
-        ${selector} {
-          block-size: ${this.height};
+  /**
+   * Scroll so the item at index sits at the snap position
+   *
+   * @param {number} index - Clamped to the available items
+   * @param {Object} [options]
+   * @param {ScrollBehavior} [options.behavior='auto'] - 'auto' follows the CSS scroll-behavior
+   */
+  scrollToIndex(index, { behavior = 'auto' } = {}) {
+    const items = this.items;
+    if (!items.length) return;
+
+    const target = Math.max(0, Math.min(index, items.length - 1));
+    const item = items[target];
+    const reelRect = this.getBoundingClientRect();
+    const itemRect = item.getBoundingClientRect();
+    const free = this.clientWidth - itemRect.width;
+
+    let left = itemRect.left - reelRect.left + this.scrollLeft;
+    if (this.snap === 'center') left -= free / 2;
+    if (this.snap === 'end') left -= free;
+
+    // Items passed on the way are not announced
+    this.scrollTarget = item;
+    this.scrollTo({ left, behavior });
+    this.setCurrentIndex(target);
+  }
+
+  next() {
+    this.scrollToIndex(this._currentIndex + 1);
+  }
+
+  previous() {
+    this.scrollToIndex(this._currentIndex - 1);
+  }
+
+  // ============================================================
+  // CAROUSEL
+  // ============================================================
+
+  setupCarousel() {
+    this.cleanupCarousel();
+
+    const tracking = this.carousel || this.controls;
+    if (!tracking) return;
+
+    if (!this.id) {
+      this.id = `glan-tholl-${++reelCount}`;
+    }
+
+    if (this.carousel) {
+      this.setAttribute('role', 'region');
+      this.setAttribute('aria-roledescription', 'carousel');
+      if (this.hasAttribute('label')) {
+        this.setAttribute('aria-label', this.getAttribute('label'));
+      }
+      this.addEventListener('keydown', this.handleKeydown);
+    }
+
+    this.renderControls();
+    this.addEventListener('scroll', this.handleScroll, { passive: true });
+    this.addEventListener('scrollend', this.handleScrollEnd);
+
+    if ('IntersectionObserver' in window) {
+      this.itemObserver = new IntersectionObserver(this.handleIntersections, {
+        root: this,
+        threshold: [0, 0.5, 1],
+      });
+    }
+
+    this.refreshItems();
+  }
+
+  cleanupCarousel() {
+    if (this.itemObserver) {
+      this.itemObserver.disconnect();
+      this.itemObserver = null;
+    }
+    if (this.controlsEl) {
+      this.controlsEl.remove();
+      this.controlsEl = null;
+      this.statusEl = null;
+    }
+
+    this.removeEventListener('keydown', this.handleKeydown);
+    this.removeEventListener('scroll', this.handleScroll);
+    this.removeEventListener('scrollend', this.handleScrollEnd);
+    this.ratios.clear();
+    this.scrollTarget = null;
+
+    this.itemAttrs.forEach((attrs, item) => this.restoreItem(item));
+
+    if (this.getAttribute('aria-roledescription') === 'carousel') {
+      ['role', 'aria-roledescription', 'aria-label'].forEach(attr => this.removeAttribute(attr));
+    }
+  }
+
+  /**
+   * Put back the attributes an item had before carousel mode
+   */
+  restoreItem(item) {
+    const original = this.itemAttrs.get(item);
+    if (!original) return;
+
+    ITEM_ATTRS.forEach((attr) => {
+      if (original[attr] === null) {
+        item.removeAttribute(attr);
+      } else {
+        item.setAttribute(attr, original[attr]);
+      }
+    });
+    this.itemAttrs.delete(item);
+  }
+
+  renderControls() {
+    // Controls live after the reel: children of the reel are scroll items
+    this.controlsEl = document.createElement('div');
+    this.controlsEl.className = 'glan-tholl-controls';
+
+    if (this.controls) {
+      this.controlsEl.append(
+        this.createButton('prev', this.getAttribute('prev-label') || 'Previous', '‹', () => this.previous()),
+        this.createButton('next', this.getAttribute('next-label') || 'Next', '›', () => this.next()),
+      );
+    }
+
+    if (this.carousel) {
+      this.statusEl = document.createElement('span');
+      this.statusEl.className = 'glan-tholl-status visually-hidden';
+      this.statusEl.setAttribute('aria-live', 'polite');
+      this.statusEl.setAttribute('aria-atomic', 'true');
+      this.controlsEl.append(this.statusEl);
+    }
+
+    this.insertAdjacentElement('afterend', this.controlsEl);
+  }
+
+  createButton(kind, label, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `glan-tholl-${kind}`;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.setAttribute('aria-controls', this.id);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Re-read items after child changes
+   */
+  refreshItems() {
+    if (!this.carousel && !this.controls) return;
+
+    const items = this.items;
+
+    this.ratios.forEach((ratio, item) => {
+      if (!items.includes(item)) this.ratios.delete(item);
+    });
+    this.itemAttrs.forEach((attrs, item) => {
+      if (!items.includes(item)) this.restoreItem(item);
+    });
+
+    if (this.itemObserver) {
+      this.itemObserver.disconnect();
+      items.forEach(item => this.itemObserver.observe(item));
+    }
+
+    if (this.carousel) {
+      items.forEach((item, i) => {
+        if (!this.itemAttrs.has(item)) {
+          const original = {};
+          ITEM_ATTRS.forEach(attr => { original[attr] = item.getAttribute(attr); });
+          this.itemAttrs.set(item, original);
+          item.setAttribute('role', 'group');
+          item.setAttribute('aria-roledescription', 'slide');
         }
-        ${selector} > * {
-          flex: 0 0 ${this.itemWidth};
+        // Only label slides the author did not label
+        if (this.itemAttrs.get(item)['aria-label'] === null) {
+          item.setAttribute('aria-label', `${i + 1} of ${items.length}`);
         }
-        ${selector} > * + * {
-          margin-inline-start: ${this.space};
+      });
+    }
+
+    this.setCurrentIndex(Math.min(this._currentIndex, Math.max(0, items.length - 1)), { force: true });
+  }
+
+  /**
+   * Update the current item, roving tabindex and controls
+   *
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Refresh state even when unchanged
+   */
+  setCurrentIndex(index, { force = false } = {}) {
+    const previousIndex = this._currentIndex;
+    const changed = index !== previousIndex;
+    if (!changed && !force) return;
+
+    this._currentIndex = index;
+    const items = this.items;
+
+    if (this.carousel) {
+      items.forEach((item, i) => item.setAttribute('tabindex', i === index ? '0' : '-1'));
+    }
+
+    this.updateControls();
+
+    if (!changed || !items[index]) return;
+
+    if (this.statusEl) {
+      this.statusEl.textContent = `${index + 1} of ${items.length}`;
+    }
+
+    this.dispatchEvent(new CustomEvent('item-change', {
+      detail: { index, previousIndex, item: items[index] },
+    }));
+  }
+
+  updateControls() {
+    if (!this.controlsEl) return;
+
+    const last = this.items.length - 1;
+    const atEnd = this.scrollLeft + this.clientWidth >= this.scrollWidth - 1;
+    const prev = this.controlsEl.querySelector('.glan-tholl-prev');
+    const next = this.controlsEl.querySelector('.glan-tholl-next');
+
+    if (prev) prev.disabled = this._currentIndex <= 0;
+    if (next) next.disabled = this._currentIndex >= last || (atEnd && this.scrollLeft > 0);
+  }
+
+  /**
+   * Derive the current item from visibility: the first item that is
+   * at least half visible
+   */
+  syncCurrentFromScroll() {
+    const items = this.items;
+    let index = items.findIndex(item => (this.ratios.get(item) || 0) >= 0.5);
+
+    if (index === -1) {
+      let best = 0;
+      items.forEach((item, i) => {
+        if ((this.ratios.get(item) || 0) > best) {
+          best = this.ratios.get(item);
+          index = i;
         }
-      `;
-      document.head.appendChild(styleEl);
+      });
+    }
+
+    if (index !== -1) this.setCurrentIndex(index);
+  }
+
+  handleIntersections(entries) {
+    entries.forEach(entry => this.ratios.set(entry.target, entry.intersectionRatio));
+
+    // Hold the index until a programmatic scroll arrives
+    if (this.scrollTarget) {
+      if ((this.ratios.get(this.scrollTarget) || 0) < 0.5) return;
+      this.scrollTarget = null;
+      return;
     }
+    this.syncCurrentFromScroll();
+  }
+
+  handleScroll() {
+    this.updateControls();
+  }
+
+  handleScrollEnd() {
+    const target = this.scrollTarget;
+    this.scrollTarget = null;
+
+    // Interrupted (e.g. by the user) before reaching the target
+    if (target && (this.ratios.get(target) || 0) >= 0.5) return;
+    this.syncCurrentFromScroll();
+  }
+
+  handleKeydown(event) {
+    const { target } = event;
+    const items = this.items;
+    // Focus may be on a link or button inside an item
+    const from = items.findIndex(item => item.contains(target));
+    if (from === -1) return;
+    // Leave caret movement in text fields alone
+    if (target !== items[from] && target.matches('input, textarea, select, [contenteditable]')) return;
+
+    // Arrows follow the visual order, which reverses in right-to-left text
+    const step = getComputedStyle(this).direction === 'rtl' ? -1 : 1;
+
+    let to;
+    switch (event.key) {
+      case 'ArrowRight':
+        to = from + step;
+        break;
+      case 'ArrowLeft':
+        to = from - step;
+        break;
+      case 'Home':
+        to = 0;
+        break;
+      case 'End':
+        to = items.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    to = Math.max(0, Math.min(to, items.length - 1));
+    this.scrollToIndex(to);
+    items[to].focus({ preventScroll: true });
+  }
+
+  render() {
+    applyStyles(this, glanThollStyles(this));
   }
 }
 
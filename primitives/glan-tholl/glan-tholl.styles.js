@@ -0,0 +1,61 @@
+/**
+ * GlanTholl style generator
+ *
+ * Shared by GlanThollLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-glan-tholl
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function glanThollStyles(el) {
+  const itemWidth = el.getAttribute('item-width') || 'auto';
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const height = el.getAttribute('height') || 'auto';
+  const noBar = el.hasAttribute('no-bar');
+  const snap = el.getAttribute('snap');
+  const snapStop = el.hasAttribute('snap-stop');
+
+  const noBarStr = noBar ? '-noBar' : '';
+  const snapStr = snap ? `-snap-${snap}` : '';
+  const snapStopStr = snapStop ? '-snapStop' : '';
+  const id = toStyleId(`GlanTholl-${itemWidth}-${space}-${height}${noBarStr}${snapStr}${snapStopStr}`);
+  const selector = scopeSelector(id);
+
+  let css = `
+    ${selector} {
+      block-size: ${height};
+    }
+    ${selector} > * {
+      flex: 0 0 ${itemWidth};
+    }
+    ${selector} > * + * {
+      margin-inline-start: ${space};
+    }
+  `;
+
+  // Scroll snapping: snap="start|center|end|none"
+  if (snap === 'none') {
+    css += `${selector} { scroll-snap-type: none; }`;
+  } else if (['start', 'center', 'end'].includes(snap)) {
+    css += `${selector} > * { scroll-snap-align: ${snap}; }`;
+  }
+
+  if (snapStop) {
+    css += `${selector} > * { scroll-snap-stop: always; }`;
+  }
+
+  return {
+    id,
+    css,
+    props: {
+      '--glan-tholl-item-width': itemWidth,
+      '--glan-tholl-space': space,
+      '--glan-tholl-height': height,
+    },
+  };
+}
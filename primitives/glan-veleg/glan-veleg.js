@@ -4,7 +4,7 @@
  * A quantum layout with one fixed-width element and one fluid element.
  * 
  * @property {string} side - Which side is the sidebar: "left" or "right" (default: left)
- * @property {string} sideWidth - Width of sidebar when horizontal (default: 20rem)
+ * @property {string} sideWidth - Width of sidebar when horizontal (default: 20rem); accepts breakpoints, e.g. "15rem @60rem:20rem"
  * @property {string} contentMin - Min width of content before wrapping (default: 50%)
  * @property {string} space - Gap between elements (default: var(--s1))
  * @property {boolean} noStretch - Disable equal height (default: false)
@@ -16,6 +16,9 @@
  * </i-glan-veleg>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { glanVelegStyles } from './glan-veleg.styles.js';
+
 class GlanVelegLayout extends HTMLElement {
   static get observedAttributes() {
     return ['side', 'side-width', 'content-min', 'space', 'no-stretch'];
@@ -30,6 +33,10 @@ class GlanVelegLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -79,55 +86,7 @@ class GlanVelegLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--glan-veleg-width', this.sideWidth);
-    this.style.setProperty('--glan-veleg-content-min', this.contentMin);
-    this.style.setProperty('--glan-veleg-space', this.space);
-
-    const sideStr = this.side === 'right' ? '-right' : '-left';
-    const stretchStr = this.noStretch ? '-noStretch' : '';
-    const id = `GlanVeleg-${this.sideWidth}-${this.contentMin}-${this.space}${sideStr}${stretchStr}`.replace(/[^\w-]/g, '');
-    
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = `${selector} { gap: ${this.space}; }`;
-      
-      if (this.side === 'right') {
-        css += `
-          ${selector} > :first-child {
-            flex-basis: 0;
-            flex-grow: 999;
-            min-inline-size: ${this.contentMin};
-          }
-          ${selector} > :last-child {
-            flex-basis: ${this.sideWidth};
-            flex-grow: 1;
-          }
-        `;
-      } else {
-        css += `
-          ${selector} > :first-child {
-            flex-basis: ${this.sideWidth};
-          }
-          ${selector} > :last-child {
-            flex-basis: 0;
-            flex-grow: 999;
-            min-inline-size: ${this.contentMin};
-          }
-        `;
-      }
-
-      if (this.noStretch) {
-        css += `${selector} { align-items: flex-start; }`;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, glanVelegStyles(this));
   }
 }
 
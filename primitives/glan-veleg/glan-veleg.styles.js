@@ -0,0 +1,76 @@
+/**
+ * GlanVeleg style generator
+ *
+ * Shared by GlanVelegLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector, parseResponsive } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-glan-veleg
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function glanVelegStyles(el) {
+  const side = el.getAttribute('side') || 'left';
+  const sideWidthAttr = el.getAttribute('side-width');
+  const responsive = parseResponsive(sideWidthAttr);
+  const sideWidth = responsive.base || '20rem';
+  const contentMin = el.getAttribute('content-min') || '50%';
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const noStretch = el.hasAttribute('no-stretch');
+
+  const sideStr = side === 'right' ? '-right' : '-left';
+  const stretchStr = noStretch ? '-noStretch' : '';
+  const breakpointStr = responsive.breakpoints.length ? `-${sideWidthAttr}` : '';
+  const id = toStyleId(`GlanVeleg-${sideWidth}-${contentMin}-${space}${sideStr}${stretchStr}${breakpointStr}`);
+
+  const selector = scopeSelector(id);
+  let css = `${selector} { gap: ${space}; }`;
+
+  if (side === 'right') {
+    css += `
+      ${selector} > :first-child {
+        flex-basis: 0;
+        flex-grow: 999;
+        min-inline-size: ${contentMin};
+      }
+      ${selector} > :last-child {
+        flex-basis: ${sideWidth};
+        flex-grow: 1;
+      }
+    `;
+  } else {
+    css += `
+      ${selector} > :first-child {
+        flex-basis: ${sideWidth};
+      }
+      ${selector} > :last-child {
+        flex-basis: 0;
+        flex-grow: 999;
+        min-inline-size: ${contentMin};
+      }
+    `;
+  }
+
+  if (noStretch) {
+    css += `${selector} { align-items: flex-start; }`;
+  }
+
+  // Responsive side width: "15rem @60rem:20rem"
+  const sideChild = side === 'right' ? ':last-child' : ':first-child';
+  responsive.breakpoints.forEach(({ query, value }) => {
+    css += `${query} { ${selector} > ${sideChild} { flex-basis: ${value}; } }`;
+  });
+
+  return {
+    id,
+    css,
+    props: {
+      '--glan-veleg-width': sideWidth,
+      '--glan-veleg-content-min': contentMin,
+      '--glan-veleg-space': space,
+    },
+  };
+}
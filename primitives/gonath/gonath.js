@@ -6,12 +6,18 @@
  * Uses CSS columns (widely supported) with progressive enhancement
  * to CSS Grid masonry where available.
  * 
- * @property {number} columns - Number of columns (default: 3)
+ * @property {number} columns - Number of columns (default: 3); accepts breakpoints, e.g. "1 @30rem:2 @60rem:4"
  * @property {string} space - Gap between items (default: var(--s1))
+ * @property {string} layout - "css" (default), "js", or "auto" (js unless
+ *   CSS Grid masonry is supported)
  * 
  * NOTE: CSS columns flow top-to-bottom, then left-to-right.
  * This means visual order differs from DOM order.
- * For true masonry ordering, JavaScript is required.
+ * layout="js" places each item, in DOM order, into the shortest column,
+ * and re-flows on resize, image load and child changes.
+ * 
+ * Events:
+ * - layout: { columns, height } after each JS layout pass
  * 
  * @example
  * <i-gonath columns="4" space="var(--s2)">
@@ -20,24 +26,47 @@
  *   <div>Item 3</div>
  *   ...
  * </i-gonath>
+ * 
+ * @example
+ * <i-gonath columns="1 @30rem:2 @60rem:4" layout="auto">...</i-gonath>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { gonathStyles } from './gonath.styles.js';
+
 class GonathLayout extends HTMLElement {
   static get observedAttributes() {
-    return ['columns', 'space'];
+    return ['columns', 'space', 'layout'];
   }
 
   constructor() {
     super();
     this.render = this.render.bind(this);
+    this.scheduleLayout = this.scheduleLayout.bind(this);
+    this.resizeObserver = null;
+    this.mutationObserver = null;
+    this.layoutFrame = null;
   }
 
   connectedCallback() {
     this.render();
+    this.setupLayout();
+  }
+
+  disconnectedCallback() {
+    detachStyles(this);
+    this.cleanupLayout();
   }
 
-  attributeChangedCallback() {
+  attributeChangedCallback(name) {
     this.render();
+
+    if (!this.isConnected) return;
+    if (name === 'layout') {
+      this.setupLayout();
+    } else if (this.usesJsLayout) {
+      this.scheduleLayout();
+    }
   }
 
   get columns() {
@@ -56,53 +85,150 @@ class GonathLayout extends HTMLElement {
     this.setAttribute('space', val);
   }
 
+  get layout() {
+    return this.getAttribute('layout') || 'css';
+  }
+
+  set layout(val) {
+    this.setAttribute('layout', val);
+  }
+
   // Check if CSS Grid masonry is supported
   static get isGridGonathSupported() {
     return CSS.supports('grid-template-rows', 'masonry');
   }
 
-  render() {
-    this.style.setProperty('--gonath-columns', this.columns);
-    this.style.setProperty('--gonath-space', this.space);
-
-    const id = `Gonath-${this.columns}-${this.space}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      
-      let css = `
-        ${selector} {
-          column-count: ${this.columns};
-          column-gap: ${this.space};
-        }
-        ${selector} > * {
-          margin-block-end: ${this.space};
-        }
-      `;
-
-      // Progressive enhancement for CSS Grid masonry
-      css += `
-        @supports (grid-template-rows: masonry) {
-          ${selector} {
-            display: grid;
-            column-count: unset;
-            grid-template-columns: repeat(${this.columns}, 1fr);
-            grid-template-rows: masonry;
-            gap: ${this.space};
-          }
-          ${selector} > * {
-            margin-block-end: 0;
-          }
-        }
-      `;
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
+  /**
+   * Whether items are placed by the JS engine
+   */
+  get usesJsLayout() {
+    if (this.layout === 'js') return true;
+    return this.layout === 'auto' && !GonathLayout.isGridGonathSupported;
+  }
+
+  setupLayout() {
+    this.cleanupLayout();
+    if (!this.usesJsLayout) return;
+
+    this.dataset.layout = 'js';
+
+    // Container width changes and item height changes both re-flow
+    if ('ResizeObserver' in window) {
+      this.resizeObserver = new ResizeObserver(this.scheduleLayout);
+      this.resizeObserver.observe(this);
+      Array.from(this.children).forEach(child => this.resizeObserver.observe(child));
     }
+
+    if ('MutationObserver' in window) {
+      this.mutationObserver = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach((node) => {
+            if (node.nodeType === 1) this.resizeObserver?.observe(node);
+          });
+          mutation.removedNodes.forEach((node) => {
+            if (node.nodeType === 1) {
+              this.resizeObserver?.unobserve(node);
+              this.resetItem(node);
+            }
+          });
+        });
+        this.scheduleLayout();
+      });
+      this.mutationObserver.observe(this, { childList: true });
+    }
+
+    // load does not bubble: listen in the capture phase for images
+    this.addEventListener('load', this.scheduleLayout, true);
+
+    this.layoutItems();
+  }
+
+  cleanupLayout() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    if (this.layoutFrame) {
+      cancelAnimationFrame(this.layoutFrame);
+      this.layoutFrame = null;
+    }
+    this.removeEventListener('load', this.scheduleLayout, true);
+
+    if (this.dataset.layout === 'js') {
+      delete this.dataset.layout;
+      this.style.removeProperty('block-size');
+      Array.from(this.children).forEach(child => this.resetItem(child));
+    }
+  }
+
+  resetItem(item) {
+    ['inline-size', 'inset-inline-start', 'inset-block-start'].forEach((prop) => {
+      item.style.removeProperty(prop);
+    });
+  }
+
+  /**
+   * Batch re-flows into the next frame
+   */
+  scheduleLayout() {
+    if (this.layoutFrame) return;
+    this.layoutFrame = requestAnimationFrame(() => {
+      this.layoutFrame = null;
+      this.layoutItems();
+    });
+  }
+
+  /**
+   * Column count in effect, including container breakpoints
+   * @returns {number}
+   */
+  get columnCount() {
+    // Read the count CSS mode computes, without the JS layout's override
+    const js = this.dataset.layout === 'js';
+    if (js) delete this.dataset.layout;
+    const computed = parseInt(getComputedStyle(this).columnCount, 10);
+    if (js) this.dataset.layout = 'js';
+    return computed || this.columns;
+  }
+
+  /**
+   * Place items in DOM order, each into the currently shortest column
+   */
+  layoutItems() {
+    if (!this.usesJsLayout) return;
+
+    const items = Array.from(this.children);
+    const columns = Math.max(1, this.columnCount);
+    const gap = parseFloat(getComputedStyle(this).columnGap) || 0;
+    const width = this.clientWidth;
+    const columnWidth = Math.max(0, (width - gap * (columns - 1)) / columns);
+
+    // Write widths first, then read heights, to avoid layout thrashing
+    items.forEach(item => item.style.setProperty('inline-size', `${columnWidth}px`));
+    const heights = items.map(item => item.offsetHeight);
+
+    const columnHeights = new Array(columns).fill(0);
+    items.forEach((item, i) => {
+      const column = columnHeights.indexOf(Math.min(...columnHeights));
+      item.style.setProperty('inset-inline-start', `${column * (columnWidth + gap)}px`);
+      item.style.setProperty('inset-block-start', `${columnHeights[column]}px`);
+      columnHeights[column] += heights[i] + gap;
+    });
+
+    const height = items.length ? Math.max(...columnHeights) - gap : 0;
+    this.style.setProperty('block-size', `${height}px`);
+
+    this.dispatchEvent(new CustomEvent('layout', {
+      detail: { columns, height },
+    }));
+  }
+
+  render() {
+    applyStyles(this, gonathStyles(this));
   }
 }
 
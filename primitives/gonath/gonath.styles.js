@@ -0,0 +1,78 @@
+/**
+ * Gonath style generator
+ *
+ * Shared by GonathLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector, parseResponsive } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-gonath
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function gonathStyles(el) {
+  const columnsAttr = el.getAttribute('columns');
+  const responsive = parseResponsive(columnsAttr);
+  const columns = parseInt(responsive.base, 10) || 3;
+  const space = el.getAttribute('space') || 'var(--s1)';
+
+  const breakpointStr = responsive.breakpoints.length ? `-${columnsAttr}` : '';
+  const id = toStyleId(`Gonath-${columns}-${space}${breakpointStr}`);
+  const selector = scopeSelector(id);
+
+  let css = `
+    ${selector} {
+      column-count: ${columns};
+      column-gap: ${space};
+    }
+    ${selector} > * {
+      margin-block-end: ${space};
+    }
+  `;
+
+  // Progressive enhancement for CSS Grid masonry
+  css += `
+    @supports (grid-template-rows: masonry) {
+      ${selector} {
+        display: grid;
+        column-count: unset;
+        grid-template-columns: repeat(${columns}, 1fr);
+        grid-template-rows: masonry;
+        gap: ${space};
+      }
+      ${selector} > * {
+        margin-block-end: 0;
+      }
+    }
+  `;
+
+  // Responsive columns: "1 @30rem:2 @60rem:4"
+  responsive.breakpoints.forEach(({ query, value }) => {
+    const count = parseInt(value, 10);
+    if (!count) return;
+    css += `
+      ${query} {
+        ${selector} {
+          column-count: ${count};
+        }
+        @supports (grid-template-rows: masonry) {
+          ${selector} {
+            column-count: unset;
+            grid-template-columns: repeat(${count}, 1fr);
+          }
+        }
+      }
+    `;
+  });
+
+  return {
+    id,
+    css,
+    props: {
+      '--gonath-columns': columns,
+      '--gonath-space': space,
+    },
+  };
+}
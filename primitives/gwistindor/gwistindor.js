@@ -16,6 +16,9 @@
  * </i-gwistindor>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { gwistindorStyles } from './gwistindor.styles.js';
+
 class GwistindorLayout extends HTMLElement {
   static get observedAttributes() {
     return ['threshold', 'space', 'limit'];
@@ -30,6 +33,10 @@ class GwistindorLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -59,33 +66,7 @@ class GwistindorLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--gwistindor-threshold', this.threshold);
-    this.style.setProperty('--gwistindor-space', this.space);
-
-    const id = `Gwistindor-${this.threshold}-${this.space}-${this.limit}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      const limitPlusOne = this.limit + 1;
-      
-      styleEl.textContent = `
-        ${selector} {
-          gap: ${this.space};
-        }
-        ${selector} > * {
-          flex-basis: calc((${this.threshold} - 100%) * 999);
-        }
-        ${selector} > :nth-last-child(n+${limitPlusOne}),
-        ${selector} > :nth-last-child(n+${limitPlusOne}) ~ * {
-          flex-basis: 100%;
-        }
-      `;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, gwistindorStyles(this));
   }
 }
 
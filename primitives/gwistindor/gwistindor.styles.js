@@ -0,0 +1,45 @@
+/**
+ * Gwistindor style generator
+ *
+ * Shared by GwistindorLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-gwistindor
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function gwistindorStyles(el) {
+  const threshold = el.getAttribute('threshold') || 'var(--measure)';
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const limit = parseInt(el.getAttribute('limit'), 10) || 4;
+
+  const id = toStyleId(`Gwistindor-${threshold}-${space}-${limit}`);
+  const selector = scopeSelector(id);
+  const limitPlusOne = limit + 1;
+
+  const css = `
+    ${selector} {
+      gap: ${space};
+    }
+    ${selector} > * {
+      flex-basis: calc((${threshold} - 100%) * 999);
+    }
+    ${selector} > :nth-last-child(n+${limitPlusOne}),
+    ${selector} > :nth-last-child(n+${limitPlusOne}) ~ * {
+      flex-basis: 100%;
+    }
+  `;
+
+  return {
+    id,
+    css,
+    props: {
+      '--gwistindor-threshold': threshold,
+      '--gwistindor-space': space,
+    },
+  };
+}
@@ -3,7 +3,7 @@
  * 
  * Injects vertical margin between successive child elements.
  * 
- * @property {string} space - A CSS margin value (default: var(--s1))
+ * @property {string} space - A CSS margin value (default: var(--s1)); accepts breakpoints, e.g. "var(--s1) @40rem:var(--s3)"
  * @property {boolean} recursive - Apply to all descendants, not just children
  * @property {number} splitAfter - Element index after which to split with auto margin
  * 
@@ -15,6 +15,9 @@
  * </i-hath>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { hathStyles } from './hath.styles.js';
+
 class HathLayout extends HTMLElement {
   static get observedAttributes() {
     return ['space', 'recursive', 'split-after'];
@@ -29,6 +32,10 @@ class HathLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -67,35 +74,7 @@ class HathLayout extends HTMLElement {
   }
 
   render() {
-    // Generate unique identifier for this configuration
-    const recursive = this.recursive ? '-recursive' : '';
-    const split = this.splitAfter ? `-split${this.splitAfter}` : '';
-    const id = `Hath-${this.space}${recursive}${split}`.replace(/[^\w-]/g, '');
-    
-    this.dataset.i = id;
-    this.style.setProperty('--hath-space', this.space);
-
-    // Check if styles already exist for this configuration
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = '';
-
-      if (this.recursive) {
-        css = `${selector} * + * { margin-block-start: ${this.space}; }`;
-      } else {
-        css = `${selector} > * + * { margin-block-start: ${this.space}; }`;
-      }
-
-      if (this.splitAfter) {
-        css += `${selector} > :nth-child(${this.splitAfter}) { margin-block-end: auto; }`;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, hathStyles(this));
   }
 }
 
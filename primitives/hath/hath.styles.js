@@ -0,0 +1,43 @@
+/**
+ * Hath style generator
+ *
+ * Shared by HathLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector, parseResponsive } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-hath
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function hathStyles(el) {
+  const spaceAttr = el.getAttribute('space');
+  const responsive = parseResponsive(spaceAttr);
+  const space = responsive.base || 'var(--s1)';
+  const recursive = el.hasAttribute('recursive');
+  const splitAttr = el.getAttribute('split-after');
+  const splitAfter = splitAttr ? parseInt(splitAttr, 10) : null;
+
+  // Generate unique identifier for this configuration
+  const recursiveStr = recursive ? '-recursive' : '';
+  const splitStr = splitAfter ? `-split${splitAfter}` : '';
+  const breakpointStr = responsive.breakpoints.length ? `-${spaceAttr}` : '';
+  const id = toStyleId(`Hath-${space}${recursiveStr}${splitStr}${breakpointStr}`);
+
+  const selector = scopeSelector(id);
+  const children = recursive ? `${selector} * + *` : `${selector} > * + *`;
+  let css = `${children} { margin-block-start: ${space}; }`;
+
+  // Responsive space: "var(--s1) @40rem:var(--s3)"
+  responsive.breakpoints.forEach(({ query, value }) => {
+    css += `${query} { ${children} { margin-block-start: ${value}; } }`;
+  });
+
+  if (splitAfter) {
+    css += `${selector} > :nth-child(${splitAfter}) { margin-block-end: auto; }`;
+  }
+
+  return { id, css, props: { '--hath-space': space } };
+}
@@ -7,16 +7,129 @@
  * @property {string} to - Direction to stick: top, bottom, left, right (default: top)
  * @property {string} offset - Distance from edge when stuck (default: 0)
  * @property {boolean} sentinel - Enable stuck state detection
+ * @property {string} stack - Join a sticky stack (optional group name, default: "default")
+ * 
+ * Stacked elements stick below the earlier elements of their group
+ * (above the later ones for to="bottom"/"right") whose parent also
+ * contains them: sticky ends with the parent. Each gets
+ * --him-stack-offset: the measured size of the elements it sits against,
+ * updated on resize and when those elements become stuck or unstuck.
  * 
  * @example
  * <i-him offset="var(--s1)" sentinel>
  *   <header>This header sticks</header>
  * </i-him>
+ * 
+ * @example
+ * <i-him stack sentinel><header>Site header</header></i-him>
+ * <section>
+ *   <i-him stack sentinel><h2>Section title</h2></i-him>
+ *   ...
+ * </section>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { himStyles } from './him.styles.js';
+
+// ============================================================
+// STACK REGISTRY
+// ============================================================
+//
+// Document-level: stack group → Set of connected i-him elements.
+// One ResizeObserver measures every stacked element; offsets are
+// recomputed once per frame.
+
+const stacks = new Map();
+let stackObserver = null;
+let stackFrame = null;
+
+const byDocumentOrder = (a, b) =>
+  a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+
+/**
+ * Recompute --him-stack-offset for every stacked element
+ */
+function updateStacks() {
+  stackFrame = null;
+
+  stacks.forEach((members) => {
+    const ordered = [...members].sort(byDocumentOrder);
+
+    ordered.forEach((el, index) => {
+      const trailing = el.to === 'bottom' || el.to === 'right';
+      const horizontal = el.to === 'left' || el.to === 'right';
+      const others = trailing ? ordered.slice(index + 1) : ordered.slice(0, index);
+
+      const offset = others
+        // Same edge only; an ancestor does not stack against its descendant
+        .filter(other => other.to === el.to && !other.contains(el))
+        // Sticky stops at the end of the parent: a heading whose section
+        // has scrolled away is gone, even though it still reads as stuck
+        .filter(other => other.parentElement?.contains(el))
+        // Elements known to be unstuck (scrolled away) do not count
+        .filter(other => other.dataset.stuck !== 'false')
+        .reduce((sum, other) => sum + (horizontal ? other.offsetWidth : other.offsetHeight), 0);
+
+      el.setStackOffset(offset);
+    });
+  });
+}
+
+function scheduleStackUpdate() {
+  if (stackFrame) return;
+  stackFrame = requestAnimationFrame(updateStacks);
+}
+
+function joinStack(el, group) {
+  if (!stacks.has(group)) {
+    stacks.set(group, new Set());
+  }
+  stacks.get(group).add(el);
+
+  if (!stackObserver && 'ResizeObserver' in window) {
+    stackObserver = new ResizeObserver(scheduleStackUpdate);
+  }
+  stackObserver?.observe(el);
+  scheduleStackUpdate();
+}
+
+function leaveStack(el) {
+  stacks.forEach((members, group) => {
+    if (!members.delete(el)) return;
+    if (!members.size) stacks.delete(group);
+  });
+
+  stackObserver?.unobserve(el);
+  if (!stacks.size && stackObserver) {
+    stackObserver.disconnect();
+    stackObserver = null;
+  }
+  scheduleStackUpdate();
+}
+
 class HimLayout extends HTMLElement {
   static get observedAttributes() {
-    return ['to', 'offset', 'sentinel'];
+    return ['to', 'offset', 'sentinel', 'stack'];
+  }
+
+  /**
+   * Stacked elements by group, in document order
+   * @returns {Map<string, HimLayout[]>}
+   */
+  static get stacks() {
+    const snapshot = new Map();
+    stacks.forEach((members, group) => {
+      snapshot.set(group, [...members].sort(byDocumentOrder));
+    });
+    return snapshot;
+  }
+
+  /**
+   * Re-measure every stack now (e.g. after changing content fonts)
+   */
+  static updateStacks() {
+    if (stackFrame) cancelAnimationFrame(stackFrame);
+    updateStacks();
   }
 
   constructor() {
@@ -24,6 +137,7 @@ class HimLayout extends HTMLElement {
     this.render = this.render.bind(this);
     this.observer = null;
     this.sentinelEl = null;
+    this.stackOffset = null;
   }
 
   connectedCallback() {
@@ -31,7 +145,9 @@ class HimLayout extends HTMLElement {
   }
 
   disconnectedCallback() {
+    detachStyles(this);
     this.cleanupSentinel();
+    leaveStack(this);
   }
 
   attributeChangedCallback() {
@@ -66,6 +182,46 @@ class HimLayout extends HTMLElement {
     }
   }
 
+  get stack() {
+    return this.hasAttribute('stack') ? (this.getAttribute('stack') || 'default') : null;
+  }
+
+  set stack(val) {
+    if (val === true) {
+      this.setAttribute('stack', '');
+    } else if (val) {
+      this.setAttribute('stack', val);
+    } else {
+      this.removeAttribute('stack');
+    }
+  }
+
+  /**
+   * Apply the measured stack offset (called by the stack registry)
+   *
+   * @param {number} offset - Size in px of the elements this one sits against
+   */
+  setStackOffset(offset) {
+    if (offset === this.stackOffset) return;
+
+    this.stackOffset = offset;
+    this.style.setProperty('--him-stack-offset', `${offset}px`);
+
+    // Stuck detection has to account for the new offset
+    this.positionSentinel();
+  }
+
+  updateStackMembership() {
+    leaveStack(this);
+
+    if (this.stack && this.isConnected) {
+      joinStack(this, this.stack);
+    } else {
+      this.stackOffset = null;
+      this.style.removeProperty('--him-stack-offset');
+    }
+  }
+
   cleanupSentinel() {
     if (this.observer) {
       this.observer.disconnect();
@@ -80,7 +236,8 @@ class HimLayout extends HTMLElement {
   setupSentinel() {
     this.cleanupSentinel();
 
-    if (!this.sentinel || !('IntersectionObserver' in window)) {
+    // Removed before the deferred setup ran
+    if (!this.isConnected || !this.sentinel || !('IntersectionObserver' in window)) {
       return;
     }
 
@@ -102,6 +259,7 @@ class HimLayout extends HTMLElement {
       this.sentinelEl.style.top = '0';
       this.insertAdjacentElement('beforebegin', this.sentinelEl);
     }
+    this.positionSentinel();
 
     // Observe the sentinel
     this.observer = new IntersectionObserver(
@@ -109,10 +267,12 @@ class HimLayout extends HTMLElement {
         entries.forEach((entry) => {
           // When sentinel is not visible, we're "stuck"
           const isStuck = !entry.isIntersecting;
+          const changed = this.dataset.stuck !== String(isStuck);
           this.dataset.stuck = isStuck;
           this.dispatchEvent(new CustomEvent('stuck-change', { 
             detail: { stuck: isStuck } 
           }));
+          if (changed && this.stack) scheduleStackUpdate();
         });
       },
       { threshold: [0] }
@@ -121,36 +281,26 @@ class HimLayout extends HTMLElement {
     this.observer.observe(this.sentinelEl);
   }
 
-  render() {
-    this.style.setProperty('--him-offset', this.offset);
-
-    const id = `Him-${this.to}-${this.offset}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      let css = '';
-
-      switch (this.to) {
-        case 'bottom':
-          css = `${selector} { inset-block-start: auto; inset-block-end: ${this.offset}; }`;
-          break;
-        case 'left':
-          css = `${selector} { inset-block-start: auto; inset-inline-start: ${this.offset}; }`;
-          break;
-        case 'right':
-          css = `${selector} { inset-block-start: auto; inset-inline-end: ${this.offset}; }`;
-          break;
-        default: // top
-          css = `${selector} { inset-block-start: ${this.offset}; }`;
-      }
-
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
+  /**
+   * Move the sentinel out by the stack offset, so it reports "stuck"
+   * when the element reaches its stacked position. Done in place: the
+   * observer survives offset changes during scroll.
+   */
+  positionSentinel() {
+    if (!this.sentinelEl) return;
+
+    const px = this.stackOffset || 0;
+    switch (this.to) {
+      case 'bottom': this.sentinelEl.style.translate = `0 ${px}px`; break;
+      case 'left': this.sentinelEl.style.translate = `${-px}px 0`; break;
+      case 'right': this.sentinelEl.style.translate = `${px}px 0`; break;
+      default: this.sentinelEl.style.translate = `0 ${-px}px`;
     }
+  }
+
+  render() {
+    applyStyles(this, himStyles(this));
+    this.updateStackMembership();
 
     // Setup or cleanup sentinel observation
     if (this.sentinel) {
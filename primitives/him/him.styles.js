@@ -0,0 +1,44 @@
+/**
+ * Him style generator
+ *
+ * Shared by HimLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-him
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function himStyles(el) {
+  const to = el.getAttribute('to') || 'top';
+  const offset = el.getAttribute('offset') || '0';
+  const stack = el.hasAttribute('stack');
+
+  const stackStr = stack ? '-stack' : '';
+  const id = toStyleId(`Him-${to}-${offset}${stackStr}`);
+  const selector = scopeSelector(id);
+  let css = '';
+
+  // Stacked elements sit below the ones stuck before them;
+  // --him-stack-offset is measured at runtime (0 until then)
+  const inset = stack ? `calc(${offset} + var(--him-stack-offset, 0px))` : offset;
+
+  switch (to) {
+    case 'bottom':
+      css = `${selector} { inset-block-start: auto; inset-block-end: ${inset}; }`;
+      break;
+    case 'left':
+      css = `${selector} { inset-block-start: auto; inset-inline-start: ${inset}; }`;
+      break;
+    case 'right':
+      css = `${selector} { inset-block-start: auto; inset-inline-end: ${inset}; }`;
+      break;
+    default: // top
+      css = `${selector} { inset-block-start: ${inset}; }`;
+  }
+
+  return { id, css, props: { '--him-offset': offset } };
+}
@@ -3,16 +3,23 @@
  * 
  * A CSS Grid with explicit control over columns, rows, and item placement.
  * 
- * @property {number} columns - Number of grid columns (default: 12)
+ * @property {number} columns - Number of grid columns (default: 12); accepts breakpoints, e.g. "1 @30rem:2 @60rem:4"
  * @property {string} space - Gap between grid cells (default: var(--s1))
  * @property {string} rowHeight - Height of auto-generated rows (default: minmax(0, auto))
  * @property {boolean} dense - Enable dense packing to fill holes
+ * @property {string} areas - ASCII grid-template-areas map (rows split by newlines or "/")
+ * @property {boolean} editor - Devtools overlay: draws column lines, drag items to new cells
  * 
  * Children can use data attributes for placement:
- * - data-col-span="N" - Span N columns (1-12 or "full")
- * - data-row-span="N" - Span N rows (1-6)
+ * - data-col-span="N" - Span N columns (any N, or "full")
+ * - data-row-span="N" - Span N rows
  * - data-col-start="N" - Start at column N
  * - data-row-start="N" - Start at row N
+ * - data-area="name" - Place in a named area from `areas`
+ * 
+ * Events (editor mode):
+ * - item-move: { item, colStart, rowStart, attributes, markup } after a drop;
+ *   attributes maps a removed data-area to null
  * 
  * @example
  * <i-miriant columns="4" space="var(--s2)">
@@ -21,32 +28,68 @@
  *   <div>Small</div>
  *   <div data-col-span="full">Full width</div>
  * </i-miriant>
+ * 
+ * @example
+ * <i-miriant areas="header header / sidebar main">
+ *   <header data-area="header">...</header>
+ *   <nav data-area="sidebar">...</nav>
+ *   <main data-area="main">...</main>
+ * </i-miriant>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { miriantStyles } from './miriant.styles.js';
+
+const PLACEMENT_ATTRS = ['data-col-start', 'data-row-start', 'data-col-span', 'data-row-span'];
+
+/**
+ * Parse a resolved track list ("120px 80px") into sizes
+ * @returns {number[]}
+ */
+const parseTracks = (value) => (value || '')
+  .split(/\s+/)
+  .map(track => parseFloat(track))
+  .filter(size => !Number.isNaN(size));
+
 class MiriantLayout extends HTMLElement {
   static get observedAttributes() {
-    return ['columns', 'space', 'row-height', 'dense'];
+    return ['columns', 'space', 'row-height', 'dense', 'areas', 'editor'];
   }
 
   constructor() {
     super();
     this.render = this.render.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
     this.mutationObserver = null;
+    this.overlayEl = null;
+    this.overlayObserver = null;
+    this.drag = null;
+    this.placed = new WeakMap();
   }
 
   connectedCallback() {
     this.render();
     this.setupChildObserver();
+    this.setupEditor();
   }
 
   disconnectedCallback() {
+    detachStyles(this);
     if (this.mutationObserver) {
       this.mutationObserver.disconnect();
     }
+    this.cleanupEditor();
   }
 
-  attributeChangedCallback() {
+  attributeChangedCallback(name) {
     this.render();
+
+    if (name === 'editor' && this.isConnected) {
+      this.setupEditor();
+    }
+    if (name === 'columns' || name === 'areas') {
+      this.drawOverlay();
+    }
   }
 
   get columns() {
@@ -85,69 +128,283 @@ class MiriantLayout extends HTMLElement {
     }
   }
 
+  get areas() {
+    return this.getAttribute('areas');
+  }
+
+  set areas(val) {
+    if (val) {
+      this.setAttribute('areas', val);
+    } else {
+      this.removeAttribute('areas');
+    }
+  }
+
+  get editor() {
+    return this.hasAttribute('editor');
+  }
+
+  set editor(val) {
+    if (val) {
+      this.setAttribute('editor', '');
+    } else {
+      this.removeAttribute('editor');
+    }
+  }
+
+  /**
+   * Grid items (excludes the editor overlay)
+   */
+  get items() {
+    return Array.from(this.children).filter(child => child !== this.overlayEl);
+  }
+
   setupChildObserver() {
     if (!('MutationObserver' in window)) return;
 
     this.mutationObserver = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          this.styleChildren();
-        }
-      });
+      const relevant = mutations.some(mutation =>
+        mutation.type === 'childList' || mutation.target.parentElement === this
+      );
+      if (relevant) {
+        this.styleChildren();
+      }
     });
 
-    this.mutationObserver.observe(this, { childList: true });
+    // Placement attributes on children are watched too; subtree is
+    // required for that, so deeper mutations are filtered out above
+    this.mutationObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: PLACEMENT_ATTRS,
+    });
     this.styleChildren();
   }
 
+  /**
+   * Inline placement for a child from its data attributes
+   *
+   * Spans go through custom properties so the stylesheet (including
+   * its narrow-container collapse) stays in charge of applying them.
+   * Named areas need no JS: the generated CSS maps each data-area.
+   *
+   * @param {HTMLElement} child
+   * @returns {Object} CSS property → value
+   */
+  placementFor(child) {
+    const { colStart, rowStart, colSpan, rowSpan } = child.dataset;
+    const placement = {};
+
+    if (colStart) {
+      placement['grid-column-start'] = colStart;
+    }
+    if (rowStart) {
+      placement['grid-row-start'] = rowStart;
+    }
+    if (parseInt(colSpan, 10) > 0) {
+      placement['--miriant-col-span'] = parseInt(colSpan, 10);
+    }
+    if (parseInt(rowSpan, 10) > 0) {
+      placement['--miriant-row-span'] = parseInt(rowSpan, 10);
+    }
+
+    return placement;
+  }
+
   styleChildren() {
-    // Apply inline styles for explicit placement (data-col-start, data-row-start)
-    Array.from(this.children).forEach((child) => {
-      const colStart = child.dataset.colStart;
-      const rowStart = child.dataset.rowStart;
+    // Apply inline styles for explicit placement and spans
+    this.items.forEach((child) => {
+      const placement = this.placementFor(child);
+      const previous = this.placed.get(child) || {};
 
-      if (colStart) {
-        child.style.gridColumnStart = colStart;
-      }
-      if (rowStart) {
-        child.style.gridRowStart = rowStart;
-      }
+      // Only clear what we set before, never the author's own styles
+      Object.keys(previous).forEach((prop) => {
+        child.style.removeProperty(prop);
+      });
+      Object.entries(placement).forEach(([prop, value]) => {
+        child.style.setProperty(prop, value);
+      });
+
+      this.placed.set(child, placement);
     });
   }
 
-  render() {
-    this.style.setProperty('--miriant-columns', this.columns);
-    this.style.setProperty('--miriant-space', this.space);
-    this.style.setProperty('--miriant-row-height', this.rowHeight);
-
-    const denseStr = this.dense ? '-dense' : '';
-    const id = `Miriant-${this.columns}-${this.space}-${this.rowHeight}${denseStr}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    // Set container-type for container queries
-    this.style.containerType = 'inline-size';
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      
-      let css = `
-        ${selector} {
-          grid-template-columns: repeat(${this.columns}, 1fr);
-          gap: ${this.space};
-          grid-auto-rows: ${this.rowHeight};
-        }
-      `;
-
-      if (this.dense) {
-        css += `${selector} { grid-auto-flow: dense; }`;
-      }
+  // ============================================================
+  // EDITOR OVERLAY
+  // ============================================================
+
+  setupEditor() {
+    this.cleanupEditor();
+    if (!this.editor) return;
+
+    // Absolutely positioned, spanning every explicit line: not a grid item
+    this.overlayEl = document.createElement('div');
+    this.overlayEl.className = 'miriant-overlay';
+    this.overlayEl.setAttribute('aria-hidden', 'true');
+    this.appendChild(this.overlayEl);
+    this.drawOverlay();
+
+    // Container breakpoints change the column count
+    if ('ResizeObserver' in window) {
+      this.overlayObserver = new ResizeObserver(() => this.drawOverlay());
+      this.overlayObserver.observe(this);
+    }
+
+    this.addEventListener('pointerdown', this.handlePointerDown);
+  }
+
+  cleanupEditor() {
+    this.endDrag();
+    if (this.overlayEl) {
+      this.overlayEl.remove();
+      this.overlayEl = null;
+    }
+    if (this.overlayObserver) {
+      this.overlayObserver.disconnect();
+      this.overlayObserver = null;
+    }
+    this.removeEventListener('pointerdown', this.handlePointerDown);
+  }
+
+  /**
+   * Draw numbered, outlined columns
+   *
+   * The overlay inherits the grid's column tracks; it is redrawn when a
+   * breakpoint changes their number.
+   */
+  drawOverlay() {
+    if (!this.overlayEl) return;
+
+    const columns = this.columnCount();
+    if (this.overlayEl.children.length === columns) return;
+    this.overlayEl.replaceChildren(
+      ...Array.from({ length: columns }, (_, i) => {
+        const cell = document.createElement('span');
+        cell.className = 'miriant-overlay-column';
+        cell.textContent = i + 1;
+        return cell;
+      })
+    );
+  }
+
+  /**
+   * Resolved column count (browsers report the used track list)
+   * @returns {number}
+   */
+  columnCount() {
+    const tracks = parseTracks(getComputedStyle(this).gridTemplateColumns);
+    return tracks.length || parseInt(this.style.getPropertyValue('--miriant-columns'), 10) || this.columns;
+  }
+
+  /**
+   * Resolved row track sizes in px
+   * @returns {number[]}
+   */
+  rowTracks() {
+    return parseTracks(getComputedStyle(this).gridTemplateRows);
+  }
+
+  /**
+   * Grid cell (1-based lines) under a viewport point
+   *
+   * @param {number} x - clientX
+   * @param {number} y - clientY
+   * @returns {{col: number, row: number}}
+   */
+  cellAt(x, y) {
+    const rect = this.getBoundingClientRect();
+    const style = getComputedStyle(this);
+    const columnGap = parseFloat(style.columnGap) || 0;
+    const rowGap = parseFloat(style.rowGap) || 0;
+    const columns = this.columnCount();
+    const columnWidth = (rect.width - columnGap * (columns - 1)) / columns;
 
-      styleEl.textContent = css;
-      document.head.appendChild(styleEl);
+    const col = Math.floor((x - rect.left) / (columnWidth + columnGap)) + 1;
+
+    let row = 1;
+    let edge = rect.top;
+    for (const size of this.rowTracks()) {
+      if (y < edge + size + rowGap) break;
+      edge += size + rowGap;
+      row++;
     }
+
+    return { col: Math.max(1, Math.min(col, columns)), row };
+  }
+
+  handlePointerDown(event) {
+    const item = this.items.find(child => child === event.target || child.contains(event.target));
+    if (!item || event.button > 0) return;
+
+    event.preventDefault();
+    this.drag = { item, pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+    item.classList.add('miriant-dragging');
+    item.setPointerCapture?.(event.pointerId);
+
+    this.drag.onMove = (e) => {
+      if (e.pointerId !== this.drag.pointerId) return;
+      item.style.translate = `${e.clientX - this.drag.x}px ${e.clientY - this.drag.y}px`;
+    };
+    this.drag.onUp = (e) => {
+      if (e.pointerId !== this.drag.pointerId) return;
+      const { col, row } = this.cellAt(e.clientX, e.clientY);
+      this.endDrag();
+      this.moveItem(item, col, row);
+    };
+    this.drag.onCancel = () => this.endDrag();
+
+    item.addEventListener('pointermove', this.drag.onMove);
+    item.addEventListener('pointerup', this.drag.onUp);
+    item.addEventListener('pointercancel', this.drag.onCancel);
+  }
+
+  endDrag() {
+    if (!this.drag) return;
+
+    const { item, onMove, onUp, onCancel } = this.drag;
+    item.removeEventListener('pointermove', onMove);
+    item.removeEventListener('pointerup', onUp);
+    item.removeEventListener('pointercancel', onCancel);
+    item.classList.remove('miriant-dragging');
+    item.style.translate = '';
+    this.drag = null;
+  }
+
+  /**
+   * Place an item at a cell and report the attributes to copy into markup
+   *
+   * @param {HTMLElement} item - Direct child
+   * @param {number} col - Column line (1-based)
+   * @param {number} row - Row line (1-based)
+   */
+  moveItem(item, col, row) {
+    item.dataset.colStart = col;
+    item.dataset.rowStart = row;
+
+    // The area's end lines would stretch the item back to it
+    const attributes = {};
+    if (item.hasAttribute('data-area')) {
+      item.removeAttribute('data-area');
+      attributes['data-area'] = null;
+    }
+    this.styleChildren();
+
+    PLACEMENT_ATTRS.forEach((attr) => {
+      if (item.hasAttribute(attr)) attributes[attr] = item.getAttribute(attr);
+    });
+    const markup = Object.entries(attributes)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `${name}="${value}"`)
+      .join(' ');
+
+    this.dispatchEvent(new CustomEvent('item-move', {
+      detail: { item, colStart: col, rowStart: row, attributes, markup },
+    }));
+  }
+
+  render() {
+    applyStyles(this, miriantStyles(this));
   }
 }
 
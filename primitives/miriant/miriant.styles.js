@@ -0,0 +1,155 @@
+/**
+ * Miriant style generator
+ *
+ * Shared by MiriantLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector, parseResponsive } from '../../global/styles.js';
+
+/**
+ * Parse an ASCII grid-template-areas map
+ *
+ * Rows are separated by newlines or "/", cells by whitespace:
+ *   "header header / sidebar main"
+ *
+ * @param {string|null} value
+ * @returns {string[][]} Rows of cell names ("." for empty cells)
+ */
+export function parseAreas(value) {
+  if (!value) return [];
+  return value
+    .split(/\n|\//)
+    .map(row => row.trim())
+    .filter(Boolean)
+    .map(row => row.split(/\s+/));
+}
+
+const AREA_NAME = /^[a-zA-Z_][\w-]*$/;
+const EMPTY_CELL = /^\.+$/;
+
+/**
+ * Why an areas map would be dropped by the browser
+ *
+ * Every row needs the same number of cells, cells must be names or
+ * "." runs, and each name must cover one rectangle.
+ *
+ * @param {string[][]} rows - From parseAreas()
+ * @returns {string|null} null when valid
+ */
+export function areasError(rows) {
+  const width = rows[0]?.length ?? 0;
+  if (rows.some(row => row.length !== width)) {
+    return `rows have different cell counts (${rows.map(row => row.length).join(', ')})`;
+  }
+
+  const bounds = new Map();
+  for (let r = 0; r < rows.length; r++) {
+    for (let c = 0; c < width; c++) {
+      const name = rows[r][c];
+      if (EMPTY_CELL.test(name)) continue;
+      if (!AREA_NAME.test(name)) return `"${name}" is not a valid area name`;
+
+      const box = bounds.get(name) || { top: r, bottom: r, left: c, right: c, cells: 0 };
+      box.top = Math.min(box.top, r);
+      box.bottom = Math.max(box.bottom, r);
+      box.left = Math.min(box.left, c);
+      box.right = Math.max(box.right, c);
+      box.cells++;
+      bounds.set(name, box);
+    }
+  }
+
+  for (const [name, box] of bounds) {
+    if (box.cells !== (box.bottom - box.top + 1) * (box.right - box.left + 1)) {
+      return `"${name}" does not form a rectangle`;
+    }
+  }
+  return null;
+}
+
+// Template and data-area placement for a valid map
+function areaRules(selector, areas) {
+  const template = areas.map(row => `"${row.join(' ')}"`).join(' ');
+  let css = `${selector} { grid-template-areas: ${template}; }`;
+
+  // Children opt in with data-area="name"
+  const names = new Set(areas.flat().filter(name => AREA_NAME.test(name)));
+  names.forEach((name) => {
+    css += `${selector} > [data-area="${name}"] { grid-area: ${name}; }`;
+  });
+  return css;
+}
+
+// Fewer tracks than the map is wide: place data-area children in order
+const areaReset = (selector) =>
+  `${selector} { grid-template-areas: none; } ${selector} > [data-area] { grid-area: auto; }`;
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-miriant
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function miriantStyles(el) {
+  const columnsAttr = el.getAttribute('columns');
+  const responsive = parseResponsive(columnsAttr);
+  let areas = parseAreas(el.getAttribute('areas'));
+  const invalid = areas.length ? areasError(areas) : null;
+  if (invalid) {
+    console.warn(`[i-miriant] Ignoring areas: ${invalid}`);
+    areas = [];
+  }
+  // Without explicit columns, an areas map sets the column count
+  const areaColumns = areas[0]?.length ?? 0;
+  const columns = parseInt(responsive.base, 10) || areaColumns || 12;
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const rowHeight = el.getAttribute('row-height') || 'minmax(0, auto)';
+  const dense = el.hasAttribute('dense');
+
+  const denseStr = dense ? '-dense' : '';
+  const breakpointStr = responsive.breakpoints.length ? `-${columnsAttr}` : '';
+  const areasStr = areas.length ? `-${areas.map(row => row.join(' ')).join('/')}` : '';
+  const id = toStyleId(`Miriant-${columns}-${space}-${rowHeight}${denseStr}${breakpointStr}${areasStr}`);
+  const selector = scopeSelector(id);
+
+  let css = `
+    ${selector} {
+      grid-template-columns: repeat(${columns}, 1fr);
+      gap: ${space};
+      grid-auto-rows: ${rowHeight};
+    }
+  `;
+
+  // The map applies wherever the grid has enough columns for it
+  const areasFit = count => areaColumns <= count;
+  if (areas.length && areasFit(columns)) {
+    css += areaRules(selector, areas);
+  }
+
+  if (dense) {
+    css += `${selector} { grid-auto-flow: dense; }`;
+  }
+
+  // Responsive columns: "1 @30rem:2 @60rem:4"
+  responsive.breakpoints.forEach(({ query, value }) => {
+    const count = parseInt(value, 10);
+    if (!count) return;
+    let rules = `${selector} { grid-template-columns: repeat(${count}, 1fr); }`;
+    if (areas.length) {
+      rules += areasFit(count) ? areaRules(selector, areas) : areaReset(selector);
+    }
+    css += `${query} { ${rules} }`;
+  });
+
+  return {
+    id,
+    css,
+    props: {
+      '--miriant-columns': columns,
+      '--miriant-space': space,
+      '--miriant-row-height': rowHeight,
+      // Set container-type for container queries
+      'container-type': 'inline-size',
+    },
+  };
+}
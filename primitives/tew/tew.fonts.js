@@ -0,0 +1,337 @@
+/**
+ * i-têw - Font Family Registry
+ *
+ * Web fonts for family="…". Registering a family injects its @font-face
+ * rules through the shared style registry (global/styles.js), plus a
+ * metric-matched local fallback so swapping in the web font does not
+ * shift the layout. Faces load on demand: an i-tew asks for its family
+ * and weight when it connects.
+ *
+ * Definition:
+ *   src              - URL with {weight} (one file per weight), one URL
+ *                      (a variable font covering weights), or
+ *                      { 400: url, 700: url }
+ *   weights          - Weights the files cover (default [400])
+ *   display          - font-display (default "swap")
+ *   fallbackMetrics  - The web font's metrics, matched against a local
+ *                      fallback: { fallback: 'arial'|'times'|'courier',
+ *                      unitsPerEm, ascent, descent, lineGap, xWidthAvg },
+ *                      or the overrides themselves: { fallback,
+ *                      sizeAdjust, ascentOverride, descentOverride,
+ *                      lineGapOverride } (numbers, 1 = 100%)
+ *
+ * Usage:
+ *
+ * import TewElement from './tew.js';
+ *
+ * TewElement.registerFamily('brand', {
+ *   src: '/fonts/brand-{weight}.woff2',
+ *   weights: [400, 700],
+ *   fallbackMetrics: { fallback: 'arial', unitsPerEm: 1000, ascent: 950, descent: -250, lineGap: 0, xWidthAvg: 500 },
+ * });
+ *
+ * <i-tew family="brand" weight="bold">…</i-tew>
+ */
+
+import { retainStyles, releaseStyles, flushStyles } from '../../global/styles.js';
+
+// Defined in tew.css
+const TEW_BUILT_IN_FAMILIES = [
+  'sans', 'plain', 'serif', 'title', 'heading', 'display',
+  'mono', 'monospace', 'code', 'alt', 'accent', 'system', 'ui',
+];
+
+const TEW_FAMILY_NAME = /^[a-z][\w-]*$/i;
+const TEW_FONT_DISPLAYS = ['auto', 'block', 'swap', 'fallback', 'optional'];
+
+const TEW_FONT_FORMATS = {
+  woff2: 'woff2',
+  woff: 'woff',
+  ttf: 'truetype',
+  otf: 'opentype',
+};
+
+// Local fallbacks with their average character width (font units)
+const TEW_FALLBACK_FONTS = {
+  arial: { local: 'Arial', generic: 'sans-serif', unitsPerEm: 2048, xWidthAvg: 904 },
+  times: { local: 'Times New Roman', generic: 'serif', unitsPerEm: 2048, xWidthAvg: 819 },
+  courier: { local: 'Courier New', generic: 'monospace', unitsPerEm: 2048, xWidthAvg: 1229 },
+};
+
+const TEW_WEIGHT_NAMES = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900,
+};
+
+// name → frozen definition
+const tewFamilies = new Map();
+// "name:weight" → Promise
+const tewFaceLoads = new Map();
+// element → { id, root }
+const tewFamilyUses = new WeakMap();
+
+const isTewWeight = (weight) => Number.isInteger(weight) && weight >= 1 && weight <= 1000;
+
+// Quotes, backslashes and line breaks could end the url("…")
+const isSafeFontUrl = (url) => typeof url === 'string' && url.trim() !== '' && !/["\\\n\r]/.test(url);
+
+const tewFontFormat = (url) => TEW_FONT_FORMATS[url.split(/[?#]/)[0].split('.').pop().toLowerCase()];
+
+const tewPercent = (value) => `${(value * 100).toFixed(2)}%`;
+
+function tewFontSrc(url) {
+  const format = tewFontFormat(url);
+  return format ? `url("${url}") format("${format}")` : `url("${url}")`;
+}
+
+// weight (or "min max") → url
+function tewFaceSources(name, src, weights) {
+  if (typeof src === 'object' && src !== null) {
+    return Object.entries(src).map(([weight, url]) => {
+      if (!isTewWeight(Number(weight)) || !isSafeFontUrl(url)) {
+        throw new TypeError(`[i-tew] Family "${name}" has an invalid src for weight "${weight}"`);
+      }
+      return [Number(weight), url];
+    });
+  }
+
+  if (!isSafeFontUrl(src)) {
+    throw new TypeError(`[i-tew] Family "${name}" needs a src`);
+  }
+  if (src.includes('{weight}')) {
+    return weights.map(weight => [weight, src.replaceAll('{weight}', weight)]);
+  }
+
+  // One file for every weight (variable font)
+  const min = Math.min(...weights);
+  const max = Math.max(...weights);
+  return [[min === max ? min : `${min} ${max}`, src]];
+}
+
+/**
+ * size-adjust and *-override values for a fallback
+ *
+ * @param {string} name
+ * @param {Object} metrics - See fallbackMetrics above
+ * @returns {{fallback: Object, sizeAdjust: number, ascentOverride: number, descentOverride: number, lineGapOverride: number}}
+ */
+function tewFallbackOverrides(name, metrics) {
+  const fallback = TEW_FALLBACK_FONTS[String(metrics.fallback ?? 'arial').toLowerCase()];
+  if (!fallback) {
+    throw new TypeError(`[i-tew] Family "${name}" has an unknown fallback "${metrics.fallback}"`);
+  }
+
+  let overrides;
+  if (metrics.sizeAdjust != null) {
+    overrides = {
+      sizeAdjust: metrics.sizeAdjust,
+      ascentOverride: metrics.ascentOverride,
+      descentOverride: metrics.descentOverride,
+      lineGapOverride: metrics.lineGapOverride,
+    };
+  } else {
+    const { unitsPerEm, ascent, descent, lineGap = 0, xWidthAvg } = metrics;
+    if (![unitsPerEm, ascent, descent, lineGap, xWidthAvg].every(Number.isFinite) || unitsPerEm <= 0 || xWidthAvg <= 0) {
+      throw new TypeError(`[i-tew] Family "${name}" has incomplete fallbackMetrics`);
+    }
+
+    // Scale the fallback so average characters match, then express the
+    // web font's vertical metrics at that scale
+    const sizeAdjust = (xWidthAvg / unitsPerEm) / (fallback.xWidthAvg / fallback.unitsPerEm);
+    overrides = {
+      sizeAdjust,
+      ascentOverride: ascent / unitsPerEm / sizeAdjust,
+      descentOverride: Math.abs(descent) / unitsPerEm / sizeAdjust,
+      lineGapOverride: lineGap / unitsPerEm / sizeAdjust,
+    };
+  }
+
+  const invalid = Object.values(overrides).some(value => value != null && !(Number.isFinite(value) && value >= 0));
+  if (invalid || !(overrides.sizeAdjust > 0)) {
+    throw new TypeError(`[i-tew] Family "${name}" has invalid fallbackMetrics`);
+  }
+  return { fallback, ...overrides };
+}
+
+function tewFamilyRules(name, { faces, display, overrides }) {
+  const fallbackName = `${name} fallback`;
+  const css = faces.map(([weight, url]) => `@font-face {
+  font-family: "${name}";
+  src: ${tewFontSrc(url)};
+  font-weight: ${weight};
+  font-display: ${display};
+}`);
+
+  let stack = `"${name}", sans-serif`;
+  if (overrides) {
+    const { fallback, sizeAdjust, ascentOverride, descentOverride, lineGapOverride } = overrides;
+    const declarations = [
+      `size-adjust: ${tewPercent(sizeAdjust)};`,
+      ascentOverride != null && `ascent-override: ${tewPercent(ascentOverride)};`,
+      descentOverride != null && `descent-override: ${tewPercent(descentOverride)};`,
+      lineGapOverride != null && `line-gap-override: ${tewPercent(lineGapOverride)};`,
+    ].filter(Boolean).map(line => `  ${line}`).join('\n');
+
+    css.push(`@font-face {
+  font-family: "${fallbackName}";
+  src: local("${fallback.local}");
+${declarations}
+}`);
+    stack = `"${name}", "${fallbackName}", ${fallback.generic}`;
+  }
+
+  const rule = `i-tew[family="${name}"] { font-family: ${stack}; }`;
+  return { faces: css.join('\n'), rule };
+}
+
+/**
+ * Register a web font family
+ *
+ * @param {string} name - Attribute value and font-family name, e.g. "brand"
+ * @param {Object} definition
+ * @param {string|Object<number, string>} definition.src
+ * @param {number[]} [definition.weights=[400]]
+ * @param {'auto'|'block'|'swap'|'fallback'|'optional'} [definition.display='swap']
+ * @param {Object} [definition.fallbackMetrics]
+ * @returns {Object} The stored definition
+ */
+export function registerFamily(name, { src, weights = [400], display = 'swap', fallbackMetrics } = {}) {
+  if (typeof name !== 'string' || !TEW_FAMILY_NAME.test(name)) {
+    throw new TypeError(`[i-tew] Invalid family name "${name}"`);
+  }
+  if (TEW_BUILT_IN_FAMILIES.includes(name)) {
+    throw new TypeError(`[i-tew] "${name}" is a built-in family`);
+  }
+  if (tewFamilies.has(name)) {
+    throw new TypeError(`[i-tew] The family "${name}" is already registered`);
+  }
+  if (!Array.isArray(weights) || !weights.length || !weights.every(isTewWeight)) {
+    throw new TypeError(`[i-tew] Family "${name}" has invalid weights`);
+  }
+  if (!TEW_FONT_DISPLAYS.includes(display)) {
+    throw new TypeError(`[i-tew] Family "${name}" has invalid display "${display}"`);
+  }
+
+  const faces = tewFaceSources(name, src, weights);
+  const overrides = fallbackMetrics ? tewFallbackOverrides(name, fallbackMetrics) : null;
+  const { faces: faceRules, rule } = tewFamilyRules(name, { faces, display, overrides });
+
+  const family = Object.freeze({
+    name,
+    weights: Object.freeze(faces.map(([weight]) => weight)),
+    display,
+    id: `elvish-tew-family-${name}`,
+    // @font-face only works in the document; shadow roots get the rule
+    css: `${faceRules}\n${rule}`,
+    rule,
+  });
+
+  tewFamilies.set(name, family);
+  retainStyles(family.id, family.css, document);
+  // Faces must be in the sheet before anything calls document.fonts.load()
+  flushStyles();
+  return family;
+}
+
+/**
+ * A registered family
+ *
+ * @param {string|null} name
+ * @returns {Object|undefined}
+ */
+export const getFamily = (name) => tewFamilies.get(name);
+
+/**
+ * Registered family names
+ * @returns {string[]}
+ */
+export const familyNames = () => [...tewFamilies.keys()];
+
+/**
+ * Numeric weight an element asks for (weight="bold" → 700)
+ *
+ * @param {Element} element
+ * @returns {number}
+ */
+export function resolveWeight(element) {
+  const value = element.getAttribute('weight');
+  const weight = TEW_WEIGHT_NAMES[value] ?? parseInt(value, 10);
+  if (isTewWeight(weight)) return weight;
+
+  // Inherited (or set by a preset)
+  return parseInt(getComputedStyle(element).fontWeight, 10) || 400;
+}
+
+/**
+ * Load one weight of a registered family (once per page)
+ *
+ * Without the CSS Font Loading API there is nothing to wait for, so the
+ * face counts as loaded.
+ *
+ * @param {string} name
+ * @param {number} [weight=400]
+ * @returns {Promise<void>} Rejects when the font fails to load or no face matches
+ */
+export function loadFace(name, weight = 400) {
+  const key = `${name}:${weight}`;
+  if (tewFaceLoads.has(key)) return tewFaceLoads.get(key);
+
+  const fonts = document.fonts;
+  const load = typeof fonts?.load === 'function'
+    ? fonts.load(`${weight} 1em "${name}"`).then((faces) => {
+      // An empty list means no @font-face matched: nothing was loaded
+      if (!faces?.length) throw new Error(`No @font-face matches ${weight} "${name}"`);
+    })
+    : Promise.resolve();
+
+  tewFaceLoads.set(key, load);
+  // Let a later element try again
+  load.catch(() => tewFaceLoads.delete(key));
+  return load;
+}
+
+/**
+ * Release the family rule an element holds in its shadow root
+ *
+ * @param {HTMLElement} element
+ */
+export function detachFamily(element) {
+  const use = tewFamilyUses.get(element);
+  if (use) releaseStyles(use.id, use.root);
+  tewFamilyUses.delete(element);
+}
+
+/**
+ * Hold a family's rule in the element's root, when that is a shadow root
+ * (the document has it from registration)
+ *
+ * @param {HTMLElement} element
+ * @param {Object} family
+ */
+export function attachFamily(element, family) {
+  detachFamily(element);
+
+  const root = element.getRootNode();
+  if (root === document || !element.isConnected) return;
+
+  const id = `${family.id}-rule`;
+  retainStyles(id, family.rule, root);
+  tewFamilyUses.set(element, { id, root });
+}
+
+export default {
+  registerFamily,
+  getFamily,
+  familyNames,
+  resolveWeight,
+  loadFace,
+  attachFamily,
+  detachFamily,
+};
@@ -18,12 +18,114 @@
  * @property {string} preset - Typography preset (h1-h6, body, lead, caption, code, quote, bquote)
  * @property {string} measure - Line length constraint (narrow, normal, wide, full)
  * @property {string} numeric - Numeric font features (tabular, oldstyle, slashed-zero, ordinal)
+ * @property {string} fit - "width": scale the font to fill the container on one line
+ * @property {string} minSize - Smallest fitted size (px or rem, default 12px)
+ * @property {string} maxSize - Largest fitted size (px or rem, default unbounded)
+ * @property {boolean} expanded - Clamped lines shown in full (truncate="toggle")
+ * @property {boolean} overflowing - Whether text is clipped right now (read-only)
+ * 
+ * Measured modes (fit, lines, truncate, overflow) are re-checked on
+ * resize, text changes and web font loads, once per frame:
+ * - fit="width" keeps the text on one line, sized between min-size and max-size
+ * - truncate="toggle" with lines="N" adds a "Show more" button after the
+ *   element while text is clipped (labels: more-label, less-label)
+ * - Clipped text gets the overflowing class
+ * 
+ * Web font families (tew.fonts.js):
+ *   TewElement.registerFamily('brand', { src, weights, display, fallbackMetrics })
+ *   <i-tew family="brand" weight="bold"> loads that weight on connect and
+ *   gets the fonts-loaded attribute once it is ready
+ * 
+ * Events:
+ * - tew:overflow: { mode } when text becomes clipped
  * 
  * @example
  * <i-tew family="serif" size="lg" weight="bold">Elegant heading</i-tew>
  * <i-tew preset="bquote" data-cite="Author">A memorable quote.</i-tew>
  * <i-tew leading="loose" tracking="wide">Spacious text</i-tew>
+ * <i-tew fit="width" min-size="24" max-size="8rem">Headline</i-tew>
+ * <i-tew lines="3" truncate="toggle">Long summary…</i-tew>
+ */
+
+import {
+  registerFamily, getFamily, familyNames, resolveWeight,
+  loadFace, attachFamily, detachFamily,
+} from './tew.fonts.js';
+
+// Attributes that need JS measuring
+const MEASURED_ATTRS = ['fit', 'lines', 'truncate', 'overflow'];
+
+const DEFAULT_MIN_SIZE = 12;
+
+let tewCount = 0;
+
+// Connected elements, for families registered after they connect
+const tewInstances = new Set();
+
+// ============================================================
+// MEASURE REGISTRY
+// ============================================================
+//
+// Document-level: every connected i-tew in a measured mode. One
+// ResizeObserver watches all of them; fitting and overflow checks
+// run once per frame.
+
+const measured = new Set();
+let measureObserver = null;
+let measureFrame = null;
+
+function measureAll() {
+  measureFrame = null;
+  measured.forEach(el => el._measure());
+}
+
+function scheduleMeasure() {
+  if (measureFrame) return;
+  measureFrame = requestAnimationFrame(measureAll);
+}
+
+function startMeasuring(el) {
+  if (!measured.size) {
+    // Text widths change when web fonts arrive
+    document.fonts?.addEventListener?.('loadingdone', scheduleMeasure);
+  }
+  measured.add(el);
+
+  if (!measureObserver && 'ResizeObserver' in window) {
+    measureObserver = new ResizeObserver(scheduleMeasure);
+  }
+  measureObserver?.observe(el);
+  scheduleMeasure();
+}
+
+function stopMeasuring(el) {
+  if (!measured.delete(el)) return;
+
+  measureObserver?.unobserve(el);
+  if (!measured.size) {
+    measureObserver?.disconnect();
+    measureObserver = null;
+    document.fonts?.removeEventListener?.('loadingdone', scheduleMeasure);
+  }
+}
+
+/**
+ * Font size in px from a number (px), "24px" or "1.5rem"
+ *
+ * @param {string|null} value
+ * @param {number} fallback
+ * @returns {number}
  */
+function parseFontSize(value, fallback) {
+  const match = /^\s*(\d*\.?\d+)\s*(px|rem)?\s*$/.exec(value ?? '');
+  if (!match) return fallback;
+
+  const size = parseFloat(match[1]);
+  if (match[2] !== 'rem') return size;
+
+  const root = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+  return size * root;
+}
 
 class TewElement extends HTMLElement {
   static get observedAttributes() {
@@ -43,23 +145,88 @@ class TewElement extends HTMLElement {
       'writing', 'dir', 'orientation',
       'preset', 'measure',
       'block', 'inline-block', 'responsive',
-      'data-cite', 'closing'
+      'data-cite', 'closing',
+      'fit', 'min-size', 'max-size',
+      'expanded', 'more-label', 'less-label'
     ];
   }
 
+  /**
+   * Re-fit and re-check every measured i-tew now (e.g. after a layout change
+   * the ResizeObserver cannot see)
+   */
+  static measure() {
+    if (measureFrame) cancelAnimationFrame(measureFrame);
+    measureAll();
+  }
+
+  /**
+   * Register a web font family for family="name" (see tew.fonts.js)
+   *
+   * @param {string} name
+   * @param {Object} definition - { src, weights, display, fallbackMetrics }
+   * @returns {Object} The stored definition
+   */
+  static registerFamily(name, definition) {
+    const family = registerFamily(name, definition);
+    tewInstances.forEach((el) => {
+      if (el.getAttribute('family') === name) el._loadFamily();
+    });
+    return family;
+  }
+
+  /**
+   * Registered family names
+   * @returns {string[]}
+   */
+  static get families() {
+    return familyNames();
+  }
+
   constructor() {
     super();
+    this._fitSize = null;
+    this._clipped = false;
+    this._textObserver = null;
+    this._toggleEl = null;
+    this._fontRequest = 0;
   }
 
   connectedCallback() {
     // Ensure proper display for block-level presets
     this._updateDisplay();
+    this._setupMeasuring();
+    tewInstances.add(this);
+    this._loadFamily();
+  }
+
+  disconnectedCallback() {
+    this._cleanupMeasuring();
+    tewInstances.delete(this);
+    detachFamily(this);
+    // A late load must not mark a detached element
+    this._fontRequest++;
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
     if (name === 'preset' || name === 'block' || name === 'inline-block') {
       this._updateDisplay();
     }
+
+    if (oldVal === newVal || !this.isConnected) return;
+
+    if (name === 'family' || name === 'weight') {
+      this._loadFamily();
+    }
+
+    if (MEASURED_ATTRS.includes(name)) {
+      this._setupMeasuring();
+    } else if (['min-size', 'max-size', 'expanded'].includes(name)) {
+      this._syncToggle();
+      scheduleMeasure();
+    } else if (name === 'more-label' || name === 'less-label') {
+      this._syncToggle();
+    }
   }
 
   _updateDisplay() {
@@ -67,6 +234,165 @@ class TewElement extends HTMLElement {
     // This method is for any JS-based enhancements if needed
   }
 
+  // ============================================================
+  // WEB FONTS
+  // ============================================================
+
+  _loadFamily() {
+    const name = this.getAttribute('family');
+    const family = getFamily(name);
+    const request = ++this._fontRequest;
+
+    if (!family) {
+      detachFamily(this);
+      this.removeAttribute('fonts-loaded');
+      return;
+    }
+
+    attachFamily(this, family);
+    this.removeAttribute('fonts-loaded');
+
+    const weight = resolveWeight(this);
+    loadFace(name, weight).then(() => {
+      if (request === this._fontRequest) this.setAttribute('fonts-loaded', '');
+    }, (err) => {
+      console.warn(`[i-tew] Could not load ${weight} "${name}"; showing the fallback`, err);
+    });
+  }
+
+  // ============================================================
+  // FIT & OVERFLOW
+  // ============================================================
+
+  _isMeasured() {
+    return MEASURED_ATTRS.some(attr => this.hasAttribute(attr));
+  }
+
+  _hasToggle() {
+    return this.getAttribute('truncate') === 'toggle';
+  }
+
+  _setupMeasuring() {
+    this._cleanupMeasuring();
+    if (!this._isMeasured()) return;
+
+    startMeasuring(this);
+
+    // Text changes can clip (or unclip) without resizing the element
+    if ('MutationObserver' in window) {
+      this._textObserver = new MutationObserver(scheduleMeasure);
+      this._textObserver.observe(this, { childList: true, characterData: true, subtree: true });
+    }
+
+    if (this._hasToggle()) this._renderToggle();
+  }
+
+  _cleanupMeasuring() {
+    stopMeasuring(this);
+
+    if (this._textObserver) {
+      this._textObserver.disconnect();
+      this._textObserver = null;
+    }
+    if (this._toggleEl) {
+      this._toggleEl.remove();
+      this._toggleEl = null;
+    }
+
+    if (this.getAttribute('fit') !== 'width') {
+      this._fitSize = null;
+      this.classList.remove('fitted');
+      this.style.removeProperty('--tew-fit-size');
+    }
+    if (!this._isMeasured()) {
+      this._clipped = false;
+      this.classList.remove('overflowing');
+    }
+  }
+
+  _measure() {
+    if (!this.isConnected) return;
+
+    if (this.getAttribute('fit') === 'width') this._fit();
+    this._checkOverflow();
+  }
+
+  /**
+   * Size the text so its one line fills the content box
+   * (text width grows linearly with font size)
+   */
+  _fit() {
+    const style = getComputedStyle(this);
+    const available = this.clientWidth -
+      (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+
+    const range = document.createRange();
+    range.selectNodeContents(this);
+    const natural = range.getBoundingClientRect().width;
+    if (available <= 0 || !natural) return;
+
+    const current = this._fitSize ?? (parseFloat(style.fontSize) || 16);
+    const min = parseFontSize(this.getAttribute('min-size'), DEFAULT_MIN_SIZE);
+    const max = parseFontSize(this.getAttribute('max-size'), Infinity);
+    const size = Math.min(Math.max(current * available / natural, min), Math.max(min, max));
+
+    // Sub-pixel changes would only feed the ResizeObserver
+    if (this._fitSize !== null && Math.abs(size - this._fitSize) < 0.25) return;
+
+    this._fitSize = size;
+    this.style.setProperty('--tew-fit-size', `${size.toFixed(2)}px`);
+    this.classList.add('fitted');
+  }
+
+  _checkOverflow() {
+    const clipped = this.scrollWidth > this.clientWidth + 1 ||
+      this.scrollHeight > this.clientHeight + 1;
+
+    if (clipped !== this._clipped) {
+      this._clipped = clipped;
+      this.classList.toggle('overflowing', clipped);
+
+      if (clipped) {
+        this.dispatchEvent(new CustomEvent('tew:overflow', {
+          bubbles: true,
+          detail: { mode: MEASURED_ATTRS.find(attr => this.hasAttribute(attr)) },
+        }));
+      }
+    }
+
+    this._syncToggle();
+  }
+
+  _renderToggle() {
+    if (!this.id) {
+      this.id = `tew-${++tewCount}`;
+    }
+
+    // Lives after the element: inside, it would be clamped with the text
+    this._toggleEl = document.createElement('button');
+    this._toggleEl.type = 'button';
+    this._toggleEl.className = 'tew-more';
+    this._toggleEl.setAttribute('aria-controls', this.id);
+    this._toggleEl.addEventListener('click', () => {
+      this.expanded = !this.expanded;
+    });
+
+    this.insertAdjacentElement('afterend', this._toggleEl);
+    this._syncToggle();
+  }
+
+  _syncToggle() {
+    if (!this._toggleEl) return;
+
+    const expanded = this.expanded;
+    this._toggleEl.textContent = expanded
+      ? this.getAttribute('less-label') || 'Show less'
+      : this.getAttribute('more-label') || 'Show more';
+    this._toggleEl.setAttribute('aria-expanded', String(expanded));
+    // Nothing to show when the text fits
+    this._toggleEl.hidden = !expanded && !this._clipped;
+  }
+
   // Attribute getters/setters for common properties
   get family() { return this.getAttribute('family'); }
   set family(val) { val ? this.setAttribute('family', val) : this.removeAttribute('family'); }
@@ -113,6 +439,17 @@ class TewElement extends HTMLElement {
   get lines() { return this.getAttribute('lines'); }
   set lines(val) { val ? this.setAttribute('lines', val) : this.removeAttribute('lines'); }
 
+  get fit() { return this.getAttribute('fit'); }
+  set fit(val) { val ? this.setAttribute('fit', val) : this.removeAttribute('fit'); }
+
+  get minSize() { return this.getAttribute('min-size'); }
+  set minSize(val) { val ? this.setAttribute('min-size', val) : this.removeAttribute('min-size'); }
+
+  get maxSize() { return this.getAttribute('max-size'); }
+  set maxSize(val) { val ? this.setAttribute('max-size', val) : this.removeAttribute('max-size'); }
+
+  get overflowing() { return this._clipped; }
+
   // Boolean attributes
   get block() { return this.hasAttribute('block'); }
   set block(val) { val ? this.setAttribute('block', '') : this.removeAttribute('block'); }
@@ -121,7 +458,10 @@ class TewElement extends HTMLElement {
   set italic(val) { val ? this.setAttribute('italic', '') : this.removeAttribute('italic'); }
 
   get truncate() { return this.hasAttribute('truncate'); }
-  set truncate(val) { val ? this.setAttribute('truncate', '') : this.removeAttribute('truncate'); }
+  set truncate(val) { val ? this.setAttribute('truncate', val === true ? '' : val) : this.removeAttribute('truncate'); }
+
+  get expanded() { return this.hasAttribute('expanded'); }
+  set expanded(val) { val ? this.setAttribute('expanded', '') : this.removeAttribute('expanded'); }
 
   get responsive() { return this.hasAttribute('responsive'); }
   set responsive(val) { val ? this.setAttribute('responsive', '') : this.removeAttribute('responsive'); }
@@ -13,6 +13,9 @@
  * </i-thann>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { thannStyles } from './thann.styles.js';
+
 class ThannLayout extends HTMLElement {
   static get observedAttributes() {
     return ['space', 'label'];
@@ -27,6 +30,10 @@ class ThannLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -65,27 +72,7 @@ class ThannLayout extends HTMLElement {
       this.removeAttribute('aria-label');
     }
 
-    // Only set custom property if space is specified
-    if (this.space) {
-      this.style.setProperty('--thann-space', this.space);
-      
-      const id = `Thann-${this.space}`.replace(/[^\w-]/g, '');
-      this.dataset.i = id;
-
-      if (!document.getElementById(id)) {
-        const styleEl = document.createElement('style');
-        styleEl.id = id;
-        
-        const selector = `[data-i="${id}"]`;
-        
-        styleEl.textContent = `
-          ${selector} {
-            gap: ${this.space};
-          }
-        `;
-        document.head.appendChild(styleEl);
-      }
-    }
+    applyStyles(this, thannStyles(this));
   }
 }
 
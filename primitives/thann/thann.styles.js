@@ -0,0 +1,33 @@
+/**
+ * Thann style generator
+ *
+ * Shared by ThannLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-thann
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function thannStyles(el) {
+  const space = el.getAttribute('space');
+
+  // Only scope a configuration if space is specified
+  if (!space) {
+    return { id: null, css: '', props: {} };
+  }
+
+  const id = toStyleId(`Thann-${space}`);
+  const selector = scopeSelector(id);
+
+  const css = `
+    ${selector} {
+      gap: ${space};
+    }
+  `;
+
+  return { id, css, props: { '--thann-space': space } };
+}
@@ -0,0 +1,235 @@
+/**
+ * Theme Toggle Custom Element (i-theme-toggle)
+ *
+ * Accessible switcher for the color theme and, optionally, the modular
+ * scale ratio. Each group is a radio group: arrow keys move the choice,
+ * Tab leaves the group. Changes go through transitionTheme() and
+ * transitionRatio(), so they animate with the "theme" and "ratio"
+ * view-transition types and the theme is persisted (theme.js).
+ *
+ * @property {string} themes - Theme choices (default: "light dark auto"); registered brand themes allowed
+ * @property {boolean} ratio - Also show the ratio switch (golden, silver, fifth)
+ * @property {string} ratios - Ratio choices (default: "golden silver fifth")
+ * @property {string} label - Accessible name of the theme group (default: "Theme")
+ * @property {string} ratio-label - Accessible name of the ratio group (default: "Scale ratio")
+ *
+ * Reflects the current state as current-theme and current-ratio
+ * attributes (read-only) and aria-checked on the options.
+ *
+ * @example
+ * <i-theme-toggle></i-theme-toggle>
+ * <i-theme-toggle ratio label="Appearance"></i-theme-toggle>
+ * <i-theme-toggle themes="light dark forest"></i-theme-toggle>
+ */
+
+import { transitionTheme, transitionRatio } from '../../global/transitions.js';
+import { getTheme, initTheme } from '../../global/theme.js';
+
+const DEFAULT_THEMES = 'light dark auto';
+const DEFAULT_RATIOS = 'golden silver fifth';
+// --ratio in tokens.css when nothing has been chosen
+const BASE_RATIO = 'fifth';
+
+const labelFor = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/[-_]/g, ' ');
+
+class ThemeToggleElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['themes', 'ratio', 'ratios', 'label', 'ratio-label'];
+  }
+
+  constructor() {
+    super();
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleThemeChange = this.handleThemeChange.bind(this);
+    this.ratioObserver = null;
+  }
+
+  connectedCallback() {
+    // The first toggle on a page restores the stored theme
+    if (getTheme() === null) initTheme();
+
+    this.render();
+    this.addEventListener('click', this.handleClick);
+    this.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('themechange', this.handleThemeChange);
+
+    // transitionRatio() has no event; follow the root attribute instead
+    this.ratioObserver = new MutationObserver(() => this.updateState());
+    this.ratioObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-ratio'],
+    });
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener('click', this.handleClick);
+    this.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('themechange', this.handleThemeChange);
+    this.ratioObserver?.disconnect();
+    this.ratioObserver = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.render();
+  }
+
+  get themes() {
+    return (this.getAttribute('themes') || DEFAULT_THEMES).split(/\s+/).filter(Boolean);
+  }
+
+  get ratios() {
+    return (this.getAttribute('ratios') || DEFAULT_RATIOS).split(/\s+/).filter(Boolean);
+  }
+
+  /** Active theme */
+  get theme() {
+    return getTheme();
+  }
+
+  /** Active ratio */
+  get currentRatio() {
+    return document.documentElement.dataset.ratio || BASE_RATIO;
+  }
+
+  render() {
+    this.replaceChildren(
+      this.createGroup('theme', this.getAttribute('label') || 'Theme', this.themes),
+    );
+
+    if (this.hasAttribute('ratio')) {
+      this.append(
+        this.createGroup('ratio', this.getAttribute('ratio-label') || 'Scale ratio', this.ratios),
+      );
+    }
+
+    this.updateState();
+  }
+
+  createGroup(kind, label, values) {
+    const group = document.createElement('div');
+    group.className = 'theme-toggle-group';
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', label);
+    group.dataset.group = kind;
+
+    values.forEach((value) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.setAttribute('role', 'radio');
+      option.dataset.value = value;
+      option.textContent = labelFor(value);
+      group.append(option);
+    });
+
+    return group;
+  }
+
+  groups() {
+    return [...this.querySelectorAll(':scope > [role="radiogroup"]')];
+  }
+
+  options(group) {
+    return [...group.querySelectorAll('[role="radio"]')];
+  }
+
+  /**
+   * Sync aria-checked, roving tabindex and the reflected attributes
+   */
+  updateState() {
+    const current = { theme: this.theme, ratio: this.currentRatio };
+
+    this.groups().forEach((group) => {
+      const value = current[group.dataset.group];
+      const options = this.options(group);
+      const checked = options.find(o => o.dataset.value === value);
+
+      options.forEach((option) => {
+        const isChecked = option === checked;
+        option.setAttribute('aria-checked', String(isChecked));
+        // Unknown value: the first option stays reachable by Tab
+        option.tabIndex = isChecked || (!checked && option === options[0]) ? 0 : -1;
+      });
+    });
+
+    if (current.theme) {
+      this.setAttribute('current-theme', current.theme);
+    } else {
+      this.removeAttribute('current-theme');
+    }
+
+    if (this.hasAttribute('ratio')) {
+      this.setAttribute('current-ratio', current.ratio);
+    } else {
+      this.removeAttribute('current-ratio');
+    }
+  }
+
+  /**
+   * Choose a value in a group
+   *
+   * @param {'theme'|'ratio'} kind
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  select(kind, value) {
+    if (kind === 'ratio') {
+      if (value === this.currentRatio) return Promise.resolve();
+      return transitionRatio(value);
+    }
+
+    if (value === this.theme) return Promise.resolve();
+    return transitionTheme(value);
+  }
+
+  handleClick(event) {
+    const option = event.target.closest('[role="radio"]');
+    if (!option || !this.contains(option)) return;
+
+    this.select(option.parentElement.dataset.group, option.dataset.value);
+  }
+
+  handleKeydown(event) {
+    const option = event.target.closest('[role="radio"]');
+    if (!option || !this.contains(option)) return;
+
+    const options = this.options(option.parentElement);
+    const index = options.indexOf(option);
+    let next;
+
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        next = options[(index + 1) % options.length];
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        next = options[(index - 1 + options.length) % options.length];
+        break;
+      case 'Home':
+        next = options[0];
+        break;
+      case 'End':
+        next = options[options.length - 1];
+        break;
+      default:
+        // Space/Enter activate the focused button through click
+        return;
+    }
+
+    event.preventDefault();
+    next.focus();
+    // Radio groups select on focus move
+    this.select(option.parentElement.dataset.group, next.dataset.value);
+  }
+
+  handleThemeChange() {
+    this.updateState();
+  }
+}
+
+if ('customElements' in window) {
+  customElements.define('i-theme-toggle', ThemeToggleElement);
+}
+
+export default ThemeToggleElement;
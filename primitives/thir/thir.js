@@ -7,7 +7,7 @@
  * @property {string} effect - Visual effect preset (neon, frosted, glassmorphism, etc.)
  * @property {string} corners - Corner shape (inverted, top, bottom, tl, tr, bl, br)
  * @property {string} shape - Overall shape (ticket, scalloped, pill, etc.)
- * @property {string} hover - Hover interaction (lift, grow, shrink, tilt, etc.)
+ * @property {string} hover - Hover interaction (lift, grow, shrink, tilt, tilt-3d, magnetic, etc.)
  * @property {string} touch - Touch interaction (same values as hover, or boolean for same-as-hover)
  * @property {string} filter - CSS filter shortcut (grayscale, sepia, blur-*, etc.)
  * @property {string} backdrop - Backdrop filter (blur, frost, dim, etc.)
@@ -17,8 +17,75 @@
  * <i-thir effect="neon" color="cyan">Glowing card</i-thir>
  * <i-thir effect="glassmorphism" corners="inverted">Glass with scalloped corners</i-thir>
  * <i-thir hover="lift" touch>Lifts on hover and long-press</i-thir>
+ * 
+ * Pointer-tracking interactions (one shared listener, see thir.pointer.js):
+ *   hover="tilt-3d"    - Follows the pointer; tilt-max="10" (deg), glare or glare="0.35"
+ *                        (drawn by a span.thir-glare child, leaving ::before
+ *                        and ::after to effects)
+ *   hover="magnetic"   - Pulled toward the pointer; magnetic-strength="0.3"
+ *   effect="spotlight" - Writes --thir-pointer-x/y (%) for a light that follows the pointer
+ * 
+ * <i-thir hover="tilt-3d" tilt-max="12" glare>Card</i-thir>
+ * 
+ * Touch pointers leave them at rest (tilt-3d keeps its static [touch] style).
+ * Touch activation, tilt and magnetic pull are skipped under reduced
+ * motion (global/motion.js); the spotlight still follows the pointer.
+ * 
+ * Scroll-driven (CSS animation-timeline: view(), see thir.scroll.js):
+ *   reveal="fade-up|scale|blur" - Animates in as it enters; fires thir:revealed once
+ *   parallax="0.3"              - Drifts against the scroll (negative: ahead of it)
+ * 
+ * <i-thir reveal="fade-up">Section</i-thir>
+ * 
+ * Without scroll timelines, an IntersectionObserver reveals elements and
+ * a frame-throttled scroll listener moves parallax ones. Both stay still
+ * under reduced motion (the reduced-motion class); thir:revealed still fires.
+ * 
+ * Custom presets (thir.presets.js):
+ *   ThirElement.registerEffect('brand-glow', { css, vars, interactive });
+ *   ThirElement.registerShape(name, { css, vars });
+ *   ThirElement.registerHover(name, { css, vars, interactive });
+ *   ThirElement.effects / .shapes / .hovers - Built-in and registered names
  */
 
+import { prefersReducedMotion } from '../../global/motion.js';
+import { trackPointer } from './thir.pointer.js';
+import {
+  registerPreset,
+  presetNames,
+  isInteractivePreset,
+  attachPresets,
+  detachPresets,
+} from './thir.presets.js';
+import { supportsScrollTimeline, observeReveal, trackParallax } from './thir.scroll.js';
+
+const POINTER_HOVERS = ['tilt-3d', 'magnetic'];
+const POINTER_EFFECTS = ['spotlight'];
+const POINTER_PROPS = [
+  '--thir-pointer-x', '--thir-pointer-y',
+  '--thir-tilt-x', '--thir-tilt-y',
+  '--thir-glare-x', '--thir-glare-y', '--thir-glare-opacity',
+  '--thir-magnet-x', '--thir-magnet-y',
+];
+
+const percent = (n) => `${(n * 100).toFixed(2)}%`;
+
+// Connected elements, so presets registered late still apply
+const thirInstances = new Set();
+
+function registerAndRefresh(kind, name, definition) {
+  const preset = registerPreset(kind, name, definition);
+  thirInstances.forEach(el => el._refreshPresets());
+  return preset;
+}
+
+// Reveal and parallax follow configure({ motion }), data-motion and the OS
+if (typeof document !== 'undefined') {
+  document.addEventListener('motionpolicychange', () => {
+    thirInstances.forEach(el => el._syncMotion());
+  });
+}
+
 class ThirElement extends HTMLElement {
   static get observedAttributes() {
     return [
@@ -26,14 +93,51 @@ class ThirElement extends HTMLElement {
       'hover', 'touch',
       'filter', 'backdrop', 'blend',
       'opacity', 'cursor',
-      'rotate', 'flip', 'skew'
+      'rotate', 'flip', 'skew',
+      'reveal', 'parallax', 'glare'
     ];
   }
 
+  /**
+   * Register a custom effect="name"
+   * @param {string} name
+   * @param {{css?: string, vars?: Object, interactive?: boolean}} definition
+   */
+  static registerEffect(name, definition) {
+    return registerAndRefresh('effect', name, definition);
+  }
+
+  /**
+   * Register a custom shape="name"
+   * @param {string} name
+   * @param {{css?: string, vars?: Object}} definition
+   */
+  static registerShape(name, definition) {
+    return registerAndRefresh('shape', name, definition);
+  }
+
+  /**
+   * Register a custom hover="name" (also usable as touch="name")
+   * @param {string} name
+   * @param {{css?: string, vars?: Object, interactive?: boolean}} definition
+   */
+  static registerHover(name, definition) {
+    return registerAndRefresh('hover', name, definition);
+  }
+
+  static get effects() { return presetNames('effect'); }
+  static get shapes() { return presetNames('shape'); }
+  static get hovers() { return presetNames('hover'); }
+
   constructor() {
     super();
     this._touchTimer = null;
     this._touchActive = false;
+    this._untrackPointer = null;
+    this._stopReveal = null;
+    this._untrackParallax = null;
+    this._revealed = false;
+    this._glare = null;
   }
 
   connectedCallback() {
@@ -41,10 +145,17 @@ class ThirElement extends HTMLElement {
     if (this.hasAttribute('touch')) {
       this._initTouchSupport();
     }
+    thirInstances.add(this);
+    this._refreshPresets();
+    this._initScrollEffects();
   }
 
   disconnectedCallback() {
+    thirInstances.delete(this);
     this._cleanupTouchSupport();
+    this._cleanupPointerEffects();
+    this._cleanupScrollEffects();
+    detachPresets(this);
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -55,6 +166,37 @@ class ThirElement extends HTMLElement {
         this._cleanupTouchSupport();
       }
     }
+
+    if (['effect', 'shape', 'hover', 'touch', 'glare'].includes(name) && this.isConnected) {
+      this._resetPointer();
+      this._refreshPresets();
+    }
+
+    if ((name === 'reveal' || name === 'parallax') && this.isConnected) {
+      this._cleanupScrollEffects();
+      this._initScrollEffects();
+    }
+  }
+
+  _refreshPresets() {
+    attachPresets(this);
+    this._initPointerEffects();
+    this._syncGlare();
+  }
+
+  // The glare gets its own layer: effects and presets own the pseudo-elements
+  _syncGlare() {
+    const wanted = this.getAttribute('hover') === 'tilt-3d' && this.hasAttribute('glare');
+
+    if (!wanted) {
+      this._glare?.remove();
+      this._glare = null;
+    } else if (this._glare?.parentNode !== this) {
+      this._glare = document.createElement('span');
+      this._glare.className = 'thir-glare';
+      this._glare.setAttribute('aria-hidden', 'true');
+      this.append(this._glare);
+    }
   }
 
   // Touch support methods
@@ -110,6 +252,8 @@ class ThirElement extends HTMLElement {
   }
 
   _activateTouch() {
+    if (prefersReducedMotion(this)) return;
+
     this._touchActive = true;
     this.classList.add('touch-active');
     
@@ -128,6 +272,140 @@ class ThirElement extends HTMLElement {
     }));
   }
 
+  // Pointer-tracking methods
+  _initPointerEffects() {
+    const tracks = POINTER_HOVERS.includes(this.getAttribute('hover')) ||
+      this._followsPointer();
+
+    if (!tracks) {
+      this._cleanupPointerEffects();
+    } else if (!this._untrackPointer) {
+      this._untrackPointer = trackPointer(this, this._handlePointer.bind(this));
+    }
+  }
+
+  _cleanupPointerEffects() {
+    if (this._untrackPointer) {
+      this._untrackPointer();
+      this._untrackPointer = null;
+    }
+    this._resetPointer();
+  }
+
+  _handlePointer(pointer) {
+    if (!pointer) {
+      this._resetPointer();
+      return;
+    }
+
+    this.classList.add('pointer-active');
+
+    if (this._followsPointer()) {
+      this.style.setProperty('--thir-pointer-x', percent(pointer.x));
+      this.style.setProperty('--thir-pointer-y', percent(pointer.y));
+    }
+
+    if (prefersReducedMotion(this)) return;
+
+    const hover = this.getAttribute('hover');
+    if (hover === 'tilt-3d') {
+      this._tiltTo(pointer);
+    } else if (hover === 'magnetic') {
+      const strength = this._numberAttr('magnetic-strength', 0.3);
+      this.style.setProperty('--thir-magnet-x', `${(pointer.dx * strength).toFixed(1)}px`);
+      this.style.setProperty('--thir-magnet-y', `${(pointer.dy * strength).toFixed(1)}px`);
+    }
+  }
+
+  _tiltTo({ x, y }) {
+    const max = this._numberAttr('tilt-max', 10);
+
+    // The side under the pointer tips away from the viewer
+    this.style.setProperty('--thir-tilt-x', `${((0.5 - y) * 2 * max).toFixed(2)}deg`);
+    this.style.setProperty('--thir-tilt-y', `${((x - 0.5) * 2 * max).toFixed(2)}deg`);
+
+    if (this.hasAttribute('glare')) {
+      this.style.setProperty('--thir-glare-x', percent(x));
+      this.style.setProperty('--thir-glare-y', percent(y));
+      this.style.setProperty('--thir-glare-opacity', String(this._numberAttr('glare', 0.35)));
+    }
+  }
+
+  // Spotlight and interactive presets only need the coordinates
+  _followsPointer() {
+    const effect = this.getAttribute('effect');
+    return POINTER_EFFECTS.includes(effect) ||
+      isInteractivePreset('effect', effect) ||
+      isInteractivePreset('hover', this.getAttribute('hover'));
+  }
+
+  _resetPointer() {
+    this.classList.remove('pointer-active');
+    POINTER_PROPS.forEach(prop => this.style.removeProperty(prop));
+  }
+
+  _numberAttr(name, fallback) {
+    const value = parseFloat(this.getAttribute(name));
+    return Number.isFinite(value) ? value : fallback;
+  }
+
+  // Scroll effect methods
+  _initScrollEffects() {
+    this._syncMotion();
+
+    if (this.hasAttribute('reveal') && !this._revealed) {
+      this._stopReveal = observeReveal(this, () => this._reveal());
+    }
+
+    if (this.hasAttribute('parallax')) {
+      this.style.setProperty('--thir-parallax', String(this._parallaxSpeed()));
+      if (!supportsScrollTimeline()) {
+        this._untrackParallax = trackParallax(this, () =>
+          (prefersReducedMotion(this) ? 0 : this._parallaxSpeed()));
+      }
+    }
+  }
+
+  _cleanupScrollEffects() {
+    if (this._stopReveal) {
+      this._stopReveal();
+      this._stopReveal = null;
+    }
+    if (this._untrackParallax) {
+      this._untrackParallax();
+      this._untrackParallax = null;
+    }
+    this.classList.remove('reveal-pending', 'reduced-motion');
+    this.style.removeProperty('--thir-parallax');
+  }
+
+  // Hide until revealed only where CSS cannot animate it in, and never
+  // under reduced motion
+  _syncMotion() {
+    const reveal = this.hasAttribute('reveal');
+    const reduced = (reveal || this.hasAttribute('parallax')) && prefersReducedMotion(this);
+
+    this.classList.toggle('reduced-motion', reduced);
+    this.classList.toggle('reveal-pending',
+      reveal && !this._revealed && !reduced && !supportsScrollTimeline());
+  }
+
+  _reveal() {
+    this._stopReveal = null;
+    this._revealed = true;
+    this.classList.remove('reveal-pending');
+    this.classList.add('revealed');
+
+    this.dispatchEvent(new CustomEvent('thir:revealed', {
+      bubbles: true,
+      detail: { reveal: this.getAttribute('reveal') }
+    }));
+  }
+
+  _parallaxSpeed() {
+    return this._numberAttr('parallax', 0.3);
+  }
+
   _getTouchEffect() {
     const touchAttr = this.getAttribute('touch');
     
@@ -164,6 +442,15 @@ class ThirElement extends HTMLElement {
 
   get blend() { return this.getAttribute('blend'); }
   set blend(val) { val ? this.setAttribute('blend', val) : this.removeAttribute('blend'); }
+
+  get reveal() { return this.getAttribute('reveal'); }
+  set reveal(val) { val ? this.setAttribute('reveal', val) : this.removeAttribute('reveal'); }
+
+  get parallax() { return this.hasAttribute('parallax') ? this._parallaxSpeed() : null; }
+  set parallax(val) { val != null && val !== false ? this.setAttribute('parallax', String(val)) : this.removeAttribute('parallax'); }
+
+  /** Whether thir:revealed has fired */
+  get revealed() { return this._revealed; }
 }
 
 // Define the custom element
@@ -0,0 +1,127 @@
+/**
+ * i-thîr - Pointer Manager
+ *
+ * One pointermove listener and at most one requestAnimationFrame per
+ * frame for every pointer-tracking i-thir on the page (tilt-3d,
+ * magnetic, spotlight). Only elements under the pointer are measured.
+ *
+ * Touch pointers are ignored: on touch screens a moving finger is a
+ * scroll, so elements stay at rest (or use their [touch] CSS fallback).
+ *
+ * Usage:
+ *
+ * import { trackPointer } from './thir.pointer.js';
+ *
+ * const untrack = trackPointer(el, (pointer) => {
+ *   if (!pointer) return reset();        // Pointer left
+ *   el.style.setProperty('--x', pointer.x); // 0..1 across the element
+ * });
+ */
+
+// element → { handler, active }
+const pointerTargets = new Map();
+let pointerEvent = null;
+let pointerFrame = null;
+
+const isFinePointer = (event) => event.pointerType !== 'touch';
+
+function measurePointer(element, event) {
+  const rect = element.getBoundingClientRect();
+  const width = rect.width || 1;
+  const height = rect.height || 1;
+
+  return {
+    x: Math.min(1, Math.max(0, (event.clientX - rect.left) / width)),
+    y: Math.min(1, Math.max(0, (event.clientY - rect.top) / height)),
+    // From the centre, in px
+    dx: event.clientX - (rect.left + width / 2),
+    dy: event.clientY - (rect.top + height / 2),
+    rect,
+  };
+}
+
+function flushPointer() {
+  pointerFrame = null;
+  if (!pointerEvent) return;
+
+  for (const [element, target] of pointerTargets) {
+    if (target.active) target.handler(measurePointer(element, pointerEvent));
+  }
+}
+
+function handlePointerMove(event) {
+  if (!isFinePointer(event)) return;
+
+  pointerEvent = event;
+  if (pointerFrame === null) {
+    pointerFrame = requestAnimationFrame(flushPointer);
+  }
+}
+
+/**
+ * Follow the pointer while it is over an element
+ *
+ * @param {Element} element
+ * @param {Function} handler - Called at most once per frame with
+ *   { x, y, dx, dy, rect }, and with null when the pointer leaves
+ * @returns {Function} Stops tracking (and resets via handler(null))
+ */
+export function trackPointer(element, handler) {
+  if (pointerTargets.has(element)) untrackPointer(element);
+
+  const target = { handler, active: false };
+  target.enter = (event) => {
+    if (!isFinePointer(event)) return;
+    target.active = true;
+    handlePointerMove(event);
+  };
+  target.leave = () => {
+    if (!target.active) return;
+    target.active = false;
+    handler(null);
+  };
+
+  element.addEventListener('pointerenter', target.enter);
+  element.addEventListener('pointerleave', target.leave);
+
+  if (pointerTargets.size === 0) {
+    document.addEventListener('pointermove', handlePointerMove, { passive: true });
+  }
+  pointerTargets.set(element, target);
+
+  return () => untrackPointer(element);
+}
+
+/**
+ * Stop following the pointer for an element
+ *
+ * @param {Element} element
+ */
+export function untrackPointer(element) {
+  const target = pointerTargets.get(element);
+  if (!target) return;
+
+  element.removeEventListener('pointerenter', target.enter);
+  element.removeEventListener('pointerleave', target.leave);
+  pointerTargets.delete(element);
+  if (target.active) target.handler(null);
+
+  if (pointerTargets.size === 0) {
+    document.removeEventListener('pointermove', handlePointerMove);
+    if (pointerFrame !== null) cancelAnimationFrame(pointerFrame);
+    pointerFrame = null;
+    pointerEvent = null;
+  }
+}
+
+/**
+ * Number of elements being tracked
+ * @returns {number}
+ */
+export const trackedPointerCount = () => pointerTargets.size;
+
+export default {
+  trackPointer,
+  untrackPointer,
+  trackedPointerCount,
+};
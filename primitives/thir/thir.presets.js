@@ -0,0 +1,228 @@
+/**
+ * i-thîr - Preset Registry
+ *
+ * Effects, shapes and hover interactions beyond the ones in thir.css.
+ * A preset's rules are injected through the shared style registry
+ * (global/styles.js) once per root, only while an i-thir uses it.
+ *
+ * Definition:
+ *   css          - Declarations for the element; nest with & for
+ *                  states and pseudo-elements (&:hover, &::after)
+ *   vars         - Custom property defaults, e.g. { '--brand-glow': '#f0f' }
+ *   interactive  - Effects and hovers only: write --thir-pointer-x/y
+ *                  while the pointer is over the element (like spotlight)
+ *
+ * Hover presets apply on :hover and on long-press with [touch]; their
+ * vars apply at rest so transitions have something to start from.
+ *
+ * Usage:
+ *
+ * import ThirElement from './thir.js';
+ *
+ * ThirElement.registerEffect('brand-glow', {
+ *   vars: { '--glow': 'oklch(70% 0.2 300)' },
+ *   css: 'box-shadow: 0 0 1.5rem var(--glow);',
+ * });
+ *
+ * <i-thir effect="brand-glow">…</i-thir>
+ */
+
+import { retainStyles, releaseStyles } from '../../global/styles.js';
+
+export const PRESET_KINDS = ['effect', 'shape', 'hover'];
+
+// Defined in thir.css
+const THIR_BUILT_INS = {
+  effect: [
+    'neon', 'frosted', 'glass', 'glassmorphism', 'neumorphism', 'soft',
+    'embossed', 'raised', 'debossed', 'inset', 'gradient-border',
+    'shimmer', 'shine', 'holographic', 'iridescent', 'spotlight',
+    'grain', 'noise', 'retro', 'pixel', 'outline', 'stroke', 'shadow', 'blur',
+  ],
+  shape: [
+    'inverted', 'inverted-top', 'inverted-bottom', 'inverted-left', 'inverted-right',
+    'scalloped', 'scalloped-top', 'scalloped-bottom', 'scalloped-left', 'scalloped-right',
+    'ticket', 'ticket-vertical', 'notch-top', 'notch-bottom', 'pill', 'rounded', 'square',
+  ],
+  hover: [
+    'lift', 'lift-sm', 'lift-lg', 'sink', 'grow', 'grow-sm', 'grow-lg',
+    'shrink', 'shrink-sm', 'tilt', 'tilt-left', 'tilt-right', 'tilt-3d',
+    'magnetic', 'wiggle', 'pulse', 'jiggle', 'pop', 'glow', 'dim',
+  ],
+};
+
+const THIR_PRESET_NAME = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const THIR_VAR_NAME = /^--[a-zA-Z0-9_-]+$/;
+
+// kind → name → { id, rules, css, vars, interactive }
+const thirPresets = {
+  effect: new Map(),
+  shape: new Map(),
+  hover: new Map(),
+};
+
+// element → [{ id, root }]
+const thirPresetUses = new WeakMap();
+
+// Braces must balance so rules cannot escape the preset's selector
+function isContainedCss(css) {
+  let depth = 0;
+  for (const char of css) {
+    if (char === '{') depth++;
+    if (char === '}' && --depth < 0) return false;
+  }
+  return depth === 0 && !/<\/style/i.test(css);
+}
+
+function presetRules(kind, name, { css, vars }) {
+  const base = `i-thir[${kind}="${name}"]`;
+  const declarations = Object.entries(vars)
+    .map(([prop, value]) => `${prop}: ${value};`)
+    .join(' ');
+
+  if (kind !== 'hover') {
+    return `${base} { ${declarations} ${css} }`;
+  }
+
+  // Same activation as the built-in hovers
+  const active = [
+    `${base}:hover`,
+    `i-thir[touch="${name}"].touch-active`,
+    `${base}[touch]:not([touch*="="]).touch-active`,
+  ].join(',\n');
+
+  return [
+    declarations && `${base} { ${declarations} }`,
+    css && `${active} { ${css} }`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Register a preset
+ *
+ * @param {'effect'|'shape'|'hover'} kind
+ * @param {string} name - Attribute value, e.g. "brand-glow"
+ * @param {Object} definition
+ * @param {string} [definition.css]
+ * @param {Object<string, string|number>} [definition.vars]
+ * @param {boolean} [definition.interactive=false]
+ * @returns {Object} The stored definition
+ */
+export function registerPreset(kind, name, { css = '', vars = {}, interactive = false } = {}) {
+  if (!PRESET_KINDS.includes(kind)) {
+    throw new TypeError(`[i-thir] Unknown preset kind "${kind}"`);
+  }
+  if (typeof name !== 'string' || !THIR_PRESET_NAME.test(name)) {
+    throw new TypeError(`[i-thir] Invalid ${kind} name "${name}"`);
+  }
+  if (THIR_BUILT_INS[kind].includes(name)) {
+    throw new TypeError(`[i-thir] "${name}" is a built-in ${kind}`);
+  }
+  if (thirPresets[kind].has(name)) {
+    throw new TypeError(`[i-thir] The ${kind} "${name}" is already registered`);
+  }
+  if (typeof css !== 'string' || !isContainedCss(css)) {
+    throw new TypeError(`[i-thir] The ${kind} "${name}" has invalid css`);
+  }
+
+  const entries = Object.entries(vars ?? {});
+  for (const [prop, value] of entries) {
+    const valid = THIR_VAR_NAME.test(prop) &&
+      ['string', 'number'].includes(typeof value) && !/[;{}]/.test(String(value));
+    if (!valid) {
+      throw new TypeError(`[i-thir] The ${kind} "${name}" has an invalid var "${prop}"`);
+    }
+  }
+  if (!css.trim() && !entries.length) {
+    throw new TypeError(`[i-thir] The ${kind} "${name}" needs css or vars`);
+  }
+  if (interactive && kind === 'shape') {
+    throw new TypeError(`[i-thir] Shapes cannot be interactive ("${name}")`);
+  }
+
+  const definition = {
+    css: css.trim(),
+    vars: Object.fromEntries(entries.map(([prop, value]) => [prop, String(value)])),
+    interactive: Boolean(interactive),
+  };
+  const preset = Object.freeze({
+    ...definition,
+    vars: Object.freeze(definition.vars),
+    id: `elvish-thir-${kind}-${name}`,
+    rules: presetRules(kind, name, definition),
+  });
+
+  thirPresets[kind].set(name, preset);
+  return preset;
+}
+
+/**
+ * A registered preset
+ *
+ * @param {'effect'|'shape'|'hover'} kind
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export const getPreset = (kind, name) => thirPresets[kind]?.get(name);
+
+/**
+ * Built-in and registered names of one kind
+ *
+ * @param {'effect'|'shape'|'hover'} kind
+ * @returns {string[]}
+ */
+export const presetNames = (kind) => [...THIR_BUILT_INS[kind], ...thirPresets[kind].keys()];
+
+/**
+ * Whether a registered preset follows the pointer
+ *
+ * @param {'effect'|'hover'} kind
+ * @param {string|null} name
+ * @returns {boolean}
+ */
+export const isInteractivePreset = (kind, name) => Boolean(getPreset(kind, name)?.interactive);
+
+/**
+ * Release the preset rules an element holds
+ *
+ * @param {HTMLElement} element
+ */
+export function detachPresets(element) {
+  thirPresetUses.get(element)?.forEach(({ id, root }) => releaseStyles(id, root));
+  thirPresetUses.delete(element);
+}
+
+/**
+ * Hold the rules of the registered presets an element uses
+ * (effect, shape, hover, and touch naming a hover preset)
+ *
+ * @param {HTMLElement} element
+ */
+export function attachPresets(element) {
+  detachPresets(element);
+  if (!element.isConnected) return;
+
+  const root = element.getRootNode();
+  const used = new Set([
+    getPreset('effect', element.getAttribute('effect')),
+    getPreset('shape', element.getAttribute('shape')),
+    getPreset('hover', element.getAttribute('hover')),
+    getPreset('hover', element.getAttribute('touch')),
+  ]);
+  used.delete(undefined);
+
+  const uses = [...used].map((preset) => {
+    retainStyles(preset.id, preset.rules, root);
+    return { id: preset.id, root };
+  });
+  if (uses.length) thirPresetUses.set(element, uses);
+}
+
+export default {
+  registerPreset,
+  getPreset,
+  presetNames,
+  isInteractivePreset,
+  attachPresets,
+  detachPresets,
+};
@@ -0,0 +1,171 @@
+/**
+ * i-thîr - Scroll Effects
+ *
+ * Shared observers for reveal="…" and parallax="…". The animation
+ * itself is CSS (animation-timeline: view()) where supported; this
+ * module covers the rest:
+ *
+ * - Reveal: one IntersectionObserver reports when each element first
+ *   enters (for thir:revealed, and to reveal it without scroll timelines)
+ * - Parallax without scroll timelines: visible elements get
+ *   --thir-parallax-y on scroll, at most once per frame
+ *
+ * Usage:
+ *
+ * import { observeReveal, trackParallax } from './thir.scroll.js';
+ *
+ * const stop = observeReveal(el, () => el.classList.add('revealed'));
+ * const untrack = trackParallax(el, () => 0.3);
+ */
+
+// Share of the element that must be visible to count as revealed
+const REVEAL_THRESHOLD = 0.15;
+
+// element → callback
+const revealTargets = new Map();
+// element → { speed, visible }
+const parallaxTargets = new Map();
+
+let revealObserver = null;
+let parallaxObserver = null;
+let parallaxFrame = null;
+
+/**
+ * Whether CSS scroll-driven animations are available
+ * @returns {boolean}
+ */
+export const supportsScrollTimeline = () =>
+  typeof CSS !== 'undefined' && CSS.supports?.('animation-timeline', 'view()') === true;
+
+function handleReveal(entries) {
+  entries.forEach((entry) => {
+    if (!entry.isIntersecting) return;
+
+    const callback = revealTargets.get(entry.target);
+    unobserveReveal(entry.target);
+    callback?.(entry);
+  });
+}
+
+/**
+ * Call back once, when an element first enters the viewport
+ *
+ * @param {Element} element
+ * @param {Function} callback - Receives the IntersectionObserverEntry
+ * @returns {Function} Stops observing
+ */
+export function observeReveal(element, callback) {
+  if (typeof IntersectionObserver === 'undefined') {
+    // Nothing can tell us: treat it as seen
+    callback(null);
+    return () => {};
+  }
+
+  revealObserver ??= new IntersectionObserver(handleReveal, { threshold: REVEAL_THRESHOLD });
+  revealTargets.set(element, callback);
+  revealObserver.observe(element);
+  return () => unobserveReveal(element);
+}
+
+/**
+ * Stop waiting for an element to enter
+ *
+ * @param {Element} element
+ */
+export function unobserveReveal(element) {
+  if (!revealTargets.delete(element)) return;
+
+  revealObserver?.unobserve(element);
+  if (revealTargets.size === 0) {
+    revealObserver?.disconnect();
+    revealObserver = null;
+  }
+}
+
+function updateParallax() {
+  parallaxFrame = null;
+  const viewport = window.innerHeight || 1;
+
+  for (const [element, target] of parallaxTargets) {
+    if (!target.visible) continue;
+
+    const speed = target.speed();
+    if (!speed) {
+      element.style.removeProperty('--thir-parallax-y');
+      continue;
+    }
+
+    // 0 as the element enters at the bottom, 1 as it leaves at the top
+    const rect = element.getBoundingClientRect();
+    const progress = Math.min(1, Math.max(0, (viewport - rect.top) / (viewport + rect.height)));
+    const offset = (progress * 2 - 1) * speed * viewport / 2;
+    element.style.setProperty('--thir-parallax-y', `${offset.toFixed(1)}px`);
+  }
+}
+
+function scheduleParallax() {
+  if (parallaxFrame === null) {
+    parallaxFrame = requestAnimationFrame(updateParallax);
+  }
+}
+
+function handleParallaxVisibility(entries) {
+  entries.forEach((entry) => {
+    const target = parallaxTargets.get(entry.target);
+    if (target) target.visible = entry.isIntersecting;
+  });
+  scheduleParallax();
+}
+
+/**
+ * Move an element with scroll (fallback for parallax without scroll timelines)
+ *
+ * @param {HTMLElement} element
+ * @param {Function} speed - Returns the current factor; 0 holds it still
+ * @returns {Function} Stops tracking and clears --thir-parallax-y
+ */
+export function trackParallax(element, speed) {
+  if (parallaxTargets.size === 0) {
+    window.addEventListener('scroll', scheduleParallax, { passive: true });
+    window.addEventListener('resize', scheduleParallax, { passive: true });
+    if (typeof IntersectionObserver !== 'undefined') {
+      parallaxObserver = new IntersectionObserver(handleParallaxVisibility);
+    }
+  }
+
+  // Without an observer every tracked element counts as visible
+  parallaxTargets.set(element, { speed, visible: !parallaxObserver });
+  parallaxObserver?.observe(element);
+  scheduleParallax();
+
+  return () => untrackParallax(element);
+}
+
+/**
+ * Stop moving an element with scroll
+ *
+ * @param {HTMLElement} element
+ */
+export function untrackParallax(element) {
+  if (!parallaxTargets.delete(element)) return;
+
+  parallaxObserver?.unobserve(element);
+  element.style.removeProperty('--thir-parallax-y');
+
+  if (parallaxTargets.size === 0) {
+    window.removeEventListener('scroll', scheduleParallax);
+    window.removeEventListener('resize', scheduleParallax);
+    parallaxObserver?.disconnect();
+    parallaxObserver = null;
+    if (parallaxFrame !== null) cancelAnimationFrame(parallaxFrame);
+    parallaxFrame = null;
+  }
+}
+
+export default {
+  supportsScrollTimeline,
+  observeReveal,
+  unobserveReveal,
+  trackParallax,
+  untrackParallax,
+};
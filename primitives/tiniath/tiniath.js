@@ -14,6 +14,9 @@
  * </i-tiniath>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { tiniathStyles } from './tiniath.styles.js';
+
 class TiniathLayout extends HTMLElement {
   static get observedAttributes() {
     return ['space', 'justify', 'align'];
@@ -28,6 +31,10 @@ class TiniathLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -57,27 +64,7 @@ class TiniathLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--tiniath-space', this.space);
-    this.style.setProperty('--tiniath-justify', this.justify);
-    this.style.setProperty('--tiniath-align', this.align);
-
-    const id = `Tiniath-${this.space}-${this.justify}-${this.align}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      styleEl.textContent = `
-        ${selector} {
-          gap: ${this.space};
-          justify-content: ${this.justify};
-          align-items: ${this.align};
-        }
-      `;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, tiniathStyles(this));
   }
 }
 
@@ -0,0 +1,40 @@
+/**
+ * Tiniath style generator
+ *
+ * Shared by TiniathLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-tiniath
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function tiniathStyles(el) {
+  const space = el.getAttribute('space') || 'var(--s1)';
+  const justify = el.getAttribute('justify') || 'flex-start';
+  const align = el.getAttribute('align') || 'center';
+
+  const id = toStyleId(`Tiniath-${space}-${justify}-${align}`);
+  const selector = scopeSelector(id);
+
+  const css = `
+    ${selector} {
+      gap: ${space};
+      justify-content: ${justify};
+      align-items: ${align};
+    }
+  `;
+
+  return {
+    id,
+    css,
+    props: {
+      '--tiniath-space': space,
+      '--tiniath-justify': justify,
+      '--tiniath-align': align,
+    },
+  };
+}
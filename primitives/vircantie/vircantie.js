@@ -14,6 +14,9 @@
  * </i-vircantie>
  */
 
+import { applyStyles, detachStyles } from '../../global/styles.js';
+import { vircantieStyles } from './vircantie.styles.js';
+
 class VircantieLayout extends HTMLElement {
   static get observedAttributes() {
     return ['min', 'space'];
@@ -28,6 +31,10 @@ class VircantieLayout extends HTMLElement {
     this.render();
   }
 
+  disconnectedCallback() {
+    detachStyles(this);
+  }
+
   attributeChangedCallback() {
     this.render();
   }
@@ -49,30 +56,7 @@ class VircantieLayout extends HTMLElement {
   }
 
   render() {
-    this.style.setProperty('--vircantie-min', this.min);
-    this.style.setProperty('--vircantie-space', this.space);
-
-    const id = `Vircantie-${this.min}-${this.space}`.replace(/[^\w-]/g, '');
-    this.dataset.i = id;
-
-    if (!document.getElementById(id)) {
-      const styleEl = document.createElement('style');
-      styleEl.id = id;
-      
-      const selector = `[data-i="${id}"]`;
-      
-      styleEl.textContent = `
-        ${selector} {
-          gap: ${this.space};
-        }
-        @supports (width: min(${this.min}, 100%)) {
-          ${selector} {
-            vircantie-template-columns: repeat(auto-fit, minmax(min(${this.min}, 100%), 1fr));
-          }
-        }
-      `;
-      document.head.appendChild(styleEl);
-    }
+    applyStyles(this, vircantieStyles(this));
   }
 }
 
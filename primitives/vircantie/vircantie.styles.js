@@ -0,0 +1,41 @@
+/**
+ * Vircantie style generator
+ *
+ * Shared by VircantieLayout and the server-side prerenderer (prerender.js).
+ */
+
+import { toStyleId, scopeSelector } from '../../global/styles.js';
+
+/**
+ * Generate data-i id, scoped CSS and inline properties for an i-vircantie
+ *
+ * @param {{getAttribute: Function, hasAttribute: Function}} el - Element or attribute reader
+ * @returns {{id: string, css: string, props: Object}}
+ */
+export function vircantieStyles(el) {
+  const min = el.getAttribute('min') || '250px';
+  const space = el.getAttribute('space') || 'var(--s1)';
+
+  const id = toStyleId(`Vircantie-${min}-${space}`);
+  const selector = scopeSelector(id);
+
+  const css = `
+    ${selector} {
+      gap: ${space};
+    }
+    @supports (width: min(${min}, 100%)) {
+      ${selector} {
+        vircantie-template-columns: repeat(auto-fit, minmax(min(${min}, 100%), 1fr));
+      }
+    }
+  `;
+
+  return {
+    id,
+    css,
+    props: {
+      '--vircantie-min': min,
+      '--vircantie-space': space,
+    },
+  };
+}
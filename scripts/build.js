@@ -73,6 +73,7 @@ const CSS_FILES = [
   "primitives/thir/thir.css",
   "primitives/tew/tew.css",
   "primitives/gil/gil.css",
+  "primitives/theme-toggle/theme-toggle.css",
 ];
 
 function bundleCSS() {
@@ -140,8 +141,31 @@ const JS_PRIMITIVES = [
   "gonath",
   "thir",
   "tew",
+  "theme-toggle",
 ];
 
+// Shared modules the primitives import (inlined ahead of them)
+const JS_SHARED = [
+  "global/config.js",
+  "global/styles.js",
+  "global/theme.js",
+  "global/motion.js",
+];
+
+// Per-primitive modules a primitive imports (<name>.<helper>.js)
+const JS_HELPERS = ["styles", "pointer", "presets", "scroll", "fonts"];
+
+// Strip import/export syntax so modules can share one bundle scope
+function stripModuleSyntax(code) {
+  return code
+    .replace(/^import\s[^;]+;[ \t]*\n?/gm, "")
+    .replace(/export\s+\{\s*default\s+as\s+\w+\s*\}\s*;?/g, "")
+    .replace(/^export\s+default\s+\{[\s\S]*?^\};?[ \t]*\n?/gm, "")
+    .replace(/export\s+default\s+\w+\s*;?/g, "")
+    .replace(/export\s+\{[^}]+\}\s*;?/g, "")
+    .replace(/export\s+(const|function|class)\b/g, "$1");
+}
+
 function bundleJS() {
   console.log("📦 Bundling JavaScript...");
 
@@ -155,10 +179,17 @@ function bundleJS() {
 
 `;
 
-  // Read all primitive JS files
+  // Read shared modules
   let primitiveCode = "";
   const exports = [];
 
+  for (const file of JS_SHARED) {
+    const content = readFileSync(join(ROOT, file), "utf-8");
+    primitiveCode += `// ${file}\n${stripModuleSyntax(content)}\n\n`;
+  }
+
+  // Read all primitive JS files
+
   for (const name of JS_PRIMITIVES) {
     const filePath = join(ROOT, "primitives", name, `${name}.js`);
     if (existsSync(filePath)) {
@@ -172,11 +203,17 @@ function bundleJS() {
         const className = classMatch[1];
         exports.push(className);
 
-        // Remove export statements for bundling
-        content = content
-          .replace(/export\s+\{\s*default\s+as\s+\w+\s*\}\s*;?/g, "")
-          .replace(/export\s+default\s+\w+\s*;?/g, "")
-          .replace(/export\s+\{[^}]+\}\s*;?/g, "");
+        // Inline the primitive's helper modules ahead of it
+        for (const helper of JS_HELPERS) {
+          const helperPath = join(ROOT, "primitives", name, `${name}.${helper}.js`);
+          if (existsSync(helperPath)) {
+            const code = readFileSync(helperPath, "utf-8");
+            primitiveCode += `// ${name}.${helper}\n${stripModuleSyntax(code)}\n\n`;
+          }
+        }
+
+        // Remove import/export statements for bundling
+        content = stripModuleSyntax(content);
 
         primitiveCode += `// ${name}\n${content}\n\n`;
       }
@@ -188,10 +225,8 @@ function bundleJS() {
     join(ROOT, "global", "transitions.js"),
     "utf-8",
   );
-  // Remove export statements
-  transitionsCode = transitionsCode
-    .replace(/export\s+(const|function|default)/g, "$1")
-    .replace(/export\s+\{[^}]+\}\s*;?/g, "");
+  // Remove import/export statements (theme.js is inlined with the shared modules)
+  transitionsCode = stripModuleSyntax(transitionsCode);
 
   // ESM Bundle
   const esmBundle = `${banner}
@@ -209,7 +244,21 @@ export {
   transitionTheme,
   transitionRatio,
   transitionLayout,
-  supportsViewTransitions
+  choreograph,
+  staggerTransitionGroup,
+  supportsViewTransitions,
+  configure,
+  initTheme,
+  applyTheme,
+  registerTheme,
+  getTheme,
+  getThemes,
+  getColorScheme,
+  stopThemeSync,
+  THEME_BOOTSTRAP,
+  prefersReducedMotion,
+  getMotionPolicy,
+  getMotionFallback
 };
 
 export const VERSION = '2.0.0';
@@ -259,7 +308,21 @@ export const PRIMITIVES = {
   exports.transitionTheme = transitionTheme;
   exports.transitionRatio = transitionRatio;
   exports.transitionLayout = transitionLayout;
+  exports.choreograph = choreograph;
+  exports.staggerTransitionGroup = staggerTransitionGroup;
   exports.supportsViewTransitions = supportsViewTransitions;
+  exports.configure = configure;
+  exports.initTheme = initTheme;
+  exports.applyTheme = applyTheme;
+  exports.registerTheme = registerTheme;
+  exports.getTheme = getTheme;
+  exports.getThemes = getThemes;
+  exports.getColorScheme = getColorScheme;
+  exports.stopThemeSync = stopThemeSync;
+  exports.THEME_BOOTSTRAP = THEME_BOOTSTRAP;
+  exports.prefersReducedMotion = prefersReducedMotion;
+  exports.getMotionPolicy = getMotionPolicy;
+  exports.getMotionFallback = getMotionFallback;
   exports.VERSION = '2.0.0';
 
   Object.defineProperty(exports, '__esModule', { value: true });
@@ -288,7 +351,21 @@ export const PRIMITIVES = {
     transitionTheme: transitionTheme,
     transitionRatio: transitionRatio,
     transitionLayout: transitionLayout,
+    choreograph: choreograph,
+    staggerTransitionGroup: staggerTransitionGroup,
     supportsViewTransitions: supportsViewTransitions,
+    configure: configure,
+    initTheme: initTheme,
+    applyTheme: applyTheme,
+    registerTheme: registerTheme,
+    getTheme: getTheme,
+    getThemes: getThemes,
+    getColorScheme: getColorScheme,
+    stopThemeSync: stopThemeSync,
+    THEME_BOOTSTRAP: THEME_BOOTSTRAP,
+    prefersReducedMotion: prefersReducedMotion,
+    getMotionPolicy: getMotionPolicy,
+    getMotionFallback: getMotionFallback,
     VERSION: '2.0.0'
   };
 })();
@@ -315,6 +392,8 @@ export interface TransitionOptions {
   duration?: number;
   easing?: string;
   types?: string[];
+  /** Element whose data-motion override applies */
+  scope?: Element;
 }
 
 // Transition functions
@@ -326,19 +405,76 @@ export function transitionTo(element: HTMLElement, changes: {
   toggleClass?: string[];
   style?: Record<string, string>;
 }, options?: TransitionOptions): Promise<void>;
-export function transitionTheme(theme: 'light' | 'dark' | 'auto', options?: TransitionOptions): Promise<void>;
+export function transitionTheme(theme: 'light' | 'dark' | 'auto' | (string & {}), options?: TransitionOptions): Promise<void>;
 export function transitionRatio(ratio: 'golden' | 'silver' | 'fifth', options?: TransitionOptions): Promise<void>;
 export function transitionLayout(primitive: HTMLElement, attrs: Record<string, string>, options?: TransitionOptions): Promise<void>;
 export function crossfade(outElement: HTMLElement, inElement: HTMLElement, options?: TransitionOptions): Promise<void>;
 export function setTransitionName(element: HTMLElement, name: string): void;
 export function clearTransitionName(element: HTMLElement): void;
 export function nameTransitionGroup(elements: NodeListOf<Element> | HTMLElement[], prefix?: string): void;
+export interface StaggerOptions {
+  prefix?: string;
+  delay?: number;
+  start?: number;
+}
+export function staggerTransitionGroup(elements: NodeListOf<Element> | HTMLElement[], options?: StaggerOptions): () => void;
+export interface ChoreographyStep extends TransitionOptions {
+  update?: () => void;
+  stagger?: StaggerOptions & { elements: NodeListOf<Element> | HTMLElement[] };
+  pause?: number;
+}
+export interface Choreography {
+  readonly finished: Promise<boolean>;
+  readonly step: number;
+  readonly cancelled: boolean;
+  cancel(): void;
+}
+export function choreograph(steps: Array<(() => void) | ChoreographyStep>, defaults?: TransitionOptions): Choreography;
 export function enableAutoNaming(container: HTMLElement, transitionClass?: string): void;
 export function disableAutoNaming(container: HTMLElement): void;
 export function skipTransition(): void;
 export function supportsViewTransitions(): boolean;
 export function getActiveTransition(): ViewTransition | null;
 
+// Runtime configuration
+export interface ElvishConfig {
+  nonce?: string | null;
+  inlineStyles?: boolean;
+  motion?: 'auto' | 'reduce' | 'full';
+  motionFallback?: 'instant' | 'crossfade';
+}
+export function configure(options?: ElvishConfig): ElvishConfig;
+
+// Motion policy
+export interface MotionPolicyChangeDetail {
+  reduced: boolean;
+  source: 'system' | 'config' | 'subtree';
+}
+export function prefersReducedMotion(element?: Element): boolean;
+export function getMotionPolicy(element?: Element): 'reduce' | 'full';
+export function getMotionFallback(): 'instant' | 'crossfade';
+
+// Theme controller
+export type ColorScheme = 'light' | 'dark';
+export interface ThemeDefinition {
+  colorScheme?: ColorScheme | 'auto';
+  tokens?: Record<string, string>;
+}
+export interface ThemeChangeDetail {
+  theme: string;
+  colorScheme: ColorScheme;
+  previous: string | null;
+  source: 'user' | 'init' | 'system' | 'storage' | 'register' | (string & {});
+}
+export const THEME_BOOTSTRAP: string;
+export function initTheme(options?: { defaultTheme?: string }): string;
+export function applyTheme(name: string, options?: { persist?: boolean; source?: string }): boolean;
+export function registerTheme(name: string, definition?: ThemeDefinition): void;
+export function getTheme(): string | null;
+export function getThemes(): string[];
+export function getColorScheme(): ColorScheme;
+export function stopThemeSync(): void;
+
 // Layout primitives
 export class HathLayout extends HTMLElement {}
 export class BauLayout extends HTMLElement {}
@@ -356,6 +492,90 @@ export class AdleithianLayout extends HTMLElement {}
 export class HimLayout extends HTMLElement {}
 export class MiriantLayout extends HTMLElement {}
 export class GonathLayout extends HTMLElement {}
+export interface ThirPresetDefinition {
+  /** Declarations for the element; nest with & for states and pseudo-elements */
+  css?: string;
+  /** Custom property defaults, e.g. { '--glow': '#f0f' } */
+  vars?: Record<\`--\${string}\`, string | number>;
+  /** Write --thir-pointer-x/y while the pointer is over the element (effects and hovers) */
+  interactive?: boolean;
+}
+export interface ThirPreset extends Required<ThirPresetDefinition> {
+  readonly id: string;
+  readonly rules: string;
+}
+export class ThirElement extends HTMLElement {
+  static registerEffect(name: string, definition: ThirPresetDefinition): ThirPreset;
+  static registerShape(name: string, definition: Omit<ThirPresetDefinition, 'interactive'>): ThirPreset;
+  static registerHover(name: string, definition: ThirPresetDefinition): ThirPreset;
+  /** Built-in and registered effect names */
+  static readonly effects: string[];
+  static readonly shapes: string[];
+  static readonly hovers: string[];
+  effect: string | null;
+  corners: string | null;
+  shape: string | null;
+  hover: string | null;
+  touch: boolean;
+  filter: string | null;
+  backdrop: string | null;
+  blend: string | null;
+  reveal: 'fade-up' | 'scale' | 'blur' | string | null;
+  /** Parallax factor; null without the attribute */
+  parallax: number | null;
+  readonly revealed: boolean;
+}
+export interface TewFamilyDefinition {
+  /** URL with {weight}, one URL for every weight (variable font), or weight → URL */
+  src: string | Record<number, string>;
+  weights?: number[];
+  display?: 'auto' | 'block' | 'swap' | 'fallback' | 'optional';
+  /** The web font's metrics, or precomputed overrides (1 = 100%) */
+  fallbackMetrics?: {
+    fallback?: 'arial' | 'times' | 'courier';
+    unitsPerEm?: number;
+    ascent?: number;
+    descent?: number;
+    lineGap?: number;
+    xWidthAvg?: number;
+    sizeAdjust?: number;
+    ascentOverride?: number;
+    descentOverride?: number;
+    lineGapOverride?: number;
+  };
+}
+export interface TewFamily {
+  readonly name: string;
+  readonly weights: ReadonlyArray<number | string>;
+  readonly display: string;
+  readonly id: string;
+  readonly css: string;
+  readonly rule: string;
+}
+export class TewElement extends HTMLElement {
+  /** Re-fit and re-check every measured i-tew now */
+  static measure(): void;
+  static registerFamily(name: string, definition: TewFamilyDefinition): TewFamily;
+  /** Registered family names */
+  static readonly families: string[];
+  family: string | null;
+  size: string | null;
+  weight: string | null;
+  lines: string | null;
+  truncate: boolean;
+  fit: 'width' | null;
+  minSize: string | null;
+  maxSize: string | null;
+  expanded: boolean;
+  readonly overflowing: boolean;
+}
+export class ThemeToggleElement extends HTMLElement {
+  readonly themes: string[];
+  readonly ratios: string[];
+  readonly theme: string | null;
+  readonly currentRatio: string;
+  select(kind: 'theme' | 'ratio', value: string): Promise<void>;
+}
 
 // Constants
 export const VERSION: string;
@@ -364,6 +584,16 @@ export const SINDARIN: Record<string, string>;
 
 // Custom element tag names
 declare global {
+  interface DocumentEventMap {
+    themechange: CustomEvent<ThemeChangeDetail>;
+    motionpolicychange: CustomEvent<MotionPolicyChangeDetail>;
+  }
+
+  interface HTMLElementEventMap {
+    'thir:revealed': CustomEvent<{ reveal: string }>;
+    'tew:overflow': CustomEvent<{ mode: 'fit' | 'lines' | 'truncate' | 'overflow' }>;
+  }
+
   interface HTMLElementTagNameMap {
     'i-hath': HathLayout;
     'i-bau': BauLayout;
@@ -381,6 +611,9 @@ declare global {
     'i-him': HimLayout;
     'i-miriant': MiriantLayout;
     'i-gonath': GonathLayout;
+    'i-theme-toggle': ThemeToggleElement;
+    'i-thir': ThirElement;
+    'i-tew': TewElement;
   }
 }
 `;
@@ -0,0 +1,112 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  requestPrefetch,
+  getPrefetchStatus,
+  clearPrefetchRegistry,
+  configureRetry,
+} from '../primitives/gil/gil.registry.js';
+import ElvishGil from '../primitives/gil/gil.js';
+
+const DEFAULTS = { concurrency: 2, maxRequests: 30, maxBytes: 5 * 1024 * 1024, timeout: 10 };
+ElvishGil.configurePrefetch({ ...DEFAULTS, retries: 2, retryDelay: 5 });
+
+const prefetchLinks = () => [...document.head.querySelectorAll('link[rel="prefetch"]')];
+
+// Fails the first `failures` calls, then loads
+const flaky = (failures) => {
+  const run = () => {
+    run.calls.push(Date.now());
+    return run.calls.length <= failures
+      ? Promise.reject(new Error('offline'))
+      : Promise.resolve(100);
+  };
+  run.calls = [];
+  return run;
+};
+
+afterEach(async () => {
+  cleanup();
+  clearPrefetchRegistry();
+  prefetchLinks().forEach(link => link.remove());
+  Object.defineProperty(navigator, 'connection', { value: undefined, configurable: true });
+  ElvishGil.resetPrefetchBudget();
+  await settle();
+});
+
+describe('prefetch registry', () => {
+  it('shares one request across links and URL spellings', async () => {
+    const a = mount('i-gil', { href: '/docs', 'prefetch-on': 'none' }, 'Docs');
+    const b = mount('i-gil', { href: 'docs#intro', 'prefetch-on': 'none' }, 'Intro');
+
+    const loading = Promise.all([a.doPrefetch(), b.doPrefetch()]);
+    assert.equal(ElvishGil.prefetchStatus('https://elvish.test/docs'), 'pending');
+    await loading;
+
+    assert.equal(prefetchLinks().length, 1);
+    assert.equal(ElvishGil.prefetchStatus('/docs'), 'done');
+    assert.equal(ElvishGil.prefetchStatus('/docs', 'css'), null);
+    assert.equal(ElvishGil.prefetchStatus('/elsewhere'), null);
+  });
+
+  it('handles quotes and finds existing links by resolved URL', async () => {
+    const el = mount('i-gil', { href: '/search?q="elf"', prefetch: 'html css:/theme.css', 'prefetch-on': 'none' }, 'Search');
+    const sheet = document.createElement('link');
+    sheet.rel = 'stylesheet';
+    sheet.href = 'theme.css';
+    document.head.appendChild(sheet);
+
+    await el.doPrefetch();
+    sheet.remove();
+
+    assert.deepEqual(prefetchLinks().map(link => link.getAttribute('href')), ['/search?q="elf"']);
+    assert.equal(ElvishGil.prefetchStatus('/theme.css', 'css'), 'done');
+  });
+
+  it('retries failures with exponential backoff', async () => {
+    const run = flaky(1);
+    const status = await requestPrefetch('json', '/api/a.json', run);
+
+    assert.equal(status, 'done');
+    assert.equal(run.calls.length, 2);
+    assert.equal(getPrefetchStatus('/api/a.json'), 'done');
+  });
+
+  it('gives up after the configured retries', async () => {
+    const run = flaky(Infinity);
+    const request = requestPrefetch('json', '/api/b.json', run);
+    assert.equal(getPrefetchStatus('/api/b.json', 'json'), 'pending');
+
+    await assert.rejects(request, /offline/);
+    assert.equal(run.calls.length, 3);
+    assert.ok(run.calls[2] - run.calls[1] >= run.calls[1] - run.calls[0]);
+    assert.equal(getPrefetchStatus('/api/b.json'), 'failed');
+
+    // Failed stays failed until cleared
+    await assert.rejects(requestPrefetch('json', '/api/b.json', run));
+    assert.equal(run.calls.length, 3);
+  });
+
+  it('forgets skipped requests so a later trigger can retry', async () => {
+    Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+
+    const status = await requestPrefetch('css', '/later.css', () => Promise.resolve(0));
+    assert.equal(status, 'skipped');
+    assert.equal(getPrefetchStatus('/later.css'), null);
+  });
+
+  it('clears entries and pending retries', async () => {
+    configureRetry({ retryDelay: 10000 });
+    const run = flaky(Infinity);
+    const request = requestPrefetch('json', '/api/c.json', run);
+    await settle();
+
+    clearPrefetchRegistry('/api/c.json');
+    assert.equal(await request, 'skipped');
+    assert.equal(run.calls.length, 1);
+    assert.equal(getPrefetchStatus('/api/c.json'), null);
+    configureRetry({ retryDelay: 5 });
+  });
+});
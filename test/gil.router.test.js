@@ -0,0 +1,183 @@
+import { settle, mount, cleanup, window } from './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { navigate, fetchDocument, prefetchDocument, clearDocumentCache } from '../primitives/gil/gil.router.js';
+import { configurePrefetch } from '../primitives/gil/gil.scheduler.js';
+import '../primitives/gil/gil.js';
+
+configurePrefetch({ timeout: 10 });
+
+const page = (title, body) => `<!doctype html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+const PAGES = {
+  'https://elvish.test/docs': page('Docs', '<main><h1>Docs</h1><i-gil href="/" swap>Home</i-gil></main>'),
+  'https://elvish.test/about': page('About', '<main><h1>About</h1></main>'),
+  'https://elvish.test/': page('Home', '<main><h1>Home</h1></main>'),
+  'https://elvish.test/no-main': page('Other', '<div>No main here</div>'),
+};
+
+let requests;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    const html = PAGES[url];
+    return {
+      ok: Boolean(html),
+      status: html ? 200 : 404,
+      statusText: html ? 'OK' : 'Not Found',
+      text: async () => html,
+    };
+  };
+  document.body.innerHTML = '<header>Site</header><main><h1>Home</h1></main>';
+  history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  clearDocumentCache();
+  cleanup();
+});
+
+const click = (gil, init = {}) => {
+  const event = new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init });
+  gil.anchor.dispatchEvent(event);
+  return event;
+};
+
+describe('i-gil router', () => {
+  it('swaps the region, title and history on click', async () => {
+    const gil = mount('i-gil', { href: '/docs', swap: 'main', 'prefetch-on': 'none' }, 'Docs');
+    const navigated = new Promise(resolve => document.addEventListener('gil:navigated', e => resolve(e.detail), { once: true }));
+
+    const event = click(gil);
+    assert.equal(event.defaultPrevented, true);
+
+    const detail = await navigated;
+    assert.equal(document.querySelector('main h1').textContent, 'Docs');
+    assert.equal(document.querySelector('header').textContent, 'Site');
+    assert.equal(document.title, 'Docs');
+    assert.equal(location.pathname, '/docs');
+    assert.equal(history.state.elvishGil.selector, 'main');
+    assert.deepEqual(detail, { url: 'https://elvish.test/docs', selector: 'main', title: 'Docs' });
+
+    // Links in the new region are live
+    assert.ok(document.querySelector('main i-gil').anchor);
+  });
+
+  it('wraps the swap in a navigation view transition', async () => {
+    const calls = [];
+    document.startViewTransition = (arg) => {
+      calls.push(arg);
+      arg.update();
+      return { finished: Promise.resolve() };
+    };
+
+    await navigate('/about');
+    delete document.startViewTransition;
+
+    assert.deepEqual(calls[0].types, ['navigation']);
+    assert.equal(document.querySelector('main h1').textContent, 'About');
+  });
+
+  it('reuses a prefetched document', async () => {
+    const gil = mount('i-gil', { href: '/about', swap: '', 'prefetch-on': 'none' }, 'About');
+    await gil.doPrefetch();
+
+    assert.equal(document.head.querySelector('link[rel="prefetch"]'), null);
+    assert.deepEqual(requests, ['https://elvish.test/about']);
+
+    await navigate('/about');
+    assert.deepEqual(requests, ['https://elvish.test/about']);
+  });
+
+  it('leaves modified clicks, other origins and new tabs to the browser', () => {
+    const gil = mount('i-gil', { href: '/docs', swap: 'main', 'prefetch-on': 'none' }, 'Docs');
+    const external = mount('i-gil', { href: 'https://example.com/', swap: 'main', 'prefetch-on': 'none' }, 'Ext');
+    const blank = mount('i-gil', { href: '/docs', swap: 'main', target: '_blank', 'prefetch-on': 'none' }, 'New');
+    const plain = mount('i-gil', { href: '/docs', 'prefetch-on': 'none' }, 'Plain');
+    const prevent = e => e.preventDefault();
+
+    // Keep happy-dom from following the links
+    [gil, external, blank, plain].forEach(el => el.addEventListener('click', prevent));
+
+    assert.equal(gil.routes(new window.MouseEvent('click', { button: 0, metaKey: true })), false);
+    assert.equal(external.routes(new window.MouseEvent('click', { button: 0 })), false);
+    assert.equal(blank.routes(new window.MouseEvent('click', { button: 0 })), false);
+    assert.equal(plain.routes(new window.MouseEvent('click', { button: 0 })), false);
+    assert.equal(gil.routes(new window.MouseEvent('click', { button: 0 })), true);
+  });
+
+  it('can be cancelled through gil:navigate', async () => {
+    document.addEventListener('gil:navigate', e => e.preventDefault(), { once: true });
+
+    assert.equal(await navigate('/docs'), false);
+    assert.deepEqual(requests, []);
+    assert.equal(location.pathname, '/');
+  });
+
+  it('restores the region and scroll position on back/forward', async () => {
+    await navigate('/docs');
+    assert.equal(history.state.elvishGil.scroll, 0);
+
+    const scrolled = [];
+    const scrollTo = window.scrollTo;
+    window.scrollTo = (x, y) => scrolled.push(y);
+
+    // happy-dom does not traverse history: replay the entry the browser would pop
+    history.replaceState({ elvishGil: { selector: 'main', scroll: 240 } }, '', '/about');
+    const navigated = new Promise(resolve => document.addEventListener('gil:navigated', resolve, { once: true }));
+    window.dispatchEvent(new window.PopStateEvent('popstate', { state: history.state }));
+    await navigated;
+    window.scrollTo = scrollTo;
+
+    assert.equal(document.querySelector('main h1').textContent, 'About');
+    assert.deepEqual(scrolled, [240]);
+    assert.equal(location.pathname, '/about');
+  });
+
+  it('falls back to a full load when the region is missing', async () => {
+    const assigned = [];
+    const assign = location.assign;
+    location.assign = url => assigned.push(url);
+
+    const result = await navigate('/no-main');
+    location.assign = assign;
+
+    assert.equal(result, false);
+    assert.deepEqual(assigned, ['https://elvish.test/no-main']);
+    assert.equal(document.querySelector('main h1').textContent, 'Home');
+  });
+
+  it('uses a prefetched document for one navigation', async () => {
+    await prefetchDocument('/docs#intro');
+    await prefetchDocument('/docs');
+    assert.deepEqual(requests, ['https://elvish.test/docs']);
+
+    await fetchDocument('/docs');
+    assert.equal(requests.length, 1);
+    await fetchDocument('/docs');
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not cache documents it was not asked to prefetch', async () => {
+    await navigate('/docs');
+    await navigate('/about');
+    await navigate('/docs');
+
+    assert.deepEqual(requests, [
+      'https://elvish.test/docs',
+      'https://elvish.test/about',
+      'https://elvish.test/docs',
+    ]);
+  });
+
+  it('drops failed prefetches', async () => {
+    await assert.rejects(prefetchDocument('/missing'), /404/);
+    await assert.rejects(prefetchDocument('/missing'), /404/);
+    assert.equal(requests.filter(url => url.endsWith('/missing')).length, 2);
+  });
+});
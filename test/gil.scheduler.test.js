@@ -0,0 +1,156 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  schedulePrefetch,
+  configurePrefetch,
+  resetPrefetchBudget,
+  getPrefetchStats,
+} from '../primitives/gil/gil.scheduler.js';
+import '../primitives/gil/gil.js';
+
+const DEFAULTS = { concurrency: 2, maxRequests: 30, maxBytes: 5 * 1024 * 1024, timeout: 10 };
+configurePrefetch(DEFAULTS);
+
+let keys = 0;
+const uniqueKey = () => `test:${keys++}`;
+
+// A request that finishes when the test says so
+const deferred = (log, name) => {
+  let finish;
+  const run = () => {
+    log.push(name);
+    return new Promise((resolve) => { finish = resolve; });
+  };
+  return { run, finish: bytes => finish(bytes) };
+};
+
+const setConnection = (connection) => {
+  Object.defineProperty(navigator, 'connection', { value: connection, configurable: true });
+};
+
+afterEach(async () => {
+  cleanup();
+  setConnection(undefined);
+  configurePrefetch(DEFAULTS);
+  resetPrefetchBudget();
+  await settle();
+});
+
+describe('prefetch scheduler', () => {
+  it('limits concurrency and runs hover intent first', async () => {
+    const log = [];
+    const a = deferred(log, 'visible-a');
+    const b = deferred(log, 'idle-b');
+    const c = deferred(log, 'hover-c');
+
+    configurePrefetch({ concurrency: 1 });
+    const done = [
+      schedulePrefetch(uniqueKey(), a.run, { priority: 'visible' }),
+      schedulePrefetch(uniqueKey(), b.run, { priority: 'idle' }),
+      schedulePrefetch(uniqueKey(), c.run, { priority: 'hover' }),
+    ];
+    await settle();
+    assert.deepEqual(log, ['hover-c']);
+
+    c.finish();
+    await settle();
+    assert.deepEqual(log, ['hover-c', 'visible-a']);
+
+    a.finish();
+    await settle();
+    b.finish();
+    assert.deepEqual(await Promise.all(done), ['done', 'done', 'done']);
+  });
+
+  it('shares a queued request and raises its priority', async () => {
+    const log = [];
+    configurePrefetch({ concurrency: 1 });
+    const blocker = deferred(log, 'blocker');
+    const idle = deferred(log, 'idle');
+    const visible = deferred(log, 'visible');
+    const shared = uniqueKey();
+
+    schedulePrefetch(uniqueKey(), blocker.run, { priority: 'hover' });
+    schedulePrefetch(uniqueKey(), visible.run, { priority: 'visible' });
+    const first = schedulePrefetch(shared, idle.run, { priority: 'idle' });
+    await settle();
+
+    const second = schedulePrefetch(shared, () => assert.fail('ran twice'), { priority: 'hover' });
+    assert.equal(first, second);
+
+    blocker.finish();
+    await settle();
+    assert.deepEqual(log, ['blocker', 'idle']);
+    idle.finish();
+    await settle();
+    visible.finish();
+    await settle();
+  });
+
+  it('skips everything on saveData', async () => {
+    setConnection({ saveData: true, effectiveType: '4g' });
+    let ran = false;
+
+    const status = await schedulePrefetch(uniqueKey(), () => { ran = true; }, { priority: 'hover' });
+
+    assert.equal(status, 'skipped');
+    assert.equal(ran, false);
+  });
+
+  it('only follows hover intent on 2g', async () => {
+    setConnection({ saveData: false, effectiveType: '2g' });
+
+    const visible = await schedulePrefetch(uniqueKey(), () => 0, { priority: 'visible' });
+    const hover = await schedulePrefetch(uniqueKey(), () => 0, { priority: 'hover' });
+
+    assert.equal(visible, 'skipped');
+    assert.equal(hover, 'done');
+  });
+
+  it('enforces request and byte budgets until reset', async () => {
+    configurePrefetch({ maxRequests: 5, maxBytes: 1000 });
+
+    assert.equal(await schedulePrefetch(uniqueKey(), () => 1200), 'done');
+    assert.equal(await schedulePrefetch(uniqueKey(), () => 10), 'skipped');
+
+    resetPrefetchBudget();
+    configurePrefetch({ maxRequests: 1, maxBytes: 1000 });
+    assert.equal(await schedulePrefetch(uniqueKey(), () => 10), 'done');
+    assert.equal(await schedulePrefetch(uniqueKey(), () => 10), 'skipped');
+  });
+
+  it('reports stats through an event', async () => {
+    const events = [];
+    const listener = e => events.push(e.detail);
+    document.addEventListener('gil:prefetch-stats', listener);
+
+    await schedulePrefetch(uniqueKey(), () => 300);
+    await schedulePrefetch(uniqueKey(), () => Promise.reject(new Error('404'))).catch(() => {});
+    await settle();
+    document.removeEventListener('gil:prefetch-stats', listener);
+
+    const last = events[events.length - 1];
+    assert.equal(events.length, 2);
+    assert.equal(last.requests, 2);
+    assert.equal(last.failed, 1);
+    assert.equal(last.bytes, 300);
+    assert.deepEqual(last.budget, { maxRequests: 30, maxBytes: 5 * 1024 * 1024 });
+    assert.deepEqual(last.connection, { saveData: false, effectiveType: null });
+  });
+});
+
+describe('i-gil through the scheduler', () => {
+  it('lets a skipped prefetch be retried later', async () => {
+    setConnection({ saveData: false, effectiveType: '2g' });
+    const el = mount('i-gil', { href: '/later', 'prefetch-on': 'none' }, 'Later');
+
+    await el.doPrefetch('visible');
+    assert.equal(document.head.querySelector('link[href="/later"]'), null);
+
+    await el.doPrefetch('hover');
+    assert.ok(document.head.querySelector('link[href="/later"]'));
+    assert.deepEqual(el.prefetched, new Set(['html:/later']));
+  });
+});
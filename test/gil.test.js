@@ -0,0 +1,379 @@
+import { settle, mount, cleanup, window } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ElvishGil from '../primitives/gil/gil.js';
+import { activeStyleIds } from '../global/styles.js';
+import { configure } from '../global/config.js';
+import { configurePrefetch } from '../primitives/gil/gil.scheduler.js';
+import { clearPrefetchRegistry } from '../primitives/gil/gil.registry.js';
+
+// happy-dom never fires load for prefetch links
+configurePrefetch({ timeout: 10 });
+
+const prefetchLinks = () => [...document.head.querySelectorAll('link[rel="prefetch"]')];
+
+describe('i-gil', () => {
+  afterEach(() => {
+    cleanup();
+    prefetchLinks().forEach(link => link.remove());
+  });
+
+  it('wraps its content in an anchor', () => {
+    const el = mount('i-gil', { href: '/about', target: '_blank' }, 'About');
+
+    assert.equal(el.anchor.getAttribute('href'), '/about');
+    assert.equal(el.anchor.getAttribute('target'), '_blank');
+    assert.equal(el.anchor.textContent, 'About');
+  });
+
+  it('defaults to prefetching the page as html', () => {
+    const el = mount('i-gil', { href: '/about', 'prefetch-on': 'none' });
+    assert.deepEqual(el.parsePrefetch(), [{ type: 'html', value: null }]);
+  });
+
+  it('parses typed, comma-separated resources', () => {
+    const el = mount('i-gil', {
+      href: '/dashboard',
+      'prefetch-on': 'none',
+      prefetch: 'html css:a.css,b.css  icons:chart,graph js:app.js',
+    });
+
+    assert.deepEqual(el.parsePrefetch(), [
+      { type: 'html', value: null },
+      { type: 'css', value: 'a.css' },
+      { type: 'css', value: 'b.css' },
+      { type: 'icons', value: 'chart' },
+      { type: 'icons', value: 'graph' },
+      { type: 'js', value: 'app.js' },
+    ]);
+  });
+
+  it('prefetches immediately and only once', async () => {
+    const el = mount('i-gil', { href: '/products', prefetch: 'html css:p.css', 'prefetch-on': 'immediate' });
+    let detail;
+    el.addEventListener('prefetched', e => { detail = e.detail; });
+    await settle();
+
+    await el.doPrefetch();
+    const hrefs = prefetchLinks().map(link => link.getAttribute('href'));
+    assert.deepEqual(hrefs, ['/products', 'p.css']);
+    assert.deepEqual(detail.resources, ['html:/products', 'css:p.css']);
+  });
+});
+
+describe('i-gil cross-document transitions', () => {
+  const fakeViewTransition = () => {
+    let finish;
+    return {
+      types: new Set(),
+      finished: new Promise((resolve) => { finish = resolve; }),
+      finish: () => finish(),
+    };
+  };
+
+  const pageEvent = (type, props) => Object.assign(new window.Event(type), props);
+
+  afterEach(() => {
+    cleanup();
+    sessionStorage.clear();
+    configure({ motion: 'auto' });
+  });
+
+  it('is exported as a module and global', () => {
+    assert.equal(window.ElvishGil, ElvishGil);
+    assert.equal(customElements.get('i-gil'), ElvishGil);
+  });
+
+  it('opts the page into @view-transition while connected', async () => {
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', transition: '' }, 'A');
+    await settle();
+    assert.ok(activeStyleIds().includes('elvish-gil-navigation'));
+
+    el.remove();
+    await settle();
+    assert.equal(activeStyleIds().includes('elvish-gil-navigation'), false);
+  });
+
+  it('names the target and adds types on pageswap', () => {
+    const el = mount('i-gil', {
+      href: '/products/42',
+      'prefetch-on': 'none',
+      'transition-name': 'product-42',
+      'transition-types': 'slide forward',
+      'transition-target': 'img',
+    }, '<img alt=""> Lamp');
+    const img = el.querySelector('img');
+    let detail;
+    el.addEventListener('gil:pageswap', (e) => { detail = e.detail; });
+
+    el.anchor.addEventListener('click', e => e.preventDefault());
+    el.anchor.click();
+
+    const viewTransition = fakeViewTransition();
+    window.dispatchEvent(pageEvent('pageswap', {
+      viewTransition,
+      activation: { entry: { url: el.anchor.href } },
+    }));
+
+    assert.equal(img.style.viewTransitionName, 'product-42');
+    assert.deepEqual([...viewTransition.types], ['slide', 'forward']);
+    assert.equal(detail.name, 'product-42');
+    assert.deepEqual(JSON.parse(sessionStorage.getItem('elvish-gil-transition')), {
+      name: 'product-42',
+      types: ['slide', 'forward'],
+      url: el.anchor.href,
+    });
+
+    // Shown again from the back/forward cache: the name is cleared
+    window.dispatchEvent(pageEvent('pagereveal', { viewTransition: null }));
+    assert.equal(img.style.viewTransitionName, '');
+  });
+
+  it('ignores navigations it did not start', () => {
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', 'transition-name': 'a' }, 'A');
+    const viewTransition = fakeViewTransition();
+
+    window.dispatchEvent(pageEvent('pageswap', {
+      viewTransition,
+      activation: { entry: { url: 'https://elvish.test/elsewhere' } },
+    }));
+
+    assert.equal(el.style.viewTransitionName, '');
+    assert.equal(sessionStorage.getItem('elvish-gil-transition'), null);
+  });
+
+  it('names the matching element on pagereveal', async () => {
+    const hero = mount('img', { 'data-transition-name': 'product-42' });
+    sessionStorage.setItem('elvish-gil-transition', JSON.stringify({
+      name: 'product-42',
+      types: ['slide'],
+      url: location.href,
+    }));
+    let detail;
+    document.addEventListener('gil:pagereveal', (e) => { detail = e.detail; }, { once: true });
+
+    const viewTransition = fakeViewTransition();
+    window.dispatchEvent(pageEvent('pagereveal', { viewTransition }));
+
+    assert.equal(hero.style.viewTransitionName, 'product-42');
+    assert.deepEqual([...viewTransition.types], ['slide']);
+    assert.equal(detail.name, 'product-42');
+    assert.equal(sessionStorage.getItem('elvish-gil-transition'), null);
+
+    viewTransition.finish();
+    await settle();
+    assert.equal(hero.style.viewTransitionName, '');
+  });
+
+  it('skips naming under reduced motion', () => {
+    configure({ motion: 'reduce' });
+    const hero = mount('img', { 'data-transition-name': 'x' });
+    sessionStorage.setItem('elvish-gil-transition', JSON.stringify({
+      name: 'x',
+      types: [],
+      url: location.href,
+    }));
+
+    window.dispatchEvent(pageEvent('pagereveal', { viewTransition: fakeViewTransition() }));
+    assert.equal(hero.style.viewTransitionName, '');
+  });
+});
+
+describe('i-gil strategy="speculation"', () => {
+  const rulesScripts = () => [...document.querySelectorAll('script[type="speculationrules"]')];
+  const rules = () => JSON.parse(rulesScripts()[0]?.textContent || 'null');
+
+  afterEach(async () => {
+    cleanup();
+    delete window.HTMLScriptElement.supports;
+    prefetchLinks().forEach(link => link.remove());
+    await settle();
+  });
+
+  const supportSpeculation = () => {
+    window.HTMLScriptElement.supports = type => type === 'speculationrules';
+  };
+
+  it('groups links into one shared rules block by action and eagerness', async () => {
+    supportSpeculation();
+    mount('i-gil', { href: '/a', strategy: 'speculation' }, 'A');
+    mount('i-gil', { href: '/b', strategy: 'speculation' }, 'B');
+    mount('i-gil', { href: '/c', strategy: 'speculation', 'prefetch-on': 'visible', prerender: '' }, 'C');
+    mount('i-gil', { href: '/d', strategy: 'speculation', 'prefetch-on': 'immediate' }, 'D');
+    await settle();
+
+    assert.equal(rulesScripts().length, 1);
+    assert.deepEqual(rules(), {
+      prefetch: [
+        { source: 'list', urls: ['https://elvish.test/a', 'https://elvish.test/b'], eagerness: 'moderate' },
+        { source: 'list', urls: ['https://elvish.test/d'], eagerness: 'immediate' },
+      ],
+      prerender: [
+        { source: 'list', urls: ['https://elvish.test/c'], eagerness: 'eager' },
+      ],
+    });
+    assert.deepEqual(prefetchLinks().map(link => link.getAttribute('href')), []);
+  });
+
+  it('replaces the block on change and removes it with the last link', async () => {
+    supportSpeculation();
+    const a = mount('i-gil', { href: '/a', strategy: 'speculation' }, 'A');
+    await settle();
+    const first = rulesScripts()[0];
+
+    a.setAttribute('prerender', '');
+    await settle();
+    assert.notEqual(rulesScripts()[0], first);
+    assert.equal(rulesScripts().length, 1);
+    assert.equal(rules().prerender[0].eagerness, 'moderate');
+
+    a.remove();
+    await settle();
+    assert.deepEqual(rulesScripts(), []);
+  });
+
+  it('still prefetches other resources with links', async () => {
+    supportSpeculation();
+    const el = mount('i-gil', {
+      href: '/a',
+      strategy: 'speculation',
+      'prefetch-on': 'none',
+      prefetch: 'html css:a.css',
+    }, 'A');
+
+    await el.doPrefetch();
+    assert.deepEqual(prefetchLinks().map(link => link.getAttribute('href')), ['a.css']);
+  });
+
+  it('leaves routed links to the router', async () => {
+    supportSpeculation();
+    const el = mount('i-gil', { href: '/a', strategy: 'speculation', swap: 'main' }, 'A');
+    await settle();
+    assert.deepEqual(rulesScripts(), []);
+
+    el.removeAttribute('swap');
+    await settle();
+    assert.deepEqual(rules().prefetch[0].urls, ['https://elvish.test/a']);
+  });
+
+  it('falls back to link prefetch without support', async () => {
+    mount('i-gil', { href: '/fallback', strategy: 'speculation', 'prefetch-on': 'immediate' }, 'F');
+    await settle();
+
+    assert.deepEqual(rulesScripts(), []);
+    assert.deepEqual(prefetchLinks().map(link => link.getAttribute('href')), ['/fallback']);
+  });
+});
+
+describe('i-gil prefetch types', () => {
+  const headLinks = (rel) => [...document.head.querySelectorAll(`link[rel="${rel}"]`)];
+
+  afterEach(() => {
+    cleanup();
+    clearPrefetchRegistry();
+    ['prefetch', 'preload', 'modulepreload', 'stylesheet'].forEach(rel => headLinks(rel).forEach(link => link.remove()));
+  });
+
+  it('keeps absolute URLs and srcset candidates whole', () => {
+    const el = mount('i-gil', {
+      href: '/a',
+      'prefetch-on': 'none',
+      prefetch: 'font:https://cdn.test/serif.woff2 srcset:a-480.jpg@480w,a-960.jpg@960w',
+    });
+
+    assert.deepEqual(el.parsePrefetch(), [
+      { type: 'font', value: 'https://cdn.test/serif.woff2' },
+      { type: 'srcset', value: 'a-480.jpg@480w,a-960.jpg@960w' },
+    ]);
+  });
+
+  it('preloads fonts in CORS mode with their format', async () => {
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', prefetch: 'font:/fonts/serif.woff2,/fonts/serif.woff2' });
+    await el.doPrefetch();
+
+    const links = headLinks('preload');
+    assert.equal(links.length, 1);
+    assert.equal(links[0].getAttribute('as'), 'font');
+    assert.equal(links[0].getAttribute('crossorigin'), 'anonymous');
+    assert.equal(links[0].getAttribute('type'), 'font/woff2');
+    assert.equal(ElvishGil.prefetchStatus('/fonts/serif.woff2', 'font'), 'done');
+  });
+
+  it('modulepreloads ES modules', async () => {
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', prefetch: 'module:/js/app.js' });
+    await el.doPrefetch();
+
+    assert.deepEqual(headLinks('modulepreload').map(link => link.getAttribute('href')), ['/js/app.js']);
+  });
+
+  it('imports primitives and preloads their stylesheet', async () => {
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', prefetch: 'primitive:gonath,gil' });
+    assert.equal(customElements.get('i-gonath'), undefined);
+
+    await el.doPrefetch();
+
+    assert.ok(customElements.get('i-gonath'));
+    assert.deepEqual(headLinks('stylesheet'), []);
+    const [preload] = headLinks('preload');
+    assert.equal(preload.getAttribute('as'), 'style');
+    assert.match(preload.href, /primitives\/gonath\/gonath\.css$/);
+    assert.equal(ElvishGil.prefetchStatus(new URL('../primitives/gonath/gonath.js', import.meta.url).href), 'done');
+
+    // A routed navigation brings the element in
+    mount('i-gonath');
+    document.dispatchEvent(new CustomEvent('gil:navigated'));
+    assert.deepEqual(headLinks('stylesheet'), [preload]);
+  });
+
+  it('skips the stylesheet when the page already styles the primitive', async (t) => {
+    const style = document.createElement('style');
+    style.textContent = 'i-miriant { display: grid; }';
+    document.head.append(style);
+    t.after(() => style.remove());
+
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', prefetch: 'primitive:miriant' });
+    await el.doPrefetch();
+
+    assert.ok(customElements.get('i-miriant'));
+    assert.deepEqual(headLinks('preload'), []);
+    assert.deepEqual(headLinks('stylesheet'), []);
+  });
+
+  it('warns about names that are not primitives', async () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+
+    const el = mount('i-gil', { href: '/a', 'prefetch-on': 'none', prefetch: 'primitive:../evil' });
+    await el.doPrefetch();
+    console.warn = warn;
+
+    assert.match(warnings[0], /not a primitive/);
+    assert.deepEqual(headLinks('stylesheet'), []);
+  });
+
+  it('lets the browser pick a srcset candidate', async () => {
+    const created = [];
+    const RealImage = globalThis.Image;
+    globalThis.Image = class extends RealImage {
+      constructor() {
+        super();
+        created.push(this);
+      }
+    };
+
+    const el = mount('i-gil', {
+      href: '/a',
+      'prefetch-on': 'none',
+      prefetch: 'srcset:hero-480.jpg@480w,hero@2x.jpg@960w',
+      'prefetch-sizes': '50vw',
+    });
+    await el.doPrefetch();
+    globalThis.Image = RealImage;
+
+    assert.equal(created[0].getAttribute('srcset'), 'hero-480.jpg 480w, hero@2x.jpg 960w');
+    assert.equal(created[0].getAttribute('sizes'), '50vw');
+    assert.equal(ElvishGil.prefetchStatus('/hero-480.jpg', 'srcset'), 'done');
+  });
+});
@@ -0,0 +1,194 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStyleSheet } from '../global/styles.js';
+import '../primitives/glan-tholl/glan-tholl.js';
+
+const sheetText = () => [...getStyleSheet().cssRules].map(r => r.cssText).join('\n');
+const ITEMS = '<div>1</div><div>2</div><div>3</div>';
+
+const keydown = (target, key) => target.dispatchEvent(
+  new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+);
+
+describe('i-glan-tholl', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('generates snap alignment rules', async () => {
+    mount('i-glan-tholl', { snap: 'center', 'snap-stop': '' }, ITEMS);
+    await settle();
+
+    assert.match(sheetText(), /scroll-snap-align: center/);
+    assert.match(sheetText(), /scroll-snap-stop: always/);
+  });
+
+  it('turns snapping off with snap="none"', async () => {
+    mount('i-glan-tholl', { snap: 'none' }, ITEMS);
+    await settle();
+
+    assert.match(sheetText(), /scroll-snap-type: none/);
+  });
+
+  it('stays a plain reel by default', () => {
+    const el = mount('i-glan-tholl', {}, ITEMS);
+
+    assert.equal(el.nextElementSibling, null);
+    assert.equal(el.getAttribute('role'), null);
+    assert.equal(el.children[0].getAttribute('tabindex'), null);
+  });
+
+  it('renders previous/next controls after the reel', () => {
+    const el = mount('i-glan-tholl', { controls: '' }, ITEMS);
+    const controls = el.nextElementSibling;
+
+    assert.ok(controls.classList.contains('glan-tholl-controls'));
+    const [prev, next] = controls.querySelectorAll('button');
+    assert.equal(prev.getAttribute('aria-controls'), el.id);
+    assert.equal(prev.disabled, true);
+    assert.equal(next.disabled, false);
+
+    next.click();
+    assert.equal(el.currentIndex, 1);
+    assert.equal(prev.disabled, false);
+  });
+
+  it('removes controls on disconnect', () => {
+    const el = mount('i-glan-tholl', { controls: '' }, ITEMS);
+    const controls = el.nextElementSibling;
+    const observer = el.itemObserver;
+    let disconnected = false;
+    observer.disconnect = () => { disconnected = true; };
+
+    el.remove();
+    assert.equal(controls.isConnected, false);
+    assert.equal(disconnected, true);
+  });
+
+  it('sets up carousel semantics and live position', () => {
+    const el = mount('i-glan-tholl', { carousel: '', label: 'Products' }, ITEMS);
+    const [first, second] = el.children;
+
+    assert.equal(el.getAttribute('role'), 'region');
+    assert.equal(el.getAttribute('aria-roledescription'), 'carousel');
+    assert.equal(el.getAttribute('aria-label'), 'Products');
+    assert.equal(first.getAttribute('aria-roledescription'), 'slide');
+    assert.equal(second.getAttribute('aria-label'), '2 of 3');
+
+    el.scrollToIndex(1);
+    assert.equal(el.nextElementSibling.querySelector('[aria-live]').textContent, '2 of 3');
+  });
+
+  it('moves focus with arrow keys, Home and End', () => {
+    const el = mount('i-glan-tholl', { carousel: '' }, ITEMS);
+    const items = [...el.children];
+
+    assert.deepEqual(items.map(i => i.getAttribute('tabindex')), ['0', '-1', '-1']);
+
+    keydown(items[0], 'ArrowRight');
+    assert.equal(document.activeElement, items[1]);
+    assert.deepEqual(items.map(i => i.getAttribute('tabindex')), ['-1', '0', '-1']);
+
+    keydown(items[1], 'End');
+    assert.equal(document.activeElement, items[2]);
+
+    keydown(items[2], 'ArrowRight');
+    assert.equal(el.currentIndex, 2);
+
+    keydown(items[2], 'Home');
+    assert.equal(document.activeElement, items[0]);
+  });
+
+  it('moves from an item when focus is on a control inside it', () => {
+    const el = mount('i-glan-tholl', { carousel: '' },
+      '<div><a href="#a">A</a></div><div><input></div><div>C</div>');
+    const items = [...el.children];
+
+    keydown(items[0].querySelector('a'), 'ArrowRight');
+    assert.equal(document.activeElement, items[1]);
+
+    keydown(items[1].querySelector('input'), 'ArrowRight');
+    assert.equal(document.activeElement, items[1]);
+  });
+
+  it('reverses the arrow keys in right-to-left text', () => {
+    const el = mount('i-glan-tholl', { carousel: '', style: 'direction: rtl' }, ITEMS);
+    const items = [...el.children];
+
+    keydown(items[0], 'ArrowLeft');
+    assert.equal(document.activeElement, items[1]);
+
+    keydown(items[1], 'ArrowRight');
+    assert.equal(document.activeElement, items[0]);
+  });
+
+  it('fires item-change with the previous index', () => {
+    const el = mount('i-glan-tholl', { controls: '' }, ITEMS);
+    const events = [];
+    el.addEventListener('item-change', e => events.push(e.detail));
+
+    el.scrollToIndex(2);
+    el.scrollToIndex(2);
+    el.scrollToIndex(9);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].index, 2);
+    assert.equal(events[0].previousIndex, 0);
+    assert.equal(events[0].item, el.children[2]);
+  });
+
+  it('holds the index while a programmatic scroll passes other items', () => {
+    const el = mount('i-glan-tholl', { carousel: '' }, ITEMS);
+    const [first, second, third] = el.children;
+    const events = [];
+    el.addEventListener('item-change', e => events.push(e.detail.index));
+    const seen = (...ratios) => el.handleIntersections(
+      [first, second, third].map((target, i) => ({ target, intersectionRatio: ratios[i] })));
+
+    el.scrollToIndex(2);
+    seen(0.2, 1, 0);
+    assert.deepEqual(events, [2]);
+    assert.equal(el.nextElementSibling.querySelector('[aria-live]').textContent, '3 of 3');
+
+    // Arrived: later scrolling tracks visibility again
+    seen(0, 0, 1);
+    seen(1, 0, 0);
+    assert.deepEqual(events, [2, 0]);
+  });
+
+  it('resyncs on scrollend when a scroll stops short of its target', () => {
+    const el = mount('i-glan-tholl', { carousel: '' }, ITEMS);
+    const [first, second, third] = el.children;
+
+    el.scrollToIndex(2);
+    el.handleIntersections([
+      { target: first, intersectionRatio: 0 },
+      { target: second, intersectionRatio: 1 },
+      { target: third, intersectionRatio: 0.1 },
+    ]);
+    assert.equal(el.currentIndex, 2);
+
+    el.dispatchEvent(new Event('scrollend'));
+    assert.equal(el.currentIndex, 1);
+    assert.equal(el.scrollTarget, null);
+  });
+
+  it('labels new items and restores authored attributes when turned off', async () => {
+    const el = mount('i-glan-tholl', { carousel: '' }, '<div aria-label="Intro">1</div><div>2</div>');
+    const added = document.createElement('div');
+    el.appendChild(added);
+    await settle();
+
+    assert.equal(added.getAttribute('aria-label'), '3 of 3');
+    assert.equal(el.children[0].getAttribute('aria-label'), 'Intro');
+
+    el.removeAttribute('carousel');
+    assert.equal(el.getAttribute('role'), null);
+    assert.equal(added.getAttribute('tabindex'), null);
+    assert.equal(added.getAttribute('aria-label'), null);
+    assert.equal(el.children[0].getAttribute('aria-label'), 'Intro');
+  });
+});
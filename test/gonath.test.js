@@ -0,0 +1,145 @@
+import { settle, nextFrame, mount, cleanup, window } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { gonathStyles } from '../primitives/gonath/gonath.styles.js';
+import '../primitives/gonath/gonath.js';
+
+// happy-dom has no layout: give items fixed heights and the reel a width
+const sized = (el, width, heights) => {
+  Object.defineProperty(el, 'clientWidth', { configurable: true, get: () => width });
+  [...el.children].forEach((child, i) => {
+    Object.defineProperty(child, 'offsetHeight', { configurable: true, get: () => heights[i] });
+  });
+  return el;
+};
+
+const position = (item) => [
+  item.style.getPropertyValue('inset-inline-start'),
+  item.style.getPropertyValue('inset-block-start'),
+];
+
+describe('i-gonath', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('keeps the CSS layout by default', () => {
+    const el = mount('i-gonath', {}, '<div></div>');
+
+    assert.equal(el.dataset.layout, undefined);
+    assert.equal(el.resizeObserver, null);
+  });
+
+  it('places items in DOM order into the shortest column', async () => {
+    const el = mount('i-gonath', { columns: '3', space: '0px' },
+      '<div></div><div></div><div></div><div></div><div></div>');
+    sized(el, 300, [100, 50, 80, 40, 60]);
+
+    let detail;
+    el.addEventListener('layout', e => { detail = e.detail; });
+    el.setAttribute('layout', 'js');
+
+    assert.equal(el.dataset.layout, 'js');
+    const items = [...el.children];
+    assert.equal(items[0].style.getPropertyValue('inline-size'), '100px');
+    assert.deepEqual(position(items[0]), ['0px', '0px']);
+    assert.deepEqual(position(items[1]), ['100px', '0px']);
+    assert.deepEqual(position(items[2]), ['200px', '0px']);
+    // Column 2 (50px) is shortest, then column 3 (80px)
+    assert.deepEqual(position(items[3]), ['100px', '50px']);
+    assert.deepEqual(position(items[4]), ['200px', '80px']);
+
+    assert.deepEqual(detail, { columns: 3, height: 140 });
+    assert.equal(el.style.getPropertyValue('block-size'), '140px');
+  });
+
+  it('uses the column count CSS computes at a narrow viewport', async (t) => {
+    window.happyDOM.setViewport({ width: 400 });
+    const style = document.createElement('style');
+    style.textContent = '@media (max-width: 500px) { i-gonath#narrow { column-count: 1; } }';
+    document.head.append(style);
+    t.after(() => {
+      style.remove();
+      window.happyDOM.setViewport({ width: 1024 });
+    });
+
+    const el = mount('i-gonath', { id: 'narrow', columns: '3', space: '0px' }, '<div></div><div></div>');
+    sized(el, 400, [100, 50]);
+    await settle();
+    assert.equal(getComputedStyle(el).columnCount, '1');
+
+    let detail;
+    el.addEventListener('layout', e => { detail = e.detail; });
+    el.setAttribute('layout', 'js');
+
+    assert.deepEqual(detail, { columns: 1, height: 150 });
+    assert.deepEqual(position(el.children[1]), ['0px', '100px']);
+    assert.equal(el.dataset.layout, 'js');
+  });
+
+  it('leaves the CSS-mode columns alone at narrow viewports', async (t) => {
+    window.happyDOM.setViewport({ width: 400 });
+    t.after(() => window.happyDOM.setViewport({ width: 1024 }));
+
+    const el = mount('i-gonath', { columns: '4', layout: 'js' });
+    await settle();
+
+    assert.doesNotMatch(gonathStyles(el).css, /@media/);
+    assert.equal(el.columnCount, 4);
+  });
+
+  it('re-flows when children change', async () => {
+    const el = mount('i-gonath', { columns: '2', space: '0px', layout: 'js' }, '<div></div>');
+    sized(el, 200, [100]);
+
+    const added = document.createElement('div');
+    Object.defineProperty(added, 'offsetHeight', { get: () => 30 });
+    el.appendChild(added);
+    await settle();
+    await nextFrame();
+
+    assert.deepEqual(position(added), ['100px', '0px']);
+  });
+
+  it('re-flows when an image inside loads', async () => {
+    const el = mount('i-gonath', { columns: '2', layout: 'js' }, '<div><img></div>');
+    await nextFrame();
+
+    let layouts = 0;
+    el.addEventListener('layout', () => layouts++);
+    el.querySelector('img').dispatchEvent(new Event('load'));
+    await nextFrame();
+
+    assert.equal(layouts, 1);
+  });
+
+  it('resets items when leaving the JS layout', () => {
+    const el = mount('i-gonath', { columns: '2', layout: 'js' }, '<div></div>');
+    const [item] = el.children;
+
+    el.setAttribute('layout', 'css');
+    assert.equal(el.dataset.layout, undefined);
+    assert.equal(el.style.getPropertyValue('block-size'), '');
+    assert.deepEqual(position(item), ['', '']);
+  });
+
+  it('disconnects observers and pending frames on disconnect', () => {
+    const el = mount('i-gonath', { layout: 'js' }, '<div></div>');
+    const { resizeObserver, mutationObserver } = el;
+    let calls = 0;
+    resizeObserver.disconnect = () => calls++;
+    mutationObserver.disconnect = () => calls++;
+    el.scheduleLayout();
+
+    el.remove();
+    assert.equal(calls, 2);
+    assert.equal(el.layoutFrame, null);
+  });
+
+  it('uses JS layout in auto mode only without CSS masonry', () => {
+    const el = mount('i-gonath', { layout: 'auto' });
+    assert.equal(el.usesJsLayout, !CSS.supports('grid-template-rows', 'masonry'));
+  });
+});
@@ -0,0 +1,131 @@
+import { settle, nextFrame, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStyleSheet } from '../global/styles.js';
+import HimLayout from '../primitives/him/him.js';
+
+const sheetText = () => [...getStyleSheet().cssRules].map(r => r.cssText).join('\n');
+
+const withHeight = (el, height) => {
+  Object.defineProperty(el, 'offsetHeight', { configurable: true, get: () => height });
+  return el;
+};
+
+const stackOffset = el => el.style.getPropertyValue('--him-stack-offset');
+
+describe('i-him stacks', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+    await nextFrame();
+  });
+
+  it('adds the stack offset to the sticky inset', async () => {
+    mount('i-him', { stack: '', offset: '1rem' });
+    await settle();
+
+    assert.match(sheetText(), /inset-block-start: calc\(1rem \+ var\(--him-stack-offset, 0px\)\)/);
+  });
+
+  it('offsets each element by the heights before it', async () => {
+    const a = withHeight(mount('i-him', { stack: '' }), 40);
+    const b = withHeight(mount('i-him', { stack: '' }), 30);
+    const c = withHeight(mount('i-him', { stack: '' }), 20);
+    HimLayout.updateStacks();
+
+    assert.equal(stackOffset(a), '0px');
+    assert.equal(stackOffset(b), '40px');
+    assert.equal(stackOffset(c), '70px');
+  });
+
+  it('stacks bottom elements against the ones after them', () => {
+    const a = withHeight(mount('i-him', { stack: '', to: 'bottom' }), 40);
+    const b = withHeight(mount('i-him', { stack: '', to: 'bottom' }), 30);
+    HimLayout.updateStacks();
+
+    assert.equal(stackOffset(a), '30px');
+    assert.equal(stackOffset(b), '0px');
+  });
+
+  it('keeps groups and edges apart', () => {
+    const a = withHeight(mount('i-him', { stack: 'nav' }), 40);
+    const b = withHeight(mount('i-him', { stack: 'aside' }), 30);
+    const c = withHeight(mount('i-him', { stack: 'nav', to: 'bottom' }), 20);
+    HimLayout.updateStacks();
+
+    assert.equal(stackOffset(b), '0px');
+    assert.equal(stackOffset(c), '0px');
+    assert.deepEqual([...HimLayout.stacks.keys()].sort(), ['aside', 'nav']);
+    assert.deepEqual(HimLayout.stacks.get('nav'), [a, c]);
+  });
+
+  it('ignores elements known to be unstuck and ancestors', () => {
+    const a = withHeight(mount('i-him', { stack: '' }), 40);
+    const section = mount('section');
+    const b = withHeight(mount('i-him', { stack: '' }, '', section), 30);
+    const inner = withHeight(mount('i-him', { stack: '' }, '', b), 10);
+
+    a.dataset.stuck = 'false';
+    HimLayout.updateStacks();
+
+    assert.equal(stackOffset(b), '0px');
+    assert.equal(stackOffset(inner), '0px');
+  });
+
+  it('updates in the next frame when elements join and leave', async () => {
+    const a = withHeight(mount('i-him', { stack: '' }), 40);
+    const b = withHeight(mount('i-him', { stack: '' }), 30);
+    await nextFrame();
+    assert.equal(stackOffset(b), '40px');
+
+    a.remove();
+    await nextFrame();
+    assert.equal(stackOffset(b), '0px');
+    assert.equal(HimLayout.stacks.get('default').length, 1);
+  });
+
+  it('leaves the stack when the attribute is removed', () => {
+    const a = withHeight(mount('i-him', { stack: '' }), 40);
+    const b = withHeight(mount('i-him', { stack: '' }), 30);
+    HimLayout.updateStacks();
+
+    b.removeAttribute('stack');
+    HimLayout.updateStacks();
+    assert.equal(stackOffset(b), '');
+    assert.equal(HimLayout.stacks.get('default').length, 1);
+  });
+
+  it('moves the sentinel to the stacked position without a new observer', async () => {
+    const a = withHeight(mount('i-him', { stack: '' }), 40);
+    const b = withHeight(mount('i-him', { stack: '', sentinel: '' }), 30);
+    await nextFrame();
+    HimLayout.updateStacks();
+
+    const { observer, sentinelEl } = b;
+    assert.ok(observer);
+    assert.equal(sentinelEl.style.translate, '0 -40px');
+
+    withHeight(a, 60);
+    HimLayout.updateStacks();
+    assert.equal(b.observer, observer);
+    assert.equal(b.sentinelEl, sentinelEl);
+    assert.equal(sentinelEl.style.translate, '0 -60px');
+  });
+
+  it('drops headings whose section has scrolled away', () => {
+    const header = withHeight(mount('i-him', { stack: '', sentinel: '' }), 50);
+    const first = mount('section');
+    const second = mount('section');
+    const h1 = withHeight(mount('i-him', { stack: '', sentinel: '' }, '', first), 30);
+    const h2 = withHeight(mount('i-him', { stack: '', sentinel: '' }, '', second), 30);
+
+    // The first section is above the viewport: its heading's sentinel too
+    header.dataset.stuck = 'true';
+    h1.dataset.stuck = 'true';
+    HimLayout.updateStacks();
+
+    assert.equal(stackOffset(h1), '50px');
+    assert.equal(stackOffset(h2), '50px');
+  });
+});
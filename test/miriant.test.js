@@ -0,0 +1,214 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStyleSheet } from '../global/styles.js';
+import { parseAreas, areasError } from '../primitives/miriant/miriant.styles.js';
+import '../primitives/miriant/miriant.js';
+
+const sheetText = () => [...getStyleSheet().cssRules].map(r => r.cssText).join('\n');
+
+describe('i-miriant placement', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('mirrors spans into custom properties', () => {
+    const el = mount('i-miriant', { columns: '24' },
+      '<div data-col-span="16" data-row-span="3"></div><div data-col-span="full"></div>');
+    const [wide, full] = el.children;
+
+    assert.equal(wide.style.getPropertyValue('--miriant-col-span'), '16');
+    assert.equal(wide.style.getPropertyValue('--miriant-row-span'), '3');
+    assert.equal(full.style.getPropertyValue('--miriant-col-span'), '');
+  });
+
+  it('follows placement attribute changes on children', async () => {
+    const el = mount('i-miriant', {}, '<div data-col-start="2" data-col-span="2"></div>');
+    const [child] = el.children;
+
+    child.removeAttribute('data-col-start');
+    child.dataset.colSpan = '5';
+    await settle();
+
+    assert.equal(child.style.gridColumnStart, '');
+    assert.equal(child.style.getPropertyValue('--miriant-col-span'), '5');
+  });
+
+  it('leaves the author\'s own inline styles alone', async () => {
+    const el = mount('i-miriant', {}, '<div style="grid-row-start: 4"></div>');
+    await settle();
+
+    assert.equal(el.children[0].style.gridRowStart, '4');
+  });
+});
+
+describe('i-miriant areas', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('parses rows split by newlines or slashes', () => {
+    assert.deepEqual(parseAreas('a a\n b c'), [['a', 'a'], ['b', 'c']]);
+    assert.deepEqual(parseAreas('a a / b c'), [['a', 'a'], ['b', 'c']]);
+    assert.deepEqual(parseAreas(null), []);
+  });
+
+  it('generates the template and maps data-area children', async () => {
+    const el = mount('i-miriant', { areas: 'header header . / sidebar main main' });
+    await settle();
+
+    assert.equal(el.style.getPropertyValue('--miriant-columns'), '3');
+    assert.match(sheetText(), /grid-template-areas: "header header \." "sidebar main main"/);
+    assert.match(sheetText(), /> \[data-area="sidebar"\] \{\s*grid-area: sidebar;/);
+    assert.doesNotMatch(sheetText(), /data-area="\."/);
+  });
+
+  it('lets explicit columns win over the map width', async () => {
+    const el = mount('i-miriant', { areas: 'a b', columns: '4' });
+    await settle();
+
+    assert.equal(el.style.getPropertyValue('--miriant-columns'), '4');
+  });
+
+  it('reports ragged rows and non-rectangular areas', () => {
+    assert.equal(areasError(parseAreas('a a / b c')), null);
+    assert.equal(areasError(parseAreas('a .. / a b')), null);
+    assert.match(areasError(parseAreas('a a / b')), /different cell counts \(2, 1\)/);
+    assert.match(areasError(parseAreas('a a / a b')), /"a" does not form a rectangle/);
+    assert.match(areasError(parseAreas('a b a')), /"a" does not form a rectangle/);
+    assert.match(areasError(parseAreas('a 1b')), /"1b" is not a valid area name/);
+  });
+
+  it('warns and ignores an invalid map', async () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+
+    const el = mount('i-miriant', { areas: 'header header / sidebar' });
+    await settle();
+    console.warn = warn;
+
+    assert.match(warnings[0], /\[i-miriant\] Ignoring areas: rows have different cell counts/);
+    assert.equal(el.style.getPropertyValue('--miriant-columns'), '12');
+    assert.doesNotMatch(sheetText(), /grid-template-areas/);
+  });
+
+  it('drops the map at breakpoints with fewer columns than it needs', async () => {
+    mount('i-miriant', { areas: 'nav main main', columns: '1 @40rem:3' });
+    await settle();
+    const css = sheetText();
+
+    const [base, wide] = css.split('@container');
+    assert.doesNotMatch(base, /grid-template-areas/);
+    assert.doesNotMatch(base, /data-area="main"/);
+    assert.match(wide, /grid-template-areas: "nav main main"/);
+    assert.match(wide, /> \[data-area="main"\] \{\s*grid-area: main;/);
+  });
+
+  it('resets data-area children where a breakpoint narrows the grid', async () => {
+    mount('i-miriant', { areas: 'nav main main', columns: '3 @40rem:2' });
+    await settle();
+    const [base, narrow] = sheetText().split('@container');
+
+    assert.match(base, /grid-template-areas: "nav main main"/);
+    assert.match(narrow, /grid-template-areas: none/);
+    assert.match(narrow, /> \[data-area\] \{\s*grid-area: auto;/);
+  });
+});
+
+describe('i-miriant editor', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('adds an overlay that is not treated as an item', async () => {
+    const el = mount('i-miriant', { columns: '4', editor: '' }, '<div></div>');
+    await settle();
+
+    assert.ok(el.overlayEl.classList.contains('miriant-overlay'));
+    assert.equal(el.overlayEl.getAttribute('aria-hidden'), 'true');
+    assert.equal(el.items.length, 1);
+    assert.equal(el.overlayEl.children.length, 4);
+
+    el.removeAttribute('editor');
+    assert.equal(el.querySelector('.miriant-overlay'), null);
+  });
+
+  it('maps points to cells', () => {
+    const el = mount('i-miriant', { columns: '4', editor: '' });
+    el.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 });
+    el.rowTracks = () => [100, 100];
+
+    assert.deepEqual(el.cellAt(10, 10), { col: 1, row: 1 });
+    assert.deepEqual(el.cellAt(350, 150), { col: 4, row: 2 });
+    assert.deepEqual(el.cellAt(999, 999), { col: 4, row: 3 });
+  });
+
+  it('drops a dragged item into a cell and reports its attributes', async () => {
+    const el = mount('i-miriant', { columns: '4', editor: '' }, '<div data-col-span="2"><p>x</p></div>');
+    el.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 });
+    el.rowTracks = () => [100, 100];
+    const [item] = el.items;
+
+    let detail;
+    el.addEventListener('item-move', e => { detail = e.detail; });
+
+    const pointer = (type, x, y) => new window.PointerEvent(type, {
+      bubbles: true, cancelable: true, pointerId: 1, button: 0, clientX: x, clientY: y,
+    });
+    item.querySelector('p').dispatchEvent(pointer('pointerdown', 10, 10));
+    assert.ok(item.classList.contains('miriant-dragging'));
+
+    item.dispatchEvent(pointer('pointermove', 60, 40));
+    assert.equal(item.style.translate, '50px 30px');
+
+    item.dispatchEvent(pointer('pointerup', 250, 150));
+
+    assert.equal(item.classList.contains('miriant-dragging'), false);
+    assert.equal(item.style.translate, '');
+    assert.equal(item.style.gridColumnStart, '3');
+    assert.equal(item.style.gridRowStart, '2');
+    assert.deepEqual(detail.attributes, {
+      'data-col-start': '3', 'data-row-start': '2', 'data-col-span': '2',
+    });
+    assert.equal(detail.markup, 'data-col-start="3" data-row-start="2" data-col-span="2"');
+  });
+
+  it('draws one cell per column and redraws when the count changes', () => {
+    const el = mount('i-miriant', { columns: '3', editor: '' });
+    assert.equal(el.overlayEl.children.length, 3);
+
+    el.columnCount = () => 2;
+    el.drawOverlay();
+    assert.deepEqual([...el.overlayEl.children].map(cell => cell.textContent), ['1', '2']);
+  });
+
+  it('drops data-area from a moved item', async () => {
+    const el = mount('i-miriant', { areas: 'nav main', editor: '' }, '<div data-area="main"></div>');
+    await settle();
+    const [item] = el.items;
+
+    let detail;
+    el.addEventListener('item-move', e => { detail = e.detail; });
+    el.moveItem(item, 1, 2);
+
+    assert.equal(item.hasAttribute('data-area'), false);
+    assert.deepEqual(detail.attributes, {
+      'data-area': null, 'data-col-start': '1', 'data-row-start': '2',
+    });
+    assert.equal(detail.markup, 'data-col-start="1" data-row-start="2"');
+  });
+
+  it('removes the overlay on disconnect', () => {
+    const el = mount('i-miriant', { editor: '' });
+    const overlay = el.overlayEl;
+
+    el.remove();
+    assert.equal(el.overlayEl, null);
+    assert.equal(overlay.parentNode, null);
+  });
+});
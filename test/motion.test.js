@@ -0,0 +1,171 @@
+import { mount, cleanup, settle, window } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { configure } from '../global/config.js';
+import { prefersReducedMotion, getMotionPolicy } from '../global/motion.js';
+import { transition, transitionTo, transitionLayout, choreograph } from '../global/transitions.js';
+import '../primitives/thir/thir.js';
+
+const setSystemMotion = (value) => {
+  window.happyDOM.settings.device.prefersReducedMotion = value;
+  window.dispatchEvent(new window.Event('resize'));
+};
+
+const captureEvents = (target = document) => {
+  const events = [];
+  const listener = (e) => events.push(e.detail);
+  target.addEventListener('motionpolicychange', listener);
+  return { events, stop: () => target.removeEventListener('motionpolicychange', listener) };
+};
+
+const stubViewTransitions = () => {
+  const calls = [];
+  document.startViewTransition = (arg) => {
+    calls.push(arg);
+    (typeof arg === 'function' ? arg : arg.update)();
+    return { finished: Promise.resolve() };
+  };
+  return calls;
+};
+
+afterEach(() => {
+  cleanup();
+  configure({ motion: 'auto', motionFallback: 'instant' });
+  setSystemMotion('no-preference');
+  delete document.startViewTransition;
+});
+
+describe('motion policy', () => {
+  it('follows the OS setting by default', () => {
+    assert.equal(prefersReducedMotion(), false);
+
+    const { events, stop } = captureEvents();
+    setSystemMotion('reduce');
+    stop();
+
+    assert.equal(prefersReducedMotion(), true);
+    assert.deepEqual(events, [{ reduced: true, source: 'system' }]);
+  });
+
+  it('lets configuration force either way', () => {
+    const { events, stop } = captureEvents();
+    configure({ motion: 'reduce' });
+    configure({ nonce: null });
+    stop();
+
+    assert.equal(getMotionPolicy(), 'reduce');
+    assert.deepEqual(events, [{ reduced: true, source: 'config' }]);
+
+    setSystemMotion('reduce');
+    configure({ motion: 'full' });
+    assert.equal(prefersReducedMotion(), false);
+  });
+
+  it('honours data-motion on a subtree', async () => {
+    configure({ motion: 'reduce' });
+    const panel = mount('div', { 'data-motion': 'full' }, '<p>Animated</p>');
+    const inner = panel.querySelector('p');
+
+    assert.equal(prefersReducedMotion(inner), false);
+    assert.equal(prefersReducedMotion(), true);
+
+    const { events, stop } = captureEvents(panel);
+    panel.dataset.motion = 'reduce';
+    await settle();
+    stop();
+
+    assert.equal(prefersReducedMotion(inner), true);
+    assert.deepEqual(events, [{ reduced: true, source: 'subtree' }]);
+  });
+});
+
+describe('transitions under reduced motion', () => {
+  it('apply changes instantly by default', async () => {
+    const calls = stubViewTransitions();
+    configure({ motion: 'reduce' });
+
+    let ran = false;
+    await transition(() => { ran = true; }, { types: ['layout'] });
+
+    assert.equal(ran, true);
+    assert.equal(calls.length, 0);
+  });
+
+  it('substitute a plain crossfade when configured', async () => {
+    const calls = stubViewTransitions();
+    configure({ motion: 'reduce', motionFallback: 'crossfade' });
+
+    await transition(() => {}, { duration: 600, types: ['layout'] });
+
+    assert.deepEqual(calls[0].types, ['reduced-motion']);
+    assert.equal(document.documentElement.style.getPropertyValue('--transition-duration'), '');
+  });
+
+  it('respect the scope element override', async () => {
+    const calls = stubViewTransitions();
+    configure({ motion: 'reduce' });
+    const panel = mount('div', { 'data-motion': 'full' });
+
+    await transitionTo(panel, { attrs: { open: '' } });
+
+    assert.equal(calls.length, 1);
+    assert.equal(panel.hasAttribute('open'), true);
+  });
+
+  it('skip naming in transitionTo() and transitionLayout()', async () => {
+    configure({ motion: 'reduce' });
+    const el = mount('div');
+
+    await transitionTo(el, { style: { 'view-transition-name': 'hero', '--gap': '1rem' } });
+    await transitionLayout(el, { columns: '3' });
+
+    assert.equal(el.style.viewTransitionName, '');
+    assert.equal(el.style.getPropertyValue('--gap'), '1rem');
+    assert.equal(el.getAttribute('columns'), '3');
+  });
+
+  it('skip staggering in choreograph()', async () => {
+    configure({ motion: 'reduce' });
+    const els = [mount('div'), mount('div')];
+
+    let during;
+    await choreograph([{
+      update: () => { during = els[1].style.viewTransitionName; },
+      stagger: { elements: els },
+    }]).finished;
+
+    assert.equal(during, '');
+  });
+});
+
+describe('i-thir touch under reduced motion', () => {
+  const longPress = async (el) => {
+    el.dispatchEvent(new window.Event('touchstart'));
+    await new Promise(resolve => setTimeout(resolve, 320));
+  };
+
+  it('activates normally', async () => {
+    const el = mount('i-thir', { hover: 'lift', touch: '' });
+    const events = [];
+    el.addEventListener('thir:touch-active', (e) => events.push(e.detail));
+
+    await longPress(el);
+
+    assert.equal(el.classList.contains('touch-active'), true);
+    assert.deepEqual(events, [{ effect: 'lift' }]);
+    el.dispatchEvent(new window.Event('touchcancel'));
+  });
+
+  it('stays inert when motion is reduced', async () => {
+    configure({ motion: 'reduce' });
+    const el = mount('i-thir', { hover: 'lift', touch: '' });
+    let fired = false;
+    el.addEventListener('thir:touch-active', () => { fired = true; });
+
+    await longPress(el);
+
+    assert.equal(el.classList.contains('touch-active'), false);
+    assert.equal(fired, false);
+  });
+});
@@ -0,0 +1,64 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { prerender, prerenderStyles, prerenderElement, GENERATORS } from '../prerender.js';
+import '../primitives/gonath/gonath.js';
+import '../primitives/enedh/enedh.js';
+
+describe('prerender', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('matches what the element generates in the browser', async () => {
+    const attrs = { columns: '3', space: '1.5rem' };
+    const el = mount('i-gonath', attrs);
+    await settle();
+
+    const server = prerenderElement('i-gonath', attrs);
+    assert.equal(server.id, el.dataset.i);
+    Object.entries(server.props).forEach(([prop, value]) => {
+      assert.equal(el.style.getPropertyValue(prop), String(value));
+    });
+  });
+
+  it('has a generator for every primitive tag', () => {
+    assert.equal(Object.keys(GENERATORS).length, 16);
+    assert.equal(prerenderElement('i-unknown'), null);
+  });
+
+  it('adds data-i and properties, keeping existing attributes', () => {
+    const { html, css } = prerenderStyles('<i-enedh max="40ch" class="x" style="color: red">Hi</i-enedh>');
+
+    assert.match(html, /class="x"/);
+    assert.match(html, /data-i="Enedh-40ch-[^"]+"/);
+    assert.match(html, /style="color: red; --enedh-max: 40ch/);
+    assert.equal(css.size, 1);
+  });
+
+  it('emits one style per configuration', () => {
+    const { styles } = prerenderStyles('<i-hath space="1rem"></i-hath><i-hath space="1rem"></i-hath>');
+    assert.equal(styles.match(/<style/g).length, 1);
+  });
+
+  it('inserts styles before </head> with the nonce', () => {
+    const html = prerender('<html><head></head><body><i-hath></i-hath></body></html>', { nonce: 'abc' });
+    assert.match(html, /<style id="Hath-var--s1" nonce="abc">[^<]*<\/style>\n<\/head>/);
+  });
+
+  it('leaves scripts and comments alone', () => {
+    const source = '<!-- <i-hath> --><script>"<i-hath>"</script>';
+    assert.equal(prerenderStyles(source).html, source);
+  });
+
+  it('scopes styles to declarative shadow roots', () => {
+    const { html, styles } = prerenderStyles(
+      '<x-card><template shadowrootmode="open"><i-hath space="2rem"></i-hath></template></x-card>'
+    );
+
+    assert.equal(styles, '');
+    assert.match(html, /<template shadowrootmode="open"><style id="Hath-2rem">/);
+  });
+});
@@ -0,0 +1,188 @@
+import { settle, nextFrame, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getStyleSheet, toStyleId } from '../global/styles.js';
+import '../primitives/hath/hath.js';
+import '../primitives/gwistindor/gwistindor.js';
+import '../primitives/miriant/miriant.js';
+import '../primitives/glan-tholl/glan-tholl.js';
+import '../primitives/him/him.js';
+import '../primitives/thann/thann.js';
+
+const sheetText = () => [...getStyleSheet().cssRules].map(r => r.cssText).join('\n');
+
+afterEach(async () => {
+  cleanup();
+  await settle();
+});
+
+describe('i-hath', () => {
+  it('spaces direct children by default', async () => {
+    const el = mount('i-hath', { space: '1rem' }, '<p></p><p></p>');
+    await settle();
+
+    assert.equal(el.dataset.i, 'Hath-1rem');
+    assert.equal(el.style.getPropertyValue('--hath-space'), '1rem');
+    assert.match(sheetText(), /\[data-i="Hath-1rem"\] > \* \+ \* \{\s*margin-block-start: 1rem;/);
+  });
+
+  it('pushes following children down with split-after', async () => {
+    const el = mount('i-hath', { space: '1rem', 'split-after': '2' });
+    await settle();
+
+    assert.equal(el.dataset.i, 'Hath-1rem-split2');
+    assert.match(sheetText(), /\[data-i="Hath-1rem-split2"\] > :nth-child\(2\) \{\s*margin-block-end: auto;/);
+  });
+
+  it('applies spacing to all descendants when recursive', async () => {
+    const el = mount('i-hath', { space: '1rem', recursive: '' });
+    await settle();
+
+    assert.equal(el.dataset.i, 'Hath-1rem-recursive');
+    assert.match(sheetText(), /\[data-i="Hath-1rem-recursive"\] \* \+ \*/);
+  });
+});
+
+describe('i-gwistindor', () => {
+  it('switches to a column once there are more than `limit` children', async () => {
+    const el = mount('i-gwistindor', { threshold: '30rem', limit: '3' });
+    await settle();
+
+    assert.equal(el.dataset.i, 'Gwistindor-30rem-var--s1-3');
+    assert.match(sheetText(), /:nth-last-child\(n\+4\)/);
+    assert.match(sheetText(), /flex-basis: calc\(\(30rem - 100%\) \* 999\)/);
+  });
+
+  it('defaults limit to 4', async () => {
+    mount('i-gwistindor', { limit: 'nonsense' });
+    await settle();
+
+    assert.match(sheetText(), /:nth-last-child\(n\+5\)/);
+  });
+});
+
+describe('i-miriant', () => {
+  it('places children from data-col-start / data-row-start', async () => {
+    const el = mount('i-miriant', { columns: '4' },
+      '<div data-col-start="2" data-row-start="3"></div><div></div>');
+    await settle();
+
+    const [placed, plain] = el.children;
+    assert.equal(placed.style.gridColumnStart, '2');
+    assert.equal(placed.style.gridRowStart, '3');
+    assert.equal(plain.style.gridColumnStart, '');
+  });
+
+  it('places children added later', async () => {
+    const el = mount('i-miriant', { columns: '4' });
+    const child = document.createElement('div');
+    child.dataset.colStart = '4';
+    el.appendChild(child);
+    await settle();
+
+    assert.equal(child.style.gridColumnStart, '4');
+  });
+
+  it('generates the grid template', async () => {
+    const el = mount('i-miriant', { columns: '3', dense: '' });
+    await settle();
+
+    assert.equal(el.style.getPropertyValue('container-type'), 'inline-size');
+    assert.match(sheetText(), /grid-template-columns: repeat\(3, 1fr\)/);
+    assert.match(sheetText(), /grid-auto-flow: dense/);
+  });
+});
+
+describe('responsive attributes', () => {
+  it('compiles i-miriant columns breakpoints to @container rules', async () => {
+    const el = mount('i-miriant', { columns: '1 @30rem:2 @card/60rem:4' });
+    await settle();
+
+    assert.equal(el.style.getPropertyValue('--miriant-columns'), '1');
+    assert.match(sheetText(), /@container \(width >= 30rem\)\s*\{\s*\[data-i="[^"]+"\] \{\s*grid-template-columns: repeat\(2, 1fr\)/);
+    assert.match(sheetText(), /@container card \(width >= 60rem\)/);
+  });
+
+  it('keeps the plain id when there are no breakpoints', async () => {
+    const el = mount('i-miriant', { columns: '4' });
+    await settle();
+
+    assert.equal(el.dataset.i, toStyleId('Miriant-4-var(--s1)-minmax(0, auto)'));
+  });
+
+  it('applies i-hath space breakpoints to the same children', async () => {
+    mount('i-hath', { space: 'var(--s1) @40rem:var(--s3)', recursive: '' });
+    await settle();
+
+    assert.match(sheetText(), /@container \(width >= 40rem\)\s*\{\s*\[data-i="[^"]+"\] \* \+ \* \{\s*margin-block-start: var\(--s3\)/);
+  });
+
+  it('targets the sidebar child for i-glan-veleg side-width', async () => {
+    await import('../primitives/glan-veleg/glan-veleg.js');
+    mount('i-glan-veleg', { side: 'right', 'side-width': '15rem @60rem:20rem' });
+    await settle();
+
+    assert.match(sheetText(), /@container \(width >= 60rem\)\s*\{\s*\[data-i="[^"]+"\] > :last-child \{\s*flex-basis: 20rem/);
+  });
+});
+
+describe('i-thann', () => {
+  it('generates no scoped rules without space', async () => {
+    const el = mount('i-thann', { label: 'Logo' });
+    await settle();
+
+    assert.equal(el.dataset.i, undefined);
+    assert.equal(el.getAttribute('role'), 'img');
+    assert.equal(sheetText(), '');
+  });
+});
+
+describe('observer cleanup on disconnect', () => {
+  const spyOn = (observer) => {
+    let calls = 0;
+    const original = observer.disconnect.bind(observer);
+    observer.disconnect = () => { calls++; original(); };
+    return () => calls;
+  };
+
+  it('i-glan-tholl disconnects its resize and mutation observers', async () => {
+    const el = mount('i-glan-tholl');
+    const resize = spyOn(el.resizeObserver);
+    const mutation = spyOn(el.mutationObserver);
+
+    el.remove();
+    assert.equal(resize(), 1);
+    assert.equal(mutation(), 1);
+  });
+
+  it('i-miriant disconnects its mutation observer', async () => {
+    const el = mount('i-miriant');
+    const mutation = spyOn(el.mutationObserver);
+
+    el.remove();
+    assert.equal(mutation(), 1);
+  });
+
+  it('i-him disconnects its sentinel observer', async () => {
+    const el = mount('i-him', { sentinel: '' });
+    await nextFrame();
+    assert.ok(el.observer, 'sentinel observer created');
+    const observer = spyOn(el.observer);
+
+    const sentinel = el.sentinelEl;
+
+    el.remove();
+    assert.equal(observer(), 1);
+    assert.equal(sentinel.isConnected, false);
+  });
+
+  it('i-him does not start observing after an early disconnect', async () => {
+    const el = mount('i-him', { sentinel: '' });
+    el.remove();
+    await nextFrame();
+
+    assert.equal(el.observer, null);
+    assert.equal(el.sentinelEl, null);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Test DOM
+ *
+ * Installs a happy-dom window as the global environment so the custom
+ * elements and helpers can be imported in Node. Import this first.
+ */
+
+import { Window } from 'happy-dom';
+
+const window = new Window({ url: 'https://elvish.test/' });
+
+const GLOBALS = [
+  'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'HTMLElement', 'Element', 'Node', 'Document', 'ShadowRoot', 'DocumentFragment',
+  'customElements', 'CSSStyleSheet', 'CSS', 'Event', 'CustomEvent',
+  'MutationObserver', 'ResizeObserver', 'IntersectionObserver',
+  'requestAnimationFrame', 'cancelAnimationFrame',
+  'requestIdleCallback', 'cancelIdleCallback',
+  'getComputedStyle', 'matchMedia', 'Image', 'DOMParser',
+];
+
+globalThis.window = window;
+for (const name of GLOBALS) {
+  if (name in window) {
+    const value = window[name];
+    globalThis[name] = typeof value === 'function' && !/^[A-Z]/.test(name)
+      ? value.bind(window)
+      : value;
+  }
+}
+
+/**
+ * Let batched work (style registry flushes, observers) settle
+ */
+export const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Wait for pending requestAnimationFrame callbacks
+ */
+export const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+/**
+ * Create, configure and connect an element
+ *
+ * @param {string} tag
+ * @param {Object} [attrs]
+ * @param {string} [html] - innerHTML
+ * @param {Node} [parent=document.body]
+ */
+export function mount(tag, attrs = {}, html = '', parent = document.body) {
+  const el = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  el.innerHTML = html;
+  parent.appendChild(el);
+  return el;
+}
+
+/**
+ * Remove everything from the document body between tests
+ */
+export function cleanup() {
+  document.body.innerHTML = '';
+}
+
+export { window };
@@ -0,0 +1,205 @@
+import { settle, mount, cleanup } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toStyleId,
+  parseResponsive,
+  activeStyleIds,
+  getStyleSheet,
+  flushStyles,
+  retainStyles,
+  releaseStyles,
+} from '../global/styles.js';
+import '../primitives/hath/hath.js';
+
+const sheetText = () => [...getStyleSheet().cssRules].map(r => r.cssText).join('\n');
+
+describe('toStyleId', () => {
+  it('keeps simple configurations readable', () => {
+    assert.equal(toStyleId('Hath-var(--s1)'), 'Hath-var--s1');
+    assert.equal(toStyleId('Hath-15rem-recursive'), 'Hath-15rem-recursive');
+  });
+
+  it('does not collide when stripped characters carry meaning', () => {
+    assert.notEqual(toStyleId('Hath-1.5rem'), toStyleId('Hath-15rem'));
+    assert.notEqual(toStyleId('Enedh-50%-0'), toStyleId('Enedh-50-0'));
+    assert.notEqual(toStyleId('Miriant-4-minmax(0, auto)'), toStyleId('Miriant-4-minmax(0 auto)'));
+  });
+
+  it('keeps configs that differ only in whitespace apart', () => {
+    assert.notEqual(toStyleId('Enedh-calc(100% - 2rem)'), toStyleId('Enedh-calc(100%  -  2rem)'));
+    assert.notEqual(toStyleId('Miriant-a b'), toStyleId('Miriant-ab'));
+    assert.notEqual(toStyleId('Fano-"a  b"'), toStyleId('Fano-"a b"'));
+  });
+
+  it('does not let one whitespace variant release the other\'s rules', async () => {
+    const a = mount('i-hath', { space: 'calc(1rem + 2px)' });
+    const b = mount('i-hath', { space: 'calc(1rem  +  2px)' });
+    await settle();
+    assert.notEqual(a.dataset.i, b.dataset.i);
+
+    b.remove();
+    await settle();
+    assert.ok(activeStyleIds().includes(a.dataset.i));
+
+    cleanup();
+    await settle();
+  });
+
+  it('only produces characters safe for ids and selectors', () => {
+    assert.match(toStyleId('Fano-calc(1px + 2px)/"x"'), /^[\w-]+$/);
+  });
+});
+
+describe('parseResponsive', () => {
+  it('returns a plain value as the base', () => {
+    assert.deepEqual(parseResponsive('var(--s1)'), { base: 'var(--s1)', breakpoints: [] });
+    assert.deepEqual(parseResponsive(null), { base: null, breakpoints: [] });
+  });
+
+  it('compiles breakpoints to container queries', () => {
+    assert.deepEqual(parseResponsive('1 @30rem:2 @60rem:4'), {
+      base: '1',
+      breakpoints: [
+        { query: '@container (width >= 30rem)', value: '2' },
+        { query: '@container (width >= 60rem)', value: '4' },
+      ],
+    });
+  });
+
+  it('supports named containers and explicit conditions', () => {
+    const { breakpoints } = parseResponsive('1 @card/30rem:2 @(width > calc(100rem / 2)):3');
+    assert.deepEqual(breakpoints.map(bp => bp.query), [
+      '@container card (width >= 30rem)',
+      '@container (width > calc(100rem / 2))',
+    ]);
+  });
+
+  it('keeps parenthesised values whole', () => {
+    assert.deepEqual(parseResponsive('calc(1rem + 1vw) @40rem:clamp(1rem, 2vw, 3rem)'), {
+      base: 'calc(1rem + 1vw)',
+      breakpoints: [{ query: '@container (width >= 40rem)', value: 'clamp(1rem, 2vw, 3rem)' }],
+    });
+  });
+
+  it('allows breakpoints without a base', () => {
+    const { base, breakpoints } = parseResponsive('@30rem:2');
+    assert.equal(base, null);
+    assert.equal(breakpoints.length, 1);
+  });
+
+  it('drops malformed breakpoints', () => {
+    const { base, breakpoints } = parseResponsive('1 @30rem @bad name/30rem:2 @:3');
+    assert.equal(base, '1');
+    assert.deepEqual(breakpoints, []);
+  });
+});
+
+describe('style registry', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('shares one rule set between elements with the same config', async () => {
+    const a = mount('i-hath', { space: '2rem' });
+    const b = mount('i-hath', { space: '2rem' });
+    await settle();
+
+    assert.equal(a.dataset.i, b.dataset.i);
+    assert.deepEqual(activeStyleIds(), ['Hath-2rem']);
+    assert.ok(document.adoptedStyleSheets.includes(getStyleSheet()));
+    assert.equal(document.querySelectorAll('style').length, 0);
+  });
+
+  it('removes rules once the last element disconnects', async () => {
+    const a = mount('i-hath', { space: '3rem' });
+    const b = mount('i-hath', { space: '3rem' });
+    await settle();
+
+    a.remove();
+    await settle();
+    assert.deepEqual(activeStyleIds(), ['Hath-3rem']);
+
+    b.remove();
+    await settle();
+    assert.deepEqual(activeStyleIds(), []);
+    assert.equal(sheetText(), '');
+    assert.ok(!document.adoptedStyleSheets.includes(getStyleSheet()));
+  });
+
+  it('releases the old config when attributes change', async () => {
+    const el = mount('i-hath', { space: '1rem' });
+    await settle();
+
+    el.setAttribute('space', '4rem');
+    await settle();
+
+    assert.deepEqual(activeStyleIds(), ['Hath-4rem']);
+    assert.match(sheetText(), /margin-block-start: 4rem/);
+  });
+
+  it('keeps rules when an element is moved within the document', async () => {
+    const el = mount('i-hath', { space: '5rem' });
+    const other = mount('div');
+    await settle();
+
+    other.appendChild(el);
+    flushStyles();
+    assert.deepEqual(activeStyleIds(), ['Hath-5rem']);
+  });
+
+  it('does not count elements that were never connected', async () => {
+    const el = document.createElement('i-hath');
+    el.setAttribute('space', '6rem');
+    await settle();
+
+    assert.equal(el.dataset.i, 'Hath-6rem');
+    assert.deepEqual(activeStyleIds(), []);
+  });
+
+  it('skips configurations that were pre-rendered', async () => {
+    const style = document.createElement('style');
+    style.id = 'Hath-7rem';
+    document.body.appendChild(style);
+
+    mount('i-hath', { space: '7rem' });
+    await settle();
+
+    assert.deepEqual(activeStyleIds(), []);
+  });
+
+  it('ignores releases for unknown ids', () => {
+    assert.doesNotThrow(() => releaseStyles('Nope-1'));
+    retainStyles('Manual-1', '[data-i="Manual-1"] { color: red; }');
+    releaseStyles('Manual-1');
+    flushStyles();
+    assert.deepEqual(activeStyleIds(), []);
+  });
+});
+
+describe('shadow roots', () => {
+  afterEach(async () => {
+    cleanup();
+    await settle();
+  });
+
+  it('registers rules in the element\'s own root', async () => {
+    const host = mount('div');
+    const shadow = host.attachShadow({ mode: 'open' });
+    const el = mount('i-hath', { space: '8rem' }, '', shadow);
+    await settle();
+
+    assert.deepEqual(activeStyleIds(shadow), ['Hath-8rem']);
+    assert.deepEqual(activeStyleIds(document), []);
+    assert.ok(shadow.adoptedStyleSheets.includes(getStyleSheet()));
+
+    // Moving into the document re-registers there
+    document.body.appendChild(el);
+    await settle();
+    assert.deepEqual(activeStyleIds(shadow), []);
+    assert.deepEqual(activeStyleIds(document), ['Hath-8rem']);
+    assert.ok(!shadow.adoptedStyleSheets.includes(getStyleSheet()));
+  });
+});
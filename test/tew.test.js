@@ -0,0 +1,341 @@
+import { mount, cleanup, nextFrame, settle } from './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { activeStyleIds, getStyleSheet } from '../global/styles.js';
+import TewElement from '../primitives/tew/tew.js';
+
+// Records observed elements; resize() plays an entry to their observers
+class FakeResizeObserver {
+  static instances = new Set();
+
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = new Set();
+    FakeResizeObserver.instances.add(this);
+  }
+
+  observe(el) { this.targets.add(el); }
+  unobserve(el) { this.targets.delete(el); }
+  disconnect() {
+    this.targets.clear();
+    FakeResizeObserver.instances.delete(this);
+  }
+}
+
+const resize = (el) => {
+  [...FakeResizeObserver.instances]
+    .filter(observer => observer.targets.has(el))
+    .forEach(observer => observer.callback([{ target: el }]));
+};
+
+const observing = (el) => [...FakeResizeObserver.instances].some(observer => observer.targets.has(el));
+
+// Each character is half an em wide
+const fitSize = el => el.style.getPropertyValue('--tew-fit-size');
+const fakeRange = () => ({
+  selectNodeContents(node) { this.node = node; },
+  getBoundingClientRect() {
+    const size = parseFloat(fitSize(this.node)) || 16;
+    return { width: this.node.textContent.length * size / 2 };
+  },
+});
+
+const withBox = (el, box) => {
+  for (const [prop, value] of Object.entries(box)) {
+    Object.defineProperty(el, prop, { configurable: true, get: () => value() });
+  }
+  return el;
+};
+
+describe('i-tew fit and overflow', () => {
+  const originalObserver = globalThis.ResizeObserver;
+  const originalRange = document.createRange;
+
+  beforeEach(() => {
+    globalThis.ResizeObserver = FakeResizeObserver;
+    document.createRange = fakeRange;
+  });
+
+  afterEach(async () => {
+    cleanup();
+    await settle();
+    await nextFrame();
+    globalThis.ResizeObserver = originalObserver;
+    document.createRange = originalRange;
+  });
+
+  it('scales the font so one line fills the width, and re-fits on resize', async () => {
+    let width = 320;
+    const el = withBox(mount('i-tew', { fit: 'width' }, 'Headline'), { clientWidth: () => width });
+    await nextFrame();
+
+    // 8 characters at 16px are 64px wide
+    assert.equal(fitSize(el), '80.00px');
+    assert.equal(el.classList.contains('fitted'), true);
+
+    width = 160;
+    resize(el);
+    await nextFrame();
+    assert.equal(fitSize(el), '40.00px');
+  });
+
+  it('stays within min-size and max-size', async () => {
+    const wide = withBox(mount('i-tew', { fit: 'width', 'max-size': '3rem' }, 'Headline'), { clientWidth: () => 640 });
+    const narrow = withBox(mount('i-tew', { fit: 'width', 'min-size': '24' }, 'Headline'), { clientWidth: () => 40 });
+    await nextFrame();
+
+    assert.equal(fitSize(wide), '48.00px');
+    assert.equal(fitSize(narrow), '24.00px');
+  });
+
+  it('re-fits when the text changes', async () => {
+    const el = withBox(mount('i-tew', { fit: 'width' }, 'Headline'), { clientWidth: () => 320 });
+    await nextFrame();
+
+    el.textContent = 'Breaking news';
+    await settle();
+    await nextFrame();
+
+    // 13 characters at 80px are 520px wide
+    assert.equal(fitSize(el), `${(80 * 320 / 520).toFixed(2)}px`);
+  });
+
+  it('reports clipped lines and toggles them with "Show more"', async () => {
+    let clipped = true;
+    const el = withBox(mount('i-tew', { lines: '3', truncate: 'toggle' }, 'A long summary'), {
+      scrollHeight: () => (clipped ? 120 : 60),
+      clientHeight: () => 60,
+    });
+    const events = [];
+    document.addEventListener('tew:overflow', e => events.push(e));
+    await nextFrame();
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].detail, { mode: 'lines' });
+    assert.equal(el.overflowing, true);
+    assert.equal(el.classList.contains('overflowing'), true);
+
+    const button = el.nextElementSibling;
+    assert.equal(button.className, 'tew-more');
+    assert.equal(button.hidden, false);
+    assert.equal(button.textContent, 'Show more');
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(button.getAttribute('aria-controls'), el.id);
+
+    button.click();
+    clipped = false;
+    TewElement.measure();
+    assert.equal(el.expanded, true);
+    assert.equal(el.overflowing, false);
+    assert.equal(button.textContent, 'Show less');
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(button.hidden, false);
+
+    button.click();
+    clipped = true;
+    TewElement.measure();
+    assert.equal(el.expanded, false);
+    assert.equal(events.length, 2);
+  });
+
+  it('hides the toggle while the text fits and uses custom labels', async () => {
+    const el = mount('i-tew', { lines: '2', truncate: 'toggle', 'more-label': 'Read more' }, 'Short');
+    await nextFrame();
+
+    const button = el.nextElementSibling;
+    assert.equal(button.hidden, true);
+    assert.equal(button.textContent, 'Read more');
+    assert.equal(el.classList.contains('overflowing'), false);
+  });
+
+  it('only measures elements in a measured mode, and cleans up', async () => {
+    const plain = mount('i-tew', { size: 'lg' }, 'Plain');
+    const el = withBox(mount('i-tew', { fit: 'width', truncate: 'toggle' }, 'Headline'), { clientWidth: () => 320 });
+    await nextFrame();
+
+    assert.equal(observing(plain), false);
+    assert.equal(observing(el), true);
+
+    el.removeAttribute('fit');
+    assert.equal(fitSize(el), '');
+    assert.equal(el.classList.contains('fitted'), false);
+
+    el.remove();
+    assert.equal(observing(el), false);
+    assert.equal(document.querySelector('.tew-more'), null);
+    assert.equal(FakeResizeObserver.instances.size, 0);
+  });
+});
+
+// Like document.fonts.load(): only faces already in the sheet match
+const matchingFaces = (font) => {
+  const family = /"([^"]+)"$/.exec(font)[1];
+  return [...getStyleSheet().cssRules]
+    .filter(rule => rule.cssText.startsWith('@font-face'))
+    .filter(rule => new RegExp(`font-family: "?${family}"?;`).test(rule.cssText))
+    .map(() => ({ family }));
+};
+
+describe('i-tew font families', () => {
+  const originalWarn = console.warn;
+  let loads;
+  let failing;
+
+  beforeEach(() => {
+    loads = [];
+    failing = false;
+    Object.defineProperty(document, 'fonts', {
+      configurable: true,
+      value: {
+        load: (font) => {
+          loads.push(font);
+          return failing ? Promise.reject(new Error('404')) : Promise.resolve(matchingFaces(font));
+        },
+      },
+    });
+  });
+
+  afterEach(async () => {
+    cleanup();
+    await settle();
+    delete document.fonts;
+    console.warn = originalWarn;
+  });
+
+  it('injects @font-face rules with a metric-matched fallback', async () => {
+    const family = TewElement.registerFamily('brand', {
+      src: '/fonts/brand-{weight}.woff2',
+      weights: [400, 700],
+      fallbackMetrics: { fallback: 'arial', unitsPerEm: 1000, ascent: 950, descent: -250, lineGap: 0, xWidthAvg: 500 },
+    });
+    await settle();
+
+    assert.ok(activeStyleIds(document).includes('elvish-tew-family-brand'));
+    assert.deepEqual(family.weights, [400, 700]);
+    assert.match(family.css, /src: url\("\/fonts\/brand-700\.woff2"\) format\("woff2"\);\s+font-weight: 700;\s+font-display: swap;/);
+    assert.match(family.css, /font-family: "brand fallback";\s+src: local\("Arial"\);/);
+    // Arial's average width is 904/2048 em
+    assert.match(family.css, /size-adjust: 113\.27%;\s+ascent-override: 83\.87%;\s+descent-override: 22\.07%;\s+line-gap-override: 0\.00%;/);
+    assert.match(family.rule, /i-tew\[family="brand"\] \{ font-family: "brand", "brand fallback", sans-serif; \}/);
+    assert.ok(TewElement.families.includes('brand'));
+  });
+
+  it('covers the weights with one face for a variable font', () => {
+    const family = TewElement.registerFamily('variable-serif', {
+      src: '/fonts/serif.ttf',
+      weights: [300, 900],
+      display: 'optional',
+      fallbackMetrics: { fallback: 'times', sizeAdjust: 0.95, ascentOverride: 0.9 },
+    });
+
+    assert.match(family.css, /format\("truetype"\);\s+font-weight: 300 900;\s+font-display: optional;/);
+    assert.match(family.css, /size-adjust: 95\.00%;\s+ascent-override: 90\.00%;\n\}/);
+    assert.match(family.rule, /"variable-serif fallback", serif;/);
+  });
+
+  it('loads a weight once, on demand, and marks elements fonts-loaded', async () => {
+    TewElement.registerFamily('on-demand', { src: { 400: '/r.woff2', 700: '/b.woff2' } });
+
+    const bold = mount('i-tew', { family: 'on-demand', weight: 'bold' }, 'Bold');
+    const again = mount('i-tew', { family: 'on-demand', weight: '700' }, 'Bold');
+    const plain = mount('i-tew', { family: 'serif' }, 'Built-in');
+    assert.equal(bold.hasAttribute('fonts-loaded'), false);
+
+    await settle();
+    assert.deepEqual(loads, ['700 1em "on-demand"']);
+    assert.equal(bold.hasAttribute('fonts-loaded'), true);
+    assert.equal(again.hasAttribute('fonts-loaded'), true);
+    assert.equal(plain.hasAttribute('fonts-loaded'), false);
+
+    bold.weight = 'normal';
+    assert.equal(bold.hasAttribute('fonts-loaded'), false);
+    await settle();
+    assert.deepEqual(loads, ['700 1em "on-demand"', '400 1em "on-demand"']);
+    assert.equal(bold.hasAttribute('fonts-loaded'), true);
+  });
+
+  it('applies to elements connected before registration and in shadow roots', async () => {
+    const early = mount('i-tew', { family: 'late' }, 'Early');
+    const host = mount('div');
+    const shadow = host.attachShadow({ mode: 'open' });
+    const inner = mount('i-tew', { family: 'late' }, 'Inner', shadow);
+
+    TewElement.registerFamily('late', { src: '/late.woff2' });
+    await settle();
+
+    assert.equal(early.hasAttribute('fonts-loaded'), true);
+    assert.equal(inner.hasAttribute('fonts-loaded'), true);
+    assert.ok(activeStyleIds(shadow).includes('elvish-tew-family-late-rule'));
+
+    inner.remove();
+    await settle();
+    assert.equal(activeStyleIds(shadow).includes('elvish-tew-family-late-rule'), false);
+  });
+
+  it('warns on failed loads and tries again later', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args[0]);
+    TewElement.registerFamily('flaky', { src: '/flaky.woff2' });
+
+    failing = true;
+    const el = mount('i-tew', { family: 'flaky' }, 'Flaky');
+    await settle();
+    assert.equal(el.hasAttribute('fonts-loaded'), false);
+    assert.match(warnings[0], /Could not load 400 "flaky"/);
+
+    failing = false;
+    el.remove();
+    document.body.append(el);
+    await settle();
+    assert.equal(loads.length, 2);
+    assert.equal(el.hasAttribute('fonts-loaded'), true);
+  });
+
+  it('does not count a load that matched no face', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args[0]);
+    const el = mount('i-tew', { family: 'unmatched' }, 'Text');
+    TewElement.registerFamily('unmatched', { src: '/unmatched.woff2' });
+
+    // The face is in the sheet before the element asks for it
+    assert.ok(matchingFaces('400 1em "unmatched"').length);
+    await settle();
+    assert.equal(el.hasAttribute('fonts-loaded'), true);
+
+    // A weight lookup that matches nothing is neither marked nor cached
+    document.fonts.load = (font) => {
+      loads.push(font);
+      return Promise.resolve([]);
+    };
+    el.weight = 'bold';
+    await settle();
+    assert.equal(el.hasAttribute('fonts-loaded'), false);
+    assert.match(warnings[0], /Could not load 700 "unmatched"/);
+
+    el.weight = 'normal';
+    el.weight = 'bold';
+    await settle();
+    assert.equal(loads.filter(font => font.startsWith('700')).length, 2);
+  });
+
+  it('rejects invalid definitions', () => {
+    const invalid = [
+      ['sans', { src: '/a.woff2' }, /built-in/],
+      ['has space', { src: '/a.woff2' }, /Invalid family name/],
+      ['brand', { src: '/a.woff2' }, /already registered/],
+      ['no-src', {}, /needs a src/],
+      ['bad-url', { src: '/a.woff2") ; }' }, /needs a src/],
+      ['bad-weights', { src: '/a.woff2', weights: [450.5] }, /invalid weights/],
+      ['bad-display', { src: '/a.woff2', display: 'eventually' }, /invalid display/],
+      ['bad-fallback', { src: '/a.woff2', fallbackMetrics: { fallback: 'comic' } }, /unknown fallback/],
+      ['bad-metrics', { src: '/a.woff2', fallbackMetrics: { unitsPerEm: 1000 } }, /incomplete fallbackMetrics/],
+    ];
+
+    for (const [name, definition, message] of invalid) {
+      assert.throws(() => TewElement.registerFamily(name, definition), TypeError);
+      assert.throws(() => TewElement.registerFamily(name, definition), message);
+    }
+    assert.equal(TewElement.families.includes('no-src'), false);
+  });
+});
@@ -0,0 +1,123 @@
+import { mount, cleanup, settle, window } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyTheme } from '../global/theme.js';
+import '../primitives/theme-toggle/theme-toggle.js';
+
+const root = document.documentElement;
+
+const radios = (el, group = 'theme') => [
+  ...el.querySelectorAll(`[data-group="${group}"] [role="radio"]`),
+];
+const checked = (el, group = 'theme') => radios(el, group)
+  .find(r => r.getAttribute('aria-checked') === 'true')?.dataset.value;
+
+const press = (target, key) => {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+};
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  applyTheme('auto', { persist: false });
+  delete root.dataset.ratio;
+  root.style.removeProperty('--ratio');
+  root.style.removeProperty('--measure');
+});
+
+describe('i-theme-toggle', () => {
+  // Runs first: nothing has initialised the theme controller yet
+  it('restores the stored theme when it is the first on the page', () => {
+    localStorage.setItem('elvish-theme', 'dark');
+    const el = mount('i-theme-toggle');
+
+    assert.equal(root.dataset.theme, 'dark');
+    assert.equal(checked(el), 'dark');
+  });
+
+  it('renders a labelled radio group for light/dark/auto', () => {
+    const el = mount('i-theme-toggle');
+    const group = el.querySelector('[role="radiogroup"]');
+
+    assert.equal(group.getAttribute('aria-label'), 'Theme');
+    assert.deepEqual(radios(el).map(r => r.textContent), ['Light', 'Dark', 'Auto']);
+    assert.equal(checked(el), 'auto');
+    assert.equal(el.getAttribute('current-theme'), 'auto');
+    assert.equal(el.querySelector('[data-group="ratio"]'), null);
+  });
+
+  it('uses a roving tabindex on the checked option', () => {
+    const el = mount('i-theme-toggle');
+    assert.deepEqual(radios(el).map(r => r.tabIndex), [-1, -1, 0]);
+  });
+
+  it('switches theme on click', async () => {
+    const el = mount('i-theme-toggle');
+    radios(el)[1].click();
+    await settle();
+
+    assert.equal(root.dataset.theme, 'dark');
+    assert.equal(checked(el), 'dark');
+    assert.equal(el.getAttribute('current-theme'), 'dark');
+    assert.equal(localStorage.getItem('elvish-theme'), 'dark');
+  });
+
+  it('moves and selects with arrow keys, wrapping around', async () => {
+    const el = mount('i-theme-toggle');
+    const [light, , auto] = radios(el);
+
+    press(auto, 'ArrowRight');
+    await settle();
+    assert.equal(root.dataset.theme, 'light');
+    assert.equal(document.activeElement, light);
+
+    press(light, 'ArrowLeft');
+    await settle();
+    assert.equal(root.dataset.theme, 'auto');
+
+    press(auto, 'Home');
+    await settle();
+    assert.equal(checked(el), 'light');
+  });
+
+  it('reflects changes made elsewhere', () => {
+    const el = mount('i-theme-toggle');
+    applyTheme('light');
+
+    assert.equal(checked(el), 'light');
+  });
+
+  it('accepts registered brand themes', () => {
+    const el = mount('i-theme-toggle', { themes: 'light dark high-contrast' });
+    assert.deepEqual(radios(el).map(r => r.textContent), ['Light', 'Dark', 'High contrast']);
+
+    // Active theme not offered: first option stays focusable
+    assert.equal(checked(el), undefined);
+    assert.equal(radios(el)[0].tabIndex, 0);
+  });
+
+  it('adds a ratio group that drives transitionRatio()', async () => {
+    const el = mount('i-theme-toggle', { ratio: '', 'ratio-label': 'Rhythm' });
+    const group = el.querySelector('[data-group="ratio"]');
+
+    assert.equal(group.getAttribute('aria-label'), 'Rhythm');
+    assert.equal(checked(el, 'ratio'), 'fifth');
+
+    radios(el, 'ratio')[0].click();
+    await settle();
+
+    assert.equal(root.dataset.ratio, 'golden');
+    assert.equal(root.style.getPropertyValue('--ratio'), 'var(--ratio-golden)');
+    assert.equal(checked(el, 'ratio'), 'golden');
+    assert.equal(el.getAttribute('current-ratio'), 'golden');
+  });
+
+  it('stops listening when removed', () => {
+    const el = mount('i-theme-toggle');
+    el.remove();
+    applyTheme('dark');
+
+    assert.equal(el.getAttribute('current-theme'), 'auto');
+  });
+});
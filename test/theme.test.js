@@ -0,0 +1,209 @@
+import { window } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  THEME_BOOTSTRAP,
+  applyTheme,
+  initTheme,
+  registerTheme,
+  getTheme,
+  getThemes,
+  getColorScheme,
+} from '../global/theme.js';
+import { transitionTheme } from '../global/transitions.js';
+
+const root = document.documentElement;
+
+const captureEvents = () => {
+  const events = [];
+  const listener = (e) => events.push(e.detail);
+  document.addEventListener('themechange', listener);
+  return { events, stop: () => document.removeEventListener('themechange', listener) };
+};
+
+const setSystemScheme = (scheme) => {
+  window.happyDOM.settings.device.prefersColorScheme = scheme;
+  window.dispatchEvent(new window.Event('resize'));
+};
+
+afterEach(() => {
+  localStorage.clear();
+  setSystemScheme('light');
+  applyTheme('auto', { persist: false });
+});
+
+describe('theme controller', () => {
+  it('leaves the document alone until initialised', () => {
+    assert.equal(getTheme(), null);
+    assert.equal(root.dataset.theme, undefined);
+    assert.equal(root.dataset.colorScheme, undefined);
+    assert.equal(root.style.colorScheme, '');
+    assert.deepEqual(getThemes().slice(0, 3), ['light', 'dark', 'auto']);
+  });
+
+  it('initialises to auto without an inline color-scheme', () => {
+    assert.equal(initTheme(), 'auto');
+    assert.equal(root.dataset.theme, 'auto');
+    assert.equal(root.style.colorScheme, '');
+  });
+
+  it('restores the stored theme', () => {
+    localStorage.setItem('elvish-theme', 'dark');
+    assert.equal(initTheme(), 'dark');
+    assert.equal(getTheme(), 'dark');
+    assert.equal(root.style.colorScheme, 'dark');
+    assert.equal(root.dataset.colorScheme, 'dark');
+  });
+
+  it('falls back to the default for unknown stored values', () => {
+    localStorage.setItem('elvish-theme', 'missing');
+    assert.equal(initTheme({ defaultTheme: 'light' }), 'light');
+    initTheme({ defaultTheme: 'auto' });
+  });
+
+  it('persists and reports changes', () => {
+    const { events, stop } = captureEvents();
+    applyTheme('light');
+    applyTheme('dark');
+    stop();
+
+    assert.equal(localStorage.getItem('elvish-theme'), 'dark');
+    assert.equal(localStorage.getItem('elvish-theme-scheme'), 'dark');
+    assert.deepEqual(events[1], {
+      theme: 'dark',
+      colorScheme: 'dark',
+      previous: 'light',
+      source: 'user',
+    });
+  });
+
+  it('follows the OS preference in auto', () => {
+    applyTheme('auto');
+    assert.equal(getColorScheme(), 'light');
+
+    const { events, stop } = captureEvents();
+    setSystemScheme('dark');
+    stop();
+
+    assert.equal(root.dataset.colorScheme, 'dark');
+    assert.equal(root.style.colorScheme, '');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].source, 'system');
+  });
+
+  it('ignores the OS preference for explicit themes', () => {
+    applyTheme('light');
+    const { events, stop } = captureEvents();
+    setSystemScheme('dark');
+    stop();
+
+    assert.equal(root.dataset.colorScheme, 'light');
+    assert.equal(events.length, 0);
+  });
+
+  it('syncs from other tabs through storage events', () => {
+    applyTheme('light');
+    window.dispatchEvent(new window.StorageEvent('storage', {
+      key: 'elvish-theme',
+      newValue: 'dark',
+    }));
+
+    assert.equal(getTheme(), 'dark');
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'other', newValue: 'light' }));
+    assert.equal(getTheme(), 'dark');
+  });
+
+  it('does not re-persist values received from other tabs', () => {
+    const { events, stop } = captureEvents();
+    window.dispatchEvent(new window.StorageEvent('storage', {
+      key: 'elvish-theme',
+      newValue: 'dark',
+    }));
+    stop();
+
+    assert.equal(localStorage.getItem('elvish-theme'), null);
+    assert.equal(events[0].source, 'storage');
+  });
+});
+
+describe('registerTheme()', () => {
+  it('applies tokens and removes them when switching away', () => {
+    registerTheme('forest', {
+      colorScheme: 'dark',
+      tokens: { '--color-accent': '#5fae6e' },
+    });
+
+    applyTheme('forest');
+    assert.equal(root.style.getPropertyValue('--color-accent'), '#5fae6e');
+    assert.equal(getColorScheme(), 'dark');
+
+    applyTheme('light');
+    assert.equal(root.style.getPropertyValue('--color-accent'), '');
+  });
+
+  it('re-applies the active theme when redefined', () => {
+    registerTheme('sea', { tokens: { '--color-accent': 'teal' } });
+    applyTheme('sea');
+    registerTheme('sea', { tokens: { '--color-accent': 'navy' } });
+
+    assert.equal(root.style.getPropertyValue('--color-accent'), 'navy');
+  });
+
+  it('restores a stored theme registered after init', () => {
+    localStorage.setItem('elvish-theme', 'late');
+    registerTheme('late', { colorScheme: 'dark' });
+
+    assert.equal(getTheme(), 'late');
+  });
+
+  it('rejects invalid definitions', () => {
+    assert.throws(() => registerTheme('no spaces'), TypeError);
+    assert.throws(() => registerTheme('ok', { colorScheme: 'sepia' }), TypeError);
+  });
+
+  it('warns on unknown themes', () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+
+    assert.equal(applyTheme('nope'), false);
+    console.warn = warn;
+
+    assert.equal(getTheme(), 'auto');
+    assert.match(warnings[0], /Unknown theme "nope"/);
+  });
+});
+
+describe('transitionTheme()', () => {
+  it('switches through the controller', async () => {
+    await transitionTheme('dark');
+
+    assert.equal(getTheme(), 'dark');
+    assert.equal(localStorage.getItem('elvish-theme'), 'dark');
+  });
+});
+
+describe('THEME_BOOTSTRAP', () => {
+  it('restores the stored theme as a standalone script', () => {
+    localStorage.setItem('elvish-theme', 'forest');
+    localStorage.setItem('elvish-theme-scheme', 'dark');
+    delete root.dataset.theme;
+
+    new Function(THEME_BOOTSTRAP)();
+
+    assert.equal(root.dataset.theme, 'forest');
+    assert.equal(root.style.colorScheme, 'dark');
+  });
+
+  it('leaves color-scheme to the stylesheet for auto', () => {
+    localStorage.setItem('elvish-theme', 'auto');
+    localStorage.setItem('elvish-theme-scheme', 'auto');
+    root.style.removeProperty('color-scheme');
+
+    new Function(THEME_BOOTSTRAP)();
+
+    assert.equal(root.dataset.theme, 'auto');
+    assert.equal(root.style.colorScheme, '');
+  });
+});
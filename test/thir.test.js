@@ -0,0 +1,382 @@
+import { mount, cleanup, nextFrame, settle, window } from './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { configure } from '../global/config.js';
+import { activeStyleIds } from '../global/styles.js';
+import { trackedPointerCount } from '../primitives/thir/thir.pointer.js';
+import ThirElement from '../primitives/thir/thir.js';
+
+// A 200×100 box at (100, 100)
+const placeBox = (el) => {
+  el.getBoundingClientRect = () => ({ left: 100, top: 100, width: 200, height: 100, right: 300, bottom: 200 });
+  return el;
+};
+
+const pointer = (el, type, x, y, pointerType = 'mouse') => {
+  const event = new window.PointerEvent(type, { clientX: x, clientY: y, pointerType, bubbles: type === 'pointermove' });
+  el.dispatchEvent(event);
+};
+
+const hoverAt = async (el, x, y, pointerType) => {
+  pointer(el, 'pointerenter', x, y, pointerType);
+  pointer(el, 'pointermove', x, y, pointerType);
+  await nextFrame();
+};
+
+const prop = (el, name) => el.style.getPropertyValue(name);
+
+afterEach(() => {
+  cleanup();
+  configure({ motion: 'auto' });
+});
+
+describe('i-thir pointer effects', () => {
+  it('tilts toward the pointer within tilt-max, with glare', async () => {
+    const el = placeBox(mount('i-thir', { hover: 'tilt-3d', 'tilt-max': '12', glare: '0.5' }));
+
+    // Top-right corner
+    await hoverAt(el, 300, 100);
+
+    assert.equal(prop(el, '--thir-tilt-x'), '12.00deg');
+    assert.equal(prop(el, '--thir-tilt-y'), '12.00deg');
+    assert.equal(prop(el, '--thir-glare-x'), '100.00%');
+    assert.equal(prop(el, '--thir-glare-y'), '0.00%');
+    assert.equal(prop(el, '--thir-glare-opacity'), '0.5');
+    assert.equal(el.classList.contains('pointer-active'), true);
+  });
+
+  it('draws the glare on its own child, not a pseudo-element', () => {
+    const el = mount('i-thir', { hover: 'tilt-3d', glare: '' }, '<p>Card</p>');
+    const glare = el.lastElementChild;
+
+    assert.equal(glare.className, 'thir-glare');
+    assert.equal(glare.getAttribute('aria-hidden'), 'true');
+
+    // Reconnecting keeps one layer
+    document.body.append(el);
+    assert.equal(el.querySelectorAll('.thir-glare').length, 1);
+
+    el.removeAttribute('glare');
+    assert.equal(el.querySelector('.thir-glare'), null);
+    el.setAttribute('glare', '0.4');
+    el.setAttribute('hover', 'lift');
+    assert.equal(el.querySelector('.thir-glare'), null);
+  });
+
+  it('writes pointer coordinates for the spotlight', async () => {
+    const el = placeBox(mount('i-thir', { effect: 'spotlight' }));
+    await hoverAt(el, 150, 175);
+
+    assert.equal(prop(el, '--thir-pointer-x'), '25.00%');
+    assert.equal(prop(el, '--thir-pointer-y'), '75.00%');
+    assert.equal(prop(el, '--thir-tilt-x'), '');
+  });
+
+  it('pulls magnetic elements toward the cursor', async () => {
+    const el = placeBox(mount('i-thir', { hover: 'magnetic', 'magnetic-strength': '0.5' }));
+    await hoverAt(el, 280, 130);
+
+    assert.equal(prop(el, '--thir-magnet-x'), '40.0px');
+    assert.equal(prop(el, '--thir-magnet-y'), '-10.0px');
+  });
+
+  it('updates once per frame and resets when the pointer leaves', async () => {
+    const el = placeBox(mount('i-thir', { effect: 'spotlight' }));
+    let writes = 0;
+    const setProperty = el.style.setProperty.bind(el.style);
+    el.style.setProperty = (...args) => { writes++; setProperty(...args); };
+
+    pointer(el, 'pointerenter', 100, 100);
+    pointer(el, 'pointermove', 120, 100);
+    pointer(el, 'pointermove', 300, 200);
+    await nextFrame();
+
+    assert.equal(writes, 2);
+    assert.equal(prop(el, '--thir-pointer-x'), '100.00%');
+
+    pointer(el, 'pointerleave', 400, 400);
+    assert.equal(prop(el, '--thir-pointer-x'), '');
+    assert.equal(el.classList.contains('pointer-active'), false);
+  });
+
+  it('ignores touch pointers', async () => {
+    const el = placeBox(mount('i-thir', { hover: 'tilt-3d' }));
+    await hoverAt(el, 300, 100, 'touch');
+
+    assert.equal(prop(el, '--thir-tilt-x'), '');
+    assert.equal(el.classList.contains('pointer-active'), false);
+  });
+
+  it('keeps still under reduced motion, but the spotlight follows', async () => {
+    configure({ motion: 'reduce' });
+    const el = placeBox(mount('i-thir', { hover: 'tilt-3d', effect: 'spotlight' }));
+    await hoverAt(el, 300, 100);
+
+    assert.equal(prop(el, '--thir-tilt-x'), '');
+    assert.equal(prop(el, '--thir-pointer-x'), '100.00%');
+  });
+
+  it('shares one manager and cleans up on disconnect or change', async () => {
+    const a = mount('i-thir', { hover: 'tilt-3d' });
+    const b = placeBox(mount('i-thir', { hover: 'magnetic' }));
+    mount('i-thir', { hover: 'lift' });
+    assert.equal(trackedPointerCount(), 2);
+
+    a.setAttribute('hover', 'lift');
+    assert.equal(trackedPointerCount(), 1);
+
+    await hoverAt(b, 280, 130);
+    b.remove();
+    assert.equal(trackedPointerCount(), 0);
+    assert.equal(prop(b, '--thir-magnet-x'), '');
+  });
+});
+
+describe('i-thir presets', () => {
+  it('registers an effect and lists it with the built-ins', () => {
+    const preset = ThirElement.registerEffect('brand-glow', {
+      vars: { '--glow': 'oklch(70% 0.2 300)', '--glow-size': '24px' },
+      css: 'box-shadow: 0 0 var(--glow-size) var(--glow); &:hover { --glow-size: 32px; }',
+    });
+
+    assert.equal(preset.rules, 'i-thir[effect="brand-glow"] { --glow: oklch(70% 0.2 300); --glow-size: 24px; box-shadow: 0 0 var(--glow-size) var(--glow); &:hover { --glow-size: 32px; } }');
+    assert.ok(ThirElement.effects.includes('neon'));
+    assert.equal(ThirElement.effects.at(-1), 'brand-glow');
+    assert.ok(Object.isFrozen(preset));
+  });
+
+  it('injects rules once, only while in use', async () => {
+    ThirElement.registerShape('brand-badge', { css: 'clip-path: circle(50%);' });
+    const id = 'elvish-thir-shape-brand-badge';
+    assert.equal(activeStyleIds().includes(id), false);
+
+    const a = mount('i-thir', { shape: 'brand-badge' });
+    const b = mount('i-thir', { shape: 'brand-badge' });
+    await settle();
+    assert.equal(activeStyleIds().filter(x => x === id).length, 1);
+
+    a.remove();
+    await settle();
+    assert.ok(activeStyleIds().includes(id));
+
+    b.setAttribute('shape', 'pill');
+    await settle();
+    assert.equal(activeStyleIds().includes(id), false);
+  });
+
+  it('applies to elements connected before registration and in shadow roots', async () => {
+    const early = mount('i-thir', { effect: 'late-bloom' });
+    const host = mount('div');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.appendChild(document.createElement('i-thir')).setAttribute('effect', 'late-bloom');
+
+    ThirElement.registerEffect('late-bloom', { css: 'opacity: 0.9;' });
+    await settle();
+
+    assert.ok(activeStyleIds(document).includes('elvish-thir-effect-late-bloom'));
+    assert.ok(activeStyleIds(shadow).includes('elvish-thir-effect-late-bloom'));
+    early.remove();
+  });
+
+  it('activates hover presets like the built-ins', () => {
+    const preset = ThirElement.registerHover('brand-bounce', {
+      vars: { '--bounce': '-4px' },
+      css: 'translate: 0 var(--bounce);',
+    });
+
+    assert.equal(preset.rules, [
+      'i-thir[hover="brand-bounce"] { --bounce: -4px; }',
+      'i-thir[hover="brand-bounce"]:hover,',
+      'i-thir[touch="brand-bounce"].touch-active,',
+      'i-thir[hover="brand-bounce"][touch]:not([touch*="="]).touch-active { translate: 0 var(--bounce); }',
+    ].join('\n'));
+    assert.ok(ThirElement.hovers.includes('brand-bounce'));
+  });
+
+  it('tracks the pointer for interactive presets', async () => {
+    ThirElement.registerEffect('brand-torch', {
+      interactive: true,
+      css: 'background: radial-gradient(at var(--thir-pointer-x) var(--thir-pointer-y), gold, transparent);',
+    });
+    const el = placeBox(mount('i-thir', { effect: 'brand-torch' }));
+    await hoverAt(el, 200, 150);
+
+    assert.equal(prop(el, '--thir-pointer-x'), '50.00%');
+    assert.equal(prop(el, '--thir-pointer-y'), '50.00%');
+  });
+
+  it('rejects invalid definitions', () => {
+    const invalid = [
+      ['effect', 'neon', { css: 'color: red;' }, /built-in/],
+      ['effect', 'Brand Glow', { css: 'color: red;' }, /Invalid effect name/],
+      ['effect', 'brand-glow', { css: 'color: red;' }, /already registered/],
+      ['effect', 'escape', { css: 'color: red; } body { display: none;' }, /invalid css/],
+      ['shape', 'bad-var', { vars: { color: 'red' } }, /invalid var "color"/],
+      ['shape', 'bad-value', { vars: { '--x': 'red; } body {' } }, /invalid var/],
+      ['shape', 'empty', {}, /needs css or vars/],
+      ['shape', 'moving', { css: 'color: red;', interactive: true }, /cannot be interactive/],
+    ];
+
+    for (const [kind, name, definition, message] of invalid) {
+      const register = { effect: 'registerEffect', shape: 'registerShape' }[kind];
+      assert.throws(() => ThirElement[register](name, definition), message);
+    }
+    assert.equal(ThirElement.shapes.includes('empty'), false);
+  });
+});
+
+// Records observed elements; intersect() plays an entry to their observers
+class FakeIntersectionObserver {
+  static instances = new Set();
+
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = new Set();
+    FakeIntersectionObserver.instances.add(this);
+  }
+
+  observe(el) { this.targets.add(el); }
+  unobserve(el) { this.targets.delete(el); }
+  disconnect() {
+    this.targets.clear();
+    FakeIntersectionObserver.instances.delete(this);
+  }
+}
+
+const intersect = (el, isIntersecting = true) => {
+  [...FakeIntersectionObserver.instances]
+    .filter(observer => observer.targets.has(el))
+    .forEach(observer => observer.callback([{ target: el, isIntersecting }]));
+};
+
+const observing = (el) => [...FakeIntersectionObserver.instances].some(observer => observer.targets.has(el));
+
+describe('i-thir scroll effects', () => {
+  const originalObserver = globalThis.IntersectionObserver;
+  const originalSupports = CSS.supports;
+  let timelines;
+
+  beforeEach(() => {
+    timelines = false;
+    globalThis.IntersectionObserver = FakeIntersectionObserver;
+    CSS.supports = (prop) => (prop === 'animation-timeline' ? timelines : true);
+  });
+
+  afterEach(() => {
+    cleanup();
+    globalThis.IntersectionObserver = originalObserver;
+    CSS.supports = originalSupports;
+  });
+
+  it('keeps the scroll-driven reveal running through a hover animation', (t) => {
+    const style = document.createElement('style');
+    style.textContent = readFileSync(new URL('../primitives/thir/thir.css', import.meta.url), 'utf8');
+    document.head.append(style);
+    t.after(() => style.remove());
+
+    const el = mount('i-thir', { reveal: 'scale', touch: 'wiggle', effect: 'holographic' });
+    const animations = () => getComputedStyle(el).getPropertyValue('animation').split(/,\s*/);
+
+    el.classList.add('touch-active');
+    assert.deepEqual(animations(), [
+      'thir-reveal-scale linear both',
+      'holographic 8s ease infinite',
+      'thir-wiggle 0.3s ease-in-out',
+    ]);
+    assert.equal(getComputedStyle(el).animationTimeline, 'view(), auto, auto');
+  });
+
+  it('reveals once on entering without scroll timelines', () => {
+    const el = mount('i-thir', { reveal: 'fade-up' });
+    const events = [];
+    document.addEventListener('thir:revealed', e => events.push(e));
+
+    assert.equal(el.classList.contains('reveal-pending'), true);
+
+    intersect(el, false);
+    assert.equal(events.length, 0);
+
+    intersect(el);
+    intersect(el);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].target, el);
+    assert.deepEqual(events[0].detail, { reveal: 'fade-up' });
+    assert.equal(el.classList.contains('reveal-pending'), false);
+    assert.equal(el.classList.contains('revealed'), true);
+    assert.equal(observing(el), false);
+
+    // Moving it does not hide it again
+    document.body.append(el);
+    assert.equal(el.classList.contains('reveal-pending'), false);
+  });
+
+  it('leaves the animation to CSS with scroll timelines, but still reports it', () => {
+    timelines = true;
+    const el = mount('i-thir', { reveal: 'scale' });
+    let revealed = 0;
+    el.addEventListener('thir:revealed', () => revealed++);
+
+    assert.equal(el.classList.contains('reveal-pending'), false);
+    intersect(el);
+    assert.equal(revealed, 1);
+  });
+
+  it('shows content at once under reduced motion', () => {
+    configure({ motion: 'reduce' });
+    const el = mount('i-thir', { reveal: 'blur', parallax: '0.5' });
+
+    assert.equal(el.classList.contains('reveal-pending'), false);
+    assert.equal(el.classList.contains('reduced-motion'), true);
+
+    configure({ motion: 'full' });
+    assert.equal(el.classList.contains('reveal-pending'), true);
+    assert.equal(el.classList.contains('reduced-motion'), false);
+  });
+
+  it('moves parallax elements while visible without scroll timelines', async () => {
+    const el = placeBox(mount('i-thir', { parallax: '0.5' }));
+    assert.equal(prop(el, '--thir-parallax'), '0.5');
+
+    await nextFrame();
+    assert.equal(prop(el, '--thir-parallax-y'), '');
+
+    intersect(el);
+    await nextFrame();
+    const viewport = window.innerHeight;
+    const progress = (viewport - 100) / (viewport + 100);
+    assert.equal(prop(el, '--thir-parallax-y'), `${((progress * 2 - 1) * 0.5 * viewport / 2).toFixed(1)}px`);
+
+    configure({ motion: 'reduce' });
+    window.dispatchEvent(new window.Event('scroll'));
+    await nextFrame();
+    assert.equal(prop(el, '--thir-parallax-y'), '');
+  });
+
+  it('uses the CSS timeline for parallax when supported', async () => {
+    timelines = true;
+    const el = placeBox(mount('i-thir', { parallax: '' }));
+    intersect(el);
+    await nextFrame();
+
+    assert.equal(prop(el, '--thir-parallax'), '0.3');
+    assert.equal(observing(el), false);
+    assert.equal(prop(el, '--thir-parallax-y'), '');
+  });
+
+  it('stops observing on disconnect or when the attributes go', () => {
+    const el = mount('i-thir', { reveal: 'fade-up', parallax: '0.2' });
+    assert.equal(observing(el), true);
+
+    el.remove();
+    assert.equal(observing(el), false);
+    assert.equal(prop(el, '--thir-parallax'), '');
+
+    document.body.append(el);
+    el.removeAttribute('reveal');
+    el.removeAttribute('parallax');
+    assert.equal(observing(el), false);
+    assert.equal(el.classList.contains('reveal-pending'), false);
+  });
+});
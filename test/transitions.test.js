@@ -0,0 +1,220 @@
+import { settle } from './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  transition,
+  transitionTo,
+  supportsViewTransitions,
+  nameTransitionGroup,
+  staggerTransitionGroup,
+  choreograph,
+  skipTransition,
+} from '../global/transitions.js';
+import { getStyleSheet, activeStyleIds } from '../global/styles.js';
+
+// happy-dom drops ::view-transition-* rules when parsing; keep the source
+let sheetSource = '';
+const sheet = getStyleSheet();
+const replaceSync = sheet.replaceSync.bind(sheet);
+sheet.replaceSync = (css) => {
+  sheetSource = css;
+  replaceSync(css);
+};
+const sheetText = () => sheetSource;
+
+describe('transition() without View Transitions', () => {
+  it('runs the update synchronously and resolves', async () => {
+    assert.equal(supportsViewTransitions(), false);
+
+    let ran = false;
+    const result = transition(() => { ran = true; }, { duration: 500, types: ['x'] });
+
+    assert.equal(ran, true);
+    await result;
+    assert.equal(document.documentElement.style.getPropertyValue('--transition-duration'), '');
+  });
+});
+
+describe('transition() with View Transitions', () => {
+  afterEach(() => {
+    delete document.startViewTransition;
+  });
+
+  const stubViewTransitions = () => {
+    const calls = [];
+    document.startViewTransition = (arg) => {
+      calls.push(arg);
+      (typeof arg === 'function' ? arg : arg.update)();
+      return { finished: Promise.resolve() };
+    };
+    return calls;
+  };
+
+  it('passes types and restores duration/easing afterwards', async () => {
+    const calls = stubViewTransitions();
+    const root = document.documentElement;
+    let during;
+
+    await transition(() => {
+      during = root.style.getPropertyValue('--transition-duration');
+    }, { duration: 300, easing: 'linear', types: ['theme'] });
+
+    assert.deepEqual(calls[0].types, ['theme']);
+    assert.equal(during, '300ms');
+    assert.equal(root.style.getPropertyValue('--transition-duration'), '');
+    assert.equal(root.style.getPropertyValue('--transition-ease'), '');
+  });
+
+  it('passes a bare callback when no types are given', async () => {
+    const calls = stubViewTransitions();
+    await transition(() => {});
+    assert.equal(typeof calls[0], 'function');
+  });
+});
+
+describe('transitionTo()', () => {
+  it('applies attributes, classes and styles', async () => {
+    const el = document.createElement('div');
+    el.setAttribute('old', '');
+    el.className = 'a b';
+
+    await transitionTo(el, {
+      attrs: { columns: '4', old: null },
+      addClass: ['c'],
+      removeClass: ['a'],
+      toggleClass: ['b', 'd'],
+      style: { '--gap': '1rem' },
+    });
+
+    assert.equal(el.getAttribute('columns'), '4');
+    assert.equal(el.hasAttribute('old'), false);
+    assert.deepEqual([...el.classList].sort(), ['c', 'd']);
+    assert.equal(el.style.getPropertyValue('--gap'), '1rem');
+  });
+});
+
+describe('nameTransitionGroup()', () => {
+  it('gives each element a unique view-transition-name', () => {
+    const els = [1, 2, 3].map(() => document.createElement('div'));
+    nameTransitionGroup(els, 'card');
+
+    assert.deepEqual(els.map(el => el.style.viewTransitionName), ['card-0', 'card-1', 'card-2']);
+  });
+});
+
+describe('staggerTransitionGroup()', () => {
+  it('names items and delays their transition groups', () => {
+    const els = [1, 2, 3].map(() => document.createElement('div'));
+    els[1].style.viewTransitionName = 'hero';
+    els[2].style.viewTransitionName = 'match-element';
+
+    const restore = staggerTransitionGroup(els, { prefix: 'card', delay: 40, start: 100 });
+
+    assert.deepEqual(els.map(el => el.style.viewTransitionName), ['card-0', 'hero', 'card-2']);
+    const css = sheetText();
+    assert.match(css, /::view-transition-group\(card-0\)[^{]*\{\s*animation-delay: 100ms/);
+    assert.match(css, /::view-transition-group\(hero\)[^{]*\{\s*animation-delay: 140ms/);
+    assert.match(css, /::view-transition-new\(card-2\)\s*\{\s*animation-delay: 180ms/);
+
+    restore();
+    assert.deepEqual(els.map(el => el.style.viewTransitionName), ['', 'hero', 'match-element']);
+  });
+});
+
+describe('choreograph()', () => {
+  let pending;
+
+  // View transitions that finish when the test says so
+  const stubControlledTransitions = () => {
+    pending = [];
+    document.startViewTransition = (arg) => {
+      let finish;
+      const vt = {
+        finished: new Promise((resolve) => { finish = resolve; }),
+        skipped: false,
+        skipTransition() {
+          vt.skipped = true;
+          finish();
+        },
+      };
+      (typeof arg === 'function' ? arg : arg.update)();
+      pending.push({ arg, vt, finish });
+      return vt;
+    };
+  };
+
+  afterEach(() => {
+    delete document.startViewTransition;
+  });
+
+  it('waits for each step before starting the next', async () => {
+    stubControlledTransitions();
+    const log = [];
+
+    const sequence = choreograph([
+      () => log.push('one'),
+      { update: () => log.push('two'), types: ['layout'] },
+    ], { duration: 200 });
+
+    await settle();
+    assert.deepEqual(log, ['one']);
+    assert.equal(sequence.step, 0);
+
+    pending[0].finish();
+    await settle();
+    assert.deepEqual(log, ['one', 'two']);
+    assert.deepEqual(pending[1].arg.types, ['layout']);
+
+    pending[1].finish();
+    assert.equal(await sequence.finished, true);
+  });
+
+  it('staggers a step and cleans up afterwards', async () => {
+    stubControlledTransitions();
+    const els = [1, 2].map(() => document.createElement('div'));
+
+    const sequence = choreograph([
+      { update: () => {}, stagger: { elements: els, prefix: 'tile', delay: 30 } },
+    ]);
+
+    await settle();
+    assert.equal(els[1].style.viewTransitionName, 'tile-1');
+    assert.match(sheetText(), /animation-delay: 30ms/);
+
+    pending[0].finish();
+    await sequence.finished;
+    await settle();
+
+    assert.equal(els[1].style.viewTransitionName, '');
+    assert.equal(activeStyleIds().some(id => id.startsWith('elvish-stagger')), false);
+  });
+
+  it('skipTransition() cancels and applies the remaining steps instantly', async () => {
+    stubControlledTransitions();
+    const log = [];
+
+    const sequence = choreograph([
+      () => log.push('one'),
+      { update: () => log.push('two'), pause: 10000 },
+      () => log.push('three'),
+    ]);
+
+    await settle();
+    skipTransition();
+
+    assert.equal(pending[0].vt.skipped, true);
+    assert.equal(await sequence.finished, false);
+    assert.deepEqual(log, ['one', 'two', 'three']);
+    assert.equal(pending.length, 1);
+    assert.equal(sequence.cancelled, true);
+  });
+
+  it('runs without View Transitions support', async () => {
+    const log = [];
+    const sequence = choreograph([() => log.push(1), () => log.push(2)]);
+
+    assert.equal(await sequence.finished, true);
+    assert.deepEqual(log, [1, 2]);
+  });
+});